@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Benchmark the mock relay's indexed event store against a naive full scan.
+ *
+ *   node bench/store.bench.cjs [eventCount]
+ */
+
+const { createEventStore, matchesFilter, compareNewestFirst } = require('../src/store.cjs');
+const { createRng } = require('../src/faults.cjs');
+const { createEvent, generateKeypair } = require('../src/events.cjs');
+
+const count = Number(process.argv[2]) || 100000;
+const rng = createRng(1);
+const pick = (list) => list[Math.floor(rng() * list.length)];
+
+function time(label, fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${label.padEnd(40)} ${ms.toFixed(1).padStart(10)} ms`);
+  return result;
+}
+
+const pubkeys = Array.from({ length: 200 }, () => generateKeypair().pubkey);
+const events = time(`generate ${count} events`, () => Array.from({ length: count }, (_, i) => {
+  const kind = pick([1, 1, 1, 7, 4, 30023]);
+  const tags = [['p', pick(pubkeys)], ['t', pick(['nostr', 'lightning', 'ai', 'dvm'])]];
+  if (kind === 30023) tags.push(['d', String(i % 500)]);
+  return createEvent({ kind, pubkey: pick(pubkeys), tags, created_at: 1700000000 + i });
+}));
+
+const store = createEventStore();
+time('indexed: add all', () => events.forEach(e => store.add(e)));
+
+const filters = [
+  [{ kinds: [1], limit: 50 }],
+  [{ authors: [pubkeys[0]], limit: 20 }],
+  [{ '#p': [pubkeys[1]], kinds: [4] }],
+  [{ '#t': ['dvm'], since: 1700000000 + count - 1000 }],
+  [{ kinds: [7], limit: 10 }, { authors: [pubkeys[2]], limit: 10 }],
+  [{ ids: [events[count >> 1].id] }]
+];
+
+function naiveQuery(all, fs) {
+  const merged = new Set();
+  for (const f of fs) {
+    const matched = all.filter(e => matchesFilter(e, f)).sort(compareNewestFirst);
+    for (const e of typeof f.limit === 'number' ? matched.slice(0, f.limit) : matched) merged.add(e);
+  }
+  return Array.from(merged).sort(compareNewestFirst);
+}
+
+const all = store.values();
+for (const fs of filters) {
+  const label = JSON.stringify(fs).slice(0, 30);
+  const fast = time(`indexed: ${label}`, () => store.query(fs));
+  const slow = time(`naive:   ${label}`, () => naiveQuery(all, fs));
+  if (fast.length !== slow.length || fast.some((e, i) => e !== slow[i])) {
+    console.error('MISMATCH for', JSON.stringify(fs));
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,269 @@
+'use strict';
+
+const { AssertionError } = require('assert');
+
+/**
+ * Assertions over what a mock relay stored and what a mock wallet did.
+ *
+ * Each assertion throws node's AssertionError, so it reads naturally in
+ * node:test, Jest or Vitest. Failures list the closest non-matching events
+ * or payments with the fields that differed. registerMatchers() adds the
+ * same checks to Jest/Vitest's expect (toHavePublished and friends).
+ */
+
+const MAX_CLOSEST = 5;
+
+function short(value) {
+  return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value) ? value.slice(0, 8) : value;
+}
+
+function show(value) {
+  if (Array.isArray(value)) return `[${value.map(v => JSON.stringify(short(v))).join(', ')}]`;
+  return JSON.stringify(short(value));
+}
+
+function fail(message, props = {}) {
+  const err = new AssertionError({ message, actual: props.actual, expected: props.expected, operator: props.operator });
+  return Object.assign(err, props.details);
+}
+
+// ── Relay ───────────────────────────────────────────────
+
+/**
+ * Describe how `event` differs from one condition of a filter
+ */
+function describeField(event, key, value) {
+  if (key === 'ids') return `id: expected one of ${show(value)}, got ${show(event.id)}`;
+  if (key === 'authors') return `pubkey: expected one of ${show(value)}, got ${show(event.pubkey)}`;
+  if (key === 'kinds') return `kind: expected one of ${show(value)}, got ${event.kind}`;
+  if (key === 'since') return `created_at: expected >= ${value}, got ${event.created_at}`;
+  if (key === 'until') return `created_at: expected <= ${value}, got ${event.created_at}`;
+  if (key === 'search') return `search: ${JSON.stringify(value)} did not match`;
+  if (key.startsWith('#')) {
+    const got = event.tags.filter(t => t[0] === key.slice(1)).map(t => t[1]);
+    return `${key}: expected one of ${show(value)}, got ${got.length ? show(got) : 'no such tag'}`;
+  }
+  return `${key}: did not match ${show(value)}`;
+}
+
+function describeEvent(event) {
+  return `${event.id.slice(0, 8)} kind ${event.kind} by ${event.pubkey.slice(0, 8)}`;
+}
+
+function describeClosest(relay, filter) {
+  const closest = relay.nearMisses(filter, { max: MAX_CLOSEST, all: true });
+  if (closest.length === 0) return '\nThe relay has no other events';
+  return '\nClosest events:\n' + closest.map(({ event, mismatched }) =>
+    `  ${describeEvent(event)}\n` + mismatched.map(k => `    ${describeField(event, k, filter[k])}`).join('\n')
+  ).join('\n');
+}
+
+function expectation(count) {
+  return count === undefined ? 'at least 1 event' : `${count} event(s)`;
+}
+
+/**
+ * Check the relay's stored events against a filter and count (exact when
+ * given, otherwise at least one); returns the matching events
+ */
+function checkPublished(relay, filter, count) {
+  const matched = relay.getEvents({ ...filter, limit: undefined });
+  const ok = count === undefined ? matched.length > 0 : matched.length === count;
+  if (ok) return matched;
+  throw fail(
+    `Expected ${expectation(count)} matching ${JSON.stringify(filter)}, found ${matched.length}` +
+      (matched.length > 0 ? `:\n${matched.slice(0, MAX_CLOSEST).map(e => `  ${describeEvent(e)}`).join('\n')}` : '') +
+      (matched.length < (count === undefined ? 1 : count) ? describeClosest(relay, filter) : ''),
+    { actual: matched.length, expected: count === undefined ? 1 : count, operator: 'assertPublished', details: { matched } }
+  );
+}
+
+/**
+ * Assert the relay has events matching `filter`: at least one, or exactly
+ * `count`. Returns the matching events. With `within` (ms), waits up to that
+ * long for them to arrive and returns a promise instead.
+ */
+function assertPublished(relay, filter = {}, opts = {}) {
+  const { count, within } = opts;
+  if (within === undefined) return checkPublished(relay, filter, count);
+
+  return relay.waitForEvent(filter, { timeout: within, count: count ?? 1 }).then(
+    () => checkPublished(relay, filter, count),
+    (err) => {
+      if (!/^Timed out/.test(err.message)) throw err;
+      return checkPublished(relay, filter, count);
+    }
+  );
+}
+
+/**
+ * Assert the relay has no events matching `filter`. With `within` (ms), also
+ * waits that long to make sure none arrives, returning a promise.
+ */
+function assertNotPublished(relay, filter = {}, opts = {}) {
+  const check = () => {
+    const matched = relay.getEvents({ ...filter, limit: undefined });
+    if (matched.length === 0) return;
+    throw fail(
+      `Expected no events matching ${JSON.stringify(filter)}, found ${matched.length}:\n` +
+        matched.slice(0, MAX_CLOSEST).map(e => `  ${describeEvent(e)}`).join('\n'),
+      { actual: matched.length, expected: 0, operator: 'assertNotPublished', details: { matched } }
+    );
+  };
+
+  if (opts.within === undefined) return check();
+  check();
+  return relay.waitForEvent(filter, { timeout: opts.within, existing: false }).then(check, (err) => {
+    if (!/^Timed out/.test(err.message)) throw err;
+  });
+}
+
+// ── Wallet ──────────────────────────────────────────────
+
+const PAYMENT_FIELDS = {
+  amountSats: (p, v) => p.amountSats === v,
+  amountMsats: (p, v) => p.amountMsats === v,
+  to: (p, v) => p.address === v || p.bolt11 === v || p.destination === v,
+  paymentHash: (p, v) => p.paymentHash === v
+};
+
+function describePayment(payment) {
+  const to = payment.address || payment.bolt11;
+  return `${payment.paymentHash.slice(0, 8)} ${payment.amountSats} sats to ${to}`;
+}
+
+function describePaymentField(payment, key, value) {
+  if (key === 'to') return `to: expected ${show(value)}, got ${show(payment.address || payment.bolt11)}`;
+  return `${key}: expected ${show(value)}, got ${show(payment[key])}`;
+}
+
+/**
+ * Assert the wallet made a payment with all the given details: `amountSats`,
+ * `amountMsats`, `to` (address, bolt11 or payee node pubkey) and/or
+ * `paymentHash`. Returns the payment.
+ */
+function assertPaid(wallet, expected = {}) {
+  const keys = Object.keys(expected).filter(k => expected[k] !== undefined);
+  const unknown = keys.filter(k => !PAYMENT_FIELDS[k]);
+  if (unknown.length) throw new Error(`Unknown payment field(s): ${unknown.join(', ')}`);
+
+  const payments = wallet.getPayments();
+  const graded = payments.map(payment => ({
+    payment,
+    mismatched: keys.filter(k => !PAYMENT_FIELDS[k](payment, expected[k]))
+  }));
+  const found = graded.find(g => g.mismatched.length === 0);
+  if (found) return found.payment;
+
+  const closest = graded.sort((a, b) => a.mismatched.length - b.mismatched.length).slice(0, MAX_CLOSEST);
+  throw fail(
+    `Expected a payment matching ${JSON.stringify(expected)}, found none` +
+      (closest.length === 0 ? '\nThe wallet has made no payments' : '\nClosest payments:\n' + closest.map(({ payment, mismatched }) =>
+        `  ${describePayment(payment)}\n` + mismatched.map(k => `    ${describePaymentField(payment, k, expected[k])}`).join('\n')
+      ).join('\n')),
+    { actual: payments.length, expected, operator: 'assertPaid', details: { payments } }
+  );
+}
+
+/**
+ * Assert the wallet's balance in sats
+ */
+function assertBalance(wallet, sats) {
+  const actual = wallet.peekBalance();
+  if (actual === sats) return;
+  const diff = actual - sats;
+  throw fail(
+    `Expected a balance of ${sats} sats, got ${actual} sats (${diff > 0 ? '+' : ''}${diff})`,
+    { actual, expected: sats, operator: 'assertBalance' }
+  );
+}
+
+/**
+ * Assert an invoice (object, bolt11 or payment hash) was created by the
+ * wallet and has been settled; returns the invoice
+ */
+function assertInvoiceSettled(wallet, invoice) {
+  const ref = typeof invoice === 'object' && invoice !== null ? invoice.paymentHash : invoice;
+  const invoices = wallet.getInvoices();
+  const found = invoices.find(inv => inv.paymentHash === ref || inv.bolt11 === ref);
+  if (!found) {
+    throw fail(`No invoice ${show(ref)} in the wallet (it has ${invoices.length})`, {
+      actual: undefined, expected: ref, operator: 'assertInvoiceSettled'
+    });
+  }
+  if (!found.settled) {
+    throw fail(`Expected invoice ${found.paymentHash.slice(0, 8)} (${found.amountSats} sats) to be settled, but it is ${found.state}`, {
+      actual: false, expected: true, operator: 'assertInvoiceSettled'
+    });
+  }
+  return found;
+}
+
+// ── Jest / Vitest ───────────────────────────────────────
+
+/**
+ * Wrap an assertion as a matcher. `negated` gives the message for a failing
+ * `.not` (the check passed when it should not have).
+ */
+function toMatcher(check, negated) {
+  return function (received, ...args) {
+    const result = (err) => ({
+      pass: !err,
+      message: () => err ? err.message : negated(received, ...args)
+    });
+    const settle = (err) => {
+      if (err && !(err instanceof AssertionError)) throw err;
+      return result(err);
+    };
+
+    let outcome;
+    try {
+      outcome = check(received, ...args);
+    } catch (err) {
+      return settle(err);
+    }
+    if (outcome && typeof outcome.then === 'function') return outcome.then(() => result(null), settle);
+    return result(null);
+  };
+}
+
+function messageOf(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err.message;
+  }
+  return '';
+}
+
+const matchers = {
+  toHavePublished: toMatcher(assertPublished, (relay, filter = {}) =>
+    messageOf(() => assertNotPublished(relay, filter))),
+  toHavePaid: toMatcher(assertPaid, (wallet, expected) =>
+    `Expected no payment matching ${JSON.stringify(expected)}, found ${describePayment(assertPaid(wallet, expected))}`),
+  toHaveBalance: toMatcher(assertBalance, (wallet, sats) =>
+    `Expected a balance other than ${sats} sats`),
+  toHaveSettledInvoice: toMatcher(assertInvoiceSettled, (wallet, invoice) =>
+    `Expected invoice ${show(typeof invoice === 'object' ? invoice.paymentHash : invoice)} not to be settled`)
+};
+
+/**
+ * Add the matchers to Jest's or Vitest's expect (the global one by default)
+ */
+function registerMatchers(expect = globalThis.expect) {
+  if (!expect || typeof expect.extend !== 'function') {
+    throw new Error('registerMatchers() needs Jest or Vitest\'s expect');
+  }
+  expect.extend(matchers);
+  return matchers;
+}
+
+module.exports = {
+  assertPublished,
+  assertNotPublished,
+  assertPaid,
+  assertBalance,
+  assertInvoiceSettled,
+  matchers,
+  registerMatchers
+};
@@ -0,0 +1,304 @@
+'use strict';
+
+const crypto = require('crypto');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+
+/**
+ * BOLT11 Lightning invoices: bech32 encoding and decoding.
+ *
+ * An invoice is `ln` + network prefix + optional amount, then bech32 data:
+ * a 35-bit timestamp, tagged fields (payment hash, secret, description or its
+ * hash, expiry, payee node key, ...) and a recoverable secp256k1 signature
+ * over the human-readable part and the data. Amounts are msats; the encoder
+ * picks the shortest multiplier that represents them exactly.
+ */
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+const NETWORKS = { mainnet: 'bc', testnet: 'tb', signet: 'tbs', regtest: 'bcrt' };
+const PREFIXES = Object.fromEntries(Object.entries(NETWORKS).map(([name, prefix]) => [prefix, name]));
+
+// msats per unit of each amount multiplier ('' = whole bitcoin)
+const MULTIPLIERS = [['', 100000000000n], ['m', 100000000n], ['u', 100000n], ['n', 100n]];
+
+const TAGS = {
+  paymentHash: 1,
+  routing: 3,
+  features: 5,
+  expiry: 6,
+  fallback: 9,
+  description: 13,
+  paymentSecret: 16,
+  payee: 19,
+  descriptionHash: 23,
+  minFinalCltvExpiry: 24
+};
+
+const DEFAULT_EXPIRY = 3600;
+const DEFAULT_MIN_FINAL_CLTV_EXPIRY = 18;
+
+function invalid(reason) {
+  return new Error(`Invalid invoice: ${reason}`);
+}
+
+// ── bech32 ──────────────────────────────────────────────
+
+function polymod(values) {
+  let chk = 1;
+  for (const value of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) chk ^= GENERATOR[i];
+    }
+  }
+  return chk;
+}
+
+function hrpExpand(hrp) {
+  const codes = [...hrp].map(c => c.charCodeAt(0));
+  return [...codes.map(c => c >> 5), 0, ...codes.map(c => c & 31)];
+}
+
+function checksum(hrp, words) {
+  const mod = polymod([...hrpExpand(hrp), ...words, 0, 0, 0, 0, 0, 0]) ^ 1;
+  return Array.from({ length: 6 }, (_, i) => (mod >>> (5 * (5 - i))) & 31);
+}
+
+/**
+ * Regroup bits (8 → 5 for encoding, 5 → 8 for decoding). With `pad`, leftover
+ * bits are zero-padded into a final group; without it they are dropped.
+ */
+function convertBits(data, from, to, pad) {
+  let acc = 0;
+  let bits = 0;
+  const out = [];
+  const max = (1 << to) - 1;
+  for (const value of data) {
+    acc = (acc << from) | value;
+    bits += from;
+    while (bits >= to) {
+      bits -= to;
+      out.push((acc >>> bits) & max);
+    }
+    acc &= (1 << bits) - 1;
+  }
+  if (pad && bits > 0) out.push((acc << (to - bits)) & max);
+  return out;
+}
+
+function intToWords(value, minLength = 1) {
+  const words = [];
+  for (let v = value; v > 0; v = Math.floor(v / 32)) words.unshift(v % 32);
+  while (words.length < minLength) words.unshift(0);
+  return words;
+}
+
+function wordsToInt(words) {
+  return words.reduce((n, w) => n * 32 + w, 0);
+}
+
+// ── Amounts ─────────────────────────────────────────────
+
+/**
+ * Shortest human-readable amount for `msats` (e.g. 2000000 → '20u', 1 → '10p')
+ */
+function encodeAmount(msats) {
+  const value = BigInt(msats);
+  for (const [suffix, unit] of MULTIPLIERS) {
+    if (value % unit === 0n) return `${value / unit}${suffix}`;
+  }
+  return `${value * 10n}p`;
+}
+
+function decodeAmount(amount) {
+  if (!amount) return null;
+  const [, digits, suffix] = amount.match(/^(\d+)([munp]?)$/) || [];
+  if (!digits) throw invalid(`bad amount "${amount}"`);
+  if (suffix === 'p') {
+    if (!digits.endsWith('0')) throw invalid('pico-bitcoin amount must be a whole number of msats');
+    return Number(BigInt(digits) / 10n);
+  }
+  const [, unit] = MULTIPLIERS.find(([s]) => s === suffix);
+  return Number(BigInt(digits) * unit);
+}
+
+// ── Encoding ────────────────────────────────────────────
+
+function taggedField(type, words) {
+  if (words.length > 1023) throw new Error(`BOLT11 field ${type} is too long (${words.length} words, max 1023)`);
+  return [type, ...intToWords(words.length, 2), ...words];
+}
+
+function hexWords(hex, bytes, name) {
+  const buf = Buffer.from(hex, 'hex');
+  if (buf.length !== bytes) throw new Error(`${name} must be ${bytes} bytes of hex`);
+  return convertBits(buf, 8, 5, true);
+}
+
+function signingHash(hrp, words) {
+  return crypto.createHash('sha256')
+    .update(Buffer.concat([Buffer.from(hrp, 'utf8'), Buffer.from(convertBits(words, 5, 8, true))]))
+    .digest();
+}
+
+/**
+ * Encode and sign an invoice with the payee's node secret key (hex).
+ * `paymentHash` is required; `amountMsats` may be omitted for an
+ * any-amount invoice. Includes the payee node key (`n`) unless
+ * `includePayee` is false.
+ */
+function encodeBolt11(fields, nodeSecretKey) {
+  const {
+    network = 'mainnet',
+    amountMsats = null,
+    timestamp,
+    paymentHash,
+    paymentSecret = null,
+    description = null,
+    descriptionHash = null,
+    expiry = DEFAULT_EXPIRY,
+    minFinalCltvExpiry = DEFAULT_MIN_FINAL_CLTV_EXPIRY,
+    includePayee = true
+  } = fields;
+
+  const prefix = NETWORKS[network];
+  if (!prefix) throw new Error(`Unknown network: ${network}`);
+  if (!paymentHash) throw new Error('An invoice needs a paymentHash');
+  if (!Number.isInteger(timestamp) || timestamp < 0) throw new Error('An invoice needs a timestamp (seconds)');
+  if (amountMsats !== null && (!Number.isInteger(amountMsats) || amountMsats <= 0)) {
+    throw new Error(`Invalid invoice amount: ${amountMsats} msats`);
+  }
+
+  const hrp = `ln${prefix}${amountMsats === null ? '' : encodeAmount(amountMsats)}`;
+  const payee = Buffer.from(secp256k1.getPublicKey(nodeSecretKey, true));
+
+  const words = [...intToWords(timestamp, 7)];
+  words.push(...taggedField(TAGS.paymentHash, hexWords(paymentHash, 32, 'paymentHash')));
+  if (paymentSecret) words.push(...taggedField(TAGS.paymentSecret, hexWords(paymentSecret, 32, 'paymentSecret')));
+  if (descriptionHash) {
+    words.push(...taggedField(TAGS.descriptionHash, hexWords(descriptionHash, 32, 'descriptionHash')));
+  } else {
+    words.push(...taggedField(TAGS.description, convertBits(Buffer.from(description || '', 'utf8'), 8, 5, true)));
+  }
+  if (expiry !== DEFAULT_EXPIRY) words.push(...taggedField(TAGS.expiry, intToWords(expiry)));
+  words.push(...taggedField(TAGS.minFinalCltvExpiry, intToWords(minFinalCltvExpiry)));
+  if (includePayee) words.push(...taggedField(TAGS.payee, convertBits(payee, 8, 5, true)));
+
+  const sig = secp256k1.sign(signingHash(hrp, words), nodeSecretKey);
+  words.push(...convertBits([...sig.toCompactRawBytes(), sig.recovery], 8, 5, true));
+
+  return hrp + '1' + [...words, ...checksum(hrp, words)].map(w => CHARSET[w]).join('');
+}
+
+// ── Decoding ────────────────────────────────────────────
+
+function wordsToHex(words) {
+  return Buffer.from(convertBits(words, 5, 8, false)).toString('hex');
+}
+
+/**
+ * Decode and verify an invoice from any implementation. Throws
+ * `Invalid invoice: ...` for bad checksums, signatures or structure.
+ * `amountMsats` is null for any-amount invoices.
+ */
+function decodeBolt11(invoice) {
+  if (typeof invoice !== 'string') throw invalid('not a string');
+  let bolt11 = invoice.trim();
+  if (bolt11.toLowerCase().startsWith('lightning:')) bolt11 = bolt11.slice(10);
+  if (bolt11 !== bolt11.toLowerCase() && bolt11 !== bolt11.toUpperCase()) throw invalid('mixed case');
+  bolt11 = bolt11.toLowerCase();
+
+  const separator = bolt11.lastIndexOf('1');
+  if (separator < 1) throw invalid('missing separator');
+  const hrp = bolt11.slice(0, separator);
+  const words = [...bolt11.slice(separator + 1)].map(c => CHARSET.indexOf(c));
+  if (words.some(w => w === -1)) throw invalid('bad character');
+  if (polymod([...hrpExpand(hrp), ...words]) !== 1) throw invalid('bad checksum');
+
+  const [, prefix, amount] = hrp.match(/^ln(bcrt|bc|tbs|tb)(\d*[munp]?)$/) || [];
+  if (!prefix) throw invalid(`unknown prefix "${hrp}"`);
+  const amountMsats = decodeAmount(amount);
+
+  const data = words.slice(0, -6);
+  if (data.length < 7 + 104) throw invalid('too short');
+  const signed = data.slice(0, -104);
+  const sigBytes = Buffer.from(convertBits(data.slice(-104), 5, 8, false));
+
+  const decoded = {
+    bolt11,
+    network: PREFIXES[prefix],
+    amountMsats,
+    amountSats: amountMsats === null ? null : Math.ceil(amountMsats / 1000),
+    timestamp: wordsToInt(signed.slice(0, 7)),
+    paymentHash: null,
+    paymentSecret: null,
+    description: null,
+    descriptionHash: null,
+    expiry: DEFAULT_EXPIRY,
+    minFinalCltvExpiry: DEFAULT_MIN_FINAL_CLTV_EXPIRY,
+    payee: null,
+    features: [],
+    signature: sigBytes.subarray(0, 64).toString('hex'),
+    recoveryFlag: sigBytes[64]
+  };
+
+  for (let i = 7; i < signed.length;) {
+    const type = signed[i];
+    const length = wordsToInt(signed.slice(i + 1, i + 3));
+    const field = signed.slice(i + 3, i + 3 + length);
+    if (field.length !== length) throw invalid('truncated field');
+    i += 3 + length;
+
+    // Readers skip hash, secret and node key fields of the wrong length
+    switch (type) {
+      case TAGS.paymentHash:
+        if (length === 52) decoded.paymentHash = wordsToHex(field);
+        break;
+      case TAGS.paymentSecret:
+        if (length === 52) decoded.paymentSecret = wordsToHex(field);
+        break;
+      case TAGS.descriptionHash:
+        if (length === 52) decoded.descriptionHash = wordsToHex(field);
+        break;
+      case TAGS.payee:
+        if (length === 53) decoded.payee = wordsToHex(field);
+        break;
+      case TAGS.description:
+        decoded.description = Buffer.from(convertBits(field, 5, 8, false)).toString('utf8');
+        break;
+      case TAGS.expiry:
+        decoded.expiry = wordsToInt(field);
+        break;
+      case TAGS.minFinalCltvExpiry:
+        decoded.minFinalCltvExpiry = wordsToInt(field);
+        break;
+      case TAGS.features:
+        field.slice().reverse().forEach((word, w) => {
+          for (let bit = 0; bit < 5; bit++) if ((word >> bit) & 1) decoded.features.push(w * 5 + bit);
+        });
+        break;
+    }
+  }
+
+  if (!decoded.paymentHash) throw invalid('missing payment hash');
+  if (decoded.description === null && !decoded.descriptionHash) decoded.description = '';
+  decoded.expiresAt = decoded.timestamp + decoded.expiry;
+
+  const hash = signingHash(hrp, signed);
+  if (decoded.recoveryFlag > 3) throw invalid('bad signature recovery flag');
+  try {
+    const sig = secp256k1.Signature.fromCompact(sigBytes.subarray(0, 64)).addRecoveryBit(decoded.recoveryFlag);
+    const recovered = Buffer.from(sig.recoverPublicKey(hash).toRawBytes(true)).toString('hex');
+    if (decoded.payee && recovered !== decoded.payee) throw invalid('signature does not match the payee');
+    decoded.payee = recovered;
+  } catch (e) {
+    if (e.message.startsWith('Invalid invoice')) throw e;
+    throw invalid('bad signature');
+  }
+
+  return decoded;
+}
+
+module.exports = { encodeBolt11, decodeBolt11 };
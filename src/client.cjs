@@ -0,0 +1,413 @@
+'use strict';
+
+const { WebSocket } = require('ws');
+const { authEvent } = require('./events.cjs');
+const { realClock } = require('./clock.cjs');
+
+/**
+ * A small Nostr client for driving the mock relay (or any relay) from tests.
+ *
+ * Every call waits for the socket to open, so a client is usable right after
+ * createTestClient(). publish() resolves with the relay's OK, subscribe()
+ * returns an async iterator over a subscription's events, and count() asks
+ * for a NIP-45 COUNT. Given a keypair, the client answers the relay's NIP-42
+ * challenge whenever a request comes back `auth-required:` and retries it.
+ */
+function createTestClient(url, opts = {}) {
+  const {
+    keypair = null,
+    autoAuth = !!keypair,   // AUTH and retry on auth-required rejections
+    timeout = 5000,         // Default ms to wait for OK, EOSE and COUNT
+    clock = realClock
+  } = opts;
+
+  const ws = new WebSocket(url);
+  const messages = [];          // every message received, parsed
+  const notices = [];
+  const pendingOk = new Map();    // event id → [waiter]
+  const pendingCount = new Map(); // subId → [waiter]
+  const subscriptions = new Map(); // subId → subscription state
+  const authenticatedAs = [];
+  let challenge = null;
+  let authenticating = null;
+  let nextId = 1;
+  let closing = false;
+
+  const opened = new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.on('error', reject);
+  });
+  opened.catch(() => {}); // Reported by whichever call awaits it
+
+  ws.on('message', (data) => {
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch (e) {
+      return;
+    }
+    if (!Array.isArray(msg)) return;
+    messages.push(msg);
+    handleMessage(msg);
+  });
+
+  ws.on('close', () => {
+    const lost = new Error('Connection closed');
+    for (const pending of [pendingOk, pendingCount]) {
+      for (const waiters of pending.values()) {
+        for (const waiter of [...waiters]) waiter.reject(lost);
+      }
+    }
+    for (const state of subscriptions.values()) end(state, closing ? null : lost);
+  });
+
+  function handleMessage(msg) {
+    const [type] = msg;
+    switch (type) {
+      case 'OK':
+        take(pendingOk, msg[1])?.resolve({ id: msg[1], ok: msg[2] === true, reason: msg[3] || '' });
+        break;
+
+      case 'EVENT': {
+        const state = subscriptions.get(msg[1]);
+        if (state && !state.closed) {
+          state.events.push(msg[2]);
+          wake(state);
+        }
+        break;
+      }
+
+      case 'EOSE': {
+        const state = subscriptions.get(msg[1]);
+        if (state && !state.eose) {
+          state.eose = true;
+          state.eoseReached.resolve([...state.events]);
+        }
+        break;
+      }
+
+      case 'COUNT':
+        take(pendingCount, msg[1])?.resolve(msg[2]?.count);
+        break;
+
+      case 'CLOSED':
+        handleClosed(msg[1], msg[2] || '');
+        break;
+
+      case 'AUTH':
+        challenge = msg[1];
+        break;
+
+      case 'NOTICE':
+        notices.push(msg[1]);
+        break;
+    }
+  }
+
+  function handleClosed(subId, reason) {
+    const counting = take(pendingCount, subId);
+    if (counting) {
+      counting.reject(Object.assign(new Error(`Relay closed COUNT ${subId}: ${reason}`), { reason }));
+      return;
+    }
+
+    const state = subscriptions.get(subId);
+    if (!state || state.closed) return;
+    if (autoAuth && isAuthRequired(reason) && !state.authRetried) {
+      state.authRetried = true;
+      auth().then(
+        (result) => {
+          if (!result.ok) throw new Error(result.reason);
+          if (!state.closed) send(['REQ', subId, ...state.filters]);
+        }
+      ).catch(() => end(state, closedError(subId, reason)));
+      return;
+    }
+    end(state, closedError(subId, reason));
+  }
+
+  function closedError(subId, reason) {
+    return Object.assign(new Error(`Relay closed subscription ${subId}: ${reason}`), { reason });
+  }
+
+  function isAuthRequired(reason) {
+    return typeof reason === 'string' && reason.startsWith('auth-required:');
+  }
+
+  function send(msg) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
+  }
+
+  // ── Waiting for replies ───────────────────────────────
+
+  /**
+   * Wait for the reply registered under `key`, rejecting after `ms`
+   */
+  function expectReply(pending, key, ms, what) {
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve: (value) => { done(); resolve(value); },
+        reject: (err) => { done(); reject(err); }
+      };
+      const timer = clock.setTimeout(() => {
+        done();
+        reject(new Error(`Timed out after ${ms}ms waiting for ${what}`));
+      }, ms);
+
+      function done() {
+        clock.clearTimeout(timer);
+        const waiters = pending.get(key);
+        if (!waiters || !waiters.includes(waiter)) return;
+        waiters.splice(waiters.indexOf(waiter), 1);
+        if (waiters.length === 0) pending.delete(key);
+      }
+
+      if (!pending.has(key)) pending.set(key, []);
+      pending.get(key).push(waiter);
+    });
+  }
+
+  /**
+   * The oldest waiter for `key`, if any
+   */
+  function take(pending, key) {
+    const waiters = pending.get(key);
+    return waiters ? waiters[0] : undefined;
+  }
+
+  function withTimeout(promise, ms, what) {
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+      timer = clock.setTimeout(() => reject(new Error(`Timed out after ${ms}ms waiting for ${what}`)), ms);
+    });
+    return Promise.race([promise, timedOut]).finally(() => clock.clearTimeout(timer));
+  }
+
+  // ── Subscriptions ─────────────────────────────────────
+
+  function wake(state) {
+    for (const resolve of state.wakers.splice(0)) resolve();
+  }
+
+  /**
+   * Mark a subscription finished; `error` is set when the relay or the
+   * connection ended it rather than the client
+   */
+  function end(state, error) {
+    if (state.closed) return;
+    state.closed = true;
+    state.error = error;
+    if (error) state.reason = error.reason || error.message;
+    state.eoseReached.reject(error || new Error(`Subscription ${state.id} was closed`));
+    state.ended();
+    wake(state);
+  }
+
+  function createSubscription(filters, subOpts = {}) {
+    const id = subOpts.id || `sub${nextId++}`;
+    let resolveEose, rejectEose, ended;
+    const eose = new Promise((resolve, reject) => { resolveEose = resolve; rejectEose = reject; });
+    eose.catch(() => {});
+
+    const state = {
+      id,
+      filters: [].concat(filters),
+      events: [],
+      wakers: [],
+      eose: false,
+      eoseReached: { resolve: resolveEose, reject: rejectEose },
+      eosePromise: eose,
+      endedPromise: new Promise(resolve => { ended = resolve; }),
+      ended: () => ended(),
+      closed: false,
+      error: null,
+      reason: null,
+      authRetried: false
+    };
+    subscriptions.set(id, state);
+
+    opened.then(
+      () => { if (!state.closed) send(['REQ', id, ...state.filters]); },
+      (err) => end(state, err)
+    );
+
+    const subscription = {
+      id,
+      /** Every event received so far */
+      events: state.events,
+      get eose() { return state.eose; },
+      get closed() { return state.closed; },
+      /** Why the relay closed the subscription, if it did */
+      get reason() { return state.reason; },
+
+      /**
+       * Resolve with the stored events once the relay sends EOSE
+       */
+      untilEose(waitOpts = {}) {
+        const ms = waitOpts.timeout ?? timeout;
+        return withTimeout(state.eosePromise, ms, `EOSE on ${id}`);
+      },
+
+      /**
+       * Stop the subscription (sends CLOSE)
+       */
+      close() {
+        if (state.closed) return;
+        send(['CLOSE', id]);
+        end(state, null);
+      },
+
+      /**
+       * Iterate events as they arrive. Ends when the subscription is closed;
+       * throws if the relay closed it. Breaking out of the loop closes it.
+       */
+      [Symbol.asyncIterator]() {
+        let index = 0;
+        return {
+          next: async () => {
+            while (index >= state.events.length) {
+              if (state.error) throw state.error;
+              if (state.closed) return { done: true, value: undefined };
+              await new Promise(resolve => state.wakers.push(resolve));
+            }
+            return { done: false, value: state.events[index++] };
+          },
+          return: async () => {
+            subscription.close();
+            return { done: true, value: undefined };
+          }
+        };
+      }
+    };
+    return subscription;
+  }
+
+  // ── Client API ────────────────────────────────────────
+
+  /**
+   * Answer the relay's AUTH challenge with a kind 22242 event (NIP-42)
+   */
+  function auth(authOpts = {}) {
+    if (!keypair) return Promise.reject(new Error('AUTH needs a keypair'));
+    if (authenticating) return authenticating;
+
+    authenticating = (async () => {
+      await opened;
+      if (!challenge) throw new Error('The relay has not sent an AUTH challenge');
+      const event = authEvent(challenge, url, { secretKey: keypair.secretKey, clock });
+      const reply = expectReply(pendingOk, event.id, authOpts.timeout ?? timeout, `OK for AUTH ${event.id.slice(0, 8)}`);
+      send(['AUTH', event]);
+      const result = await reply;
+      if (result.ok && !authenticatedAs.includes(keypair.pubkey)) authenticatedAs.push(keypair.pubkey);
+      return result;
+    })().finally(() => { authenticating = null; });
+
+    return authenticating;
+  }
+
+  /**
+   * Publish an event; resolves with { id, ok, reason } from the relay's OK
+   */
+  async function publish(event, publishOpts = {}) {
+    const ms = publishOpts.timeout ?? timeout;
+    await opened;
+
+    const attempt = () => {
+      const reply = expectReply(pendingOk, event.id, ms, `OK for ${String(event.id).slice(0, 8)}`);
+      send(['EVENT', event]);
+      return reply;
+    };
+
+    const result = await attempt();
+    if (!result.ok && autoAuth && isAuthRequired(result.reason)) {
+      const authed = await auth({ timeout: ms });
+      if (authed.ok) return attempt();
+    }
+    return result;
+  }
+
+  /**
+   * Open a subscription (one filter or an array of filters)
+   */
+  function subscribe(filters, subOpts) {
+    return createSubscription(filters, subOpts);
+  }
+
+  /**
+   * Subscribe, gather events, then close. With `ms`, collect everything that
+   * arrives in that time; without it, stop at EOSE.
+   */
+  async function collect(filters, ms) {
+    const sub = createSubscription(filters);
+    let timer;
+    try {
+      if (ms === undefined) {
+        await sub.untilEose();
+      } else {
+        const state = subscriptions.get(sub.id);
+        const windowEnds = new Promise(resolve => { timer = clock.setTimeout(resolve, ms); });
+        await Promise.race([windowEnds, state.endedPromise]);
+        if (state.error) throw state.error;
+      }
+      return [...sub.events];
+    } finally {
+      clock.clearTimeout(timer);
+      sub.close();
+    }
+  }
+
+  /**
+   * Ask the relay how many events match (NIP-45); resolves with the count
+   */
+  async function count(filters, countOpts = {}) {
+    const ms = countOpts.timeout ?? timeout;
+    const id = countOpts.id || `count${nextId++}`;
+    await opened;
+
+    const attempt = () => {
+      const reply = expectReply(pendingCount, id, ms, `COUNT on ${id}`);
+      send(['COUNT', id, ...[].concat(filters)]);
+      return reply;
+    };
+
+    try {
+      return await attempt();
+    } catch (err) {
+      if (!(autoAuth && isAuthRequired(err.reason))) throw err;
+      const authed = await auth({ timeout: ms });
+      if (!authed.ok) throw err;
+      return attempt();
+    }
+  }
+
+  /**
+   * Close every subscription and the socket
+   */
+  function close() {
+    closing = true;
+    if (ws.readyState === WebSocket.CLOSED) return Promise.resolve();
+    return new Promise((resolve) => {
+      ws.once('close', () => resolve());
+      ws.close();
+    });
+  }
+
+  return {
+    url,
+    ws,
+    messages,
+    notices,
+    get challenge() { return challenge; },
+    get authenticatedAs() { return [...authenticatedAs]; },
+    ready: () => opened,
+    send: async (msg) => { await opened; send(msg); },
+    auth,
+    publish,
+    subscribe,
+    collect,
+    count,
+    close
+  };
+}
+
+module.exports = { createTestClient };
@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Clocks shared by the relay, wallet, event factories and scenarios.
+ *
+ * Everything that reads the time or waits for a timeout takes a `clock`
+ * option and defaults to `realClock`. A virtual clock from createClock()
+ * only moves when the test calls advance() or set(), and fires its pending
+ * timers as it passes them, so time-dependent behaviour runs instantly.
+ */
+
+const realClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms, ...args) => setTimeout(fn, ms, ...args),
+  clearTimeout: (timer) => clearTimeout(timer),
+  setInterval: (fn, ms, ...args) => setInterval(fn, ms, ...args),
+  clearInterval: (timer) => clearInterval(timer)
+};
+
+/**
+ * Create a virtual clock starting at `start` (ms timestamp or Date, default now)
+ */
+function createClock(start = Date.now()) {
+  let current = start instanceof Date ? start.getTime() : start;
+  let nextId = 1;
+  const timers = new Map(); // id → { due, fn, args, interval }
+
+  function schedule(fn, ms, args, interval) {
+    const id = nextId++;
+    timers.set(id, { due: current + Math.max(0, ms || 0), fn, args, interval });
+    return id;
+  }
+
+  /**
+   * The earliest timer due at or before `until` (ties fire in creation order)
+   */
+  function nextDue(until) {
+    let found = null;
+    for (const [id, timer] of timers) {
+      if (timer.due <= until && (!found || timer.due < found.timer.due)) found = { id, timer };
+    }
+    return found;
+  }
+
+  /**
+   * Move to `target`, firing due timers in order with the clock set to
+   * each timer's due time. Timers scheduled meanwhile fire too if due.
+   */
+  function runUntil(target) {
+    let due;
+    while ((due = nextDue(target))) {
+      const { id, timer } = due;
+      current = Math.max(current, timer.due);
+      if (timer.interval) timer.due = current + Math.max(1, timer.interval);
+      else timers.delete(id);
+      timer.fn(...timer.args);
+    }
+    current = Math.max(current, target);
+  }
+
+  const clock = {
+    now: () => current,
+
+    /**
+     * Move time forward by `ms`, firing timers that come due
+     */
+    advance(ms) {
+      if (ms < 0) throw new Error('Cannot advance the clock backwards; use set()');
+      runUntil(current + ms);
+      return current;
+    },
+
+    /**
+     * Jump to a timestamp (ms or Date). Moving forward fires due timers;
+     * moving back fires nothing.
+     */
+    set(ts) {
+      const target = ts instanceof Date ? ts.getTime() : ts;
+      if (target >= current) runUntil(target);
+      else current = target;
+      return current;
+    },
+
+    setTimeout: (fn, ms, ...args) => schedule(fn, ms, args, 0),
+    clearTimeout: (id) => { timers.delete(id); },
+    setInterval: (fn, ms, ...args) => schedule(fn, ms, args, ms || 1),
+    clearInterval: (id) => { timers.delete(id); },
+
+    /**
+     * Number of timers waiting to fire
+     */
+    pendingTimers: () => timers.size,
+
+    /**
+     * Advance to each pending timeout until none are left (intervals are
+     * skipped, since they never run out); returns the new time
+     */
+    runAll() {
+      for (;;) {
+        let next = null;
+        for (const timer of timers.values()) {
+          if (!timer.interval && (next === null || timer.due < next)) next = timer.due;
+        }
+        if (next === null) return current;
+        runUntil(next);
+      }
+    }
+  };
+
+  return clock;
+}
+
+module.exports = { createClock, realClock };
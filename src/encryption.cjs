@@ -0,0 +1,177 @@
+'use strict';
+
+const crypto = require('crypto');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { defaultRandom } = require('./random.cjs');
+
+/**
+ * NIP-04 and NIP-44 (version 2) payload encryption.
+ *
+ * Both derive a shared secret with ECDH over secp256k1 (the x coordinate of
+ * secretKey · pubkey), so sender and recipient get the same key.
+ * NIP-04 is AES-256-CBC; NIP-44 v2 is ChaCha20 with padding and an HMAC-SHA256.
+ */
+
+/**
+ * ECDH shared x coordinate for a hex secret key and x-only hex pubkey
+ */
+function sharedX(secretKey, pubkey) {
+  return Buffer.from(secp256k1.getSharedSecret(secretKey, '02' + pubkey)).subarray(1, 33);
+}
+
+// ── NIP-04 ──────────────────────────────────────────────
+
+/**
+ * Encrypt for NIP-04: base64 ciphertext + "?iv=" + base64 iv
+ */
+function nip04Encrypt(secretKey, pubkey, plaintext, opts = {}) {
+  const iv = opts.iv || (opts.random || defaultRandom).bytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', sharedX(secretKey, pubkey), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return `${ciphertext.toString('base64')}?iv=${Buffer.from(iv).toString('base64')}`;
+}
+
+/**
+ * Decrypt a NIP-04 payload
+ */
+function nip04Decrypt(secretKey, pubkey, payload) {
+  const [ciphertext, iv] = String(payload).split('?iv=');
+  if (!ciphertext || !iv) throw new Error('Invalid NIP-04 payload: missing iv');
+  const decipher = crypto.createDecipheriv('aes-256-cbc', sharedX(secretKey, pubkey), Buffer.from(iv, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// ── NIP-44 v2 ───────────────────────────────────────────
+
+const NIP44_SALT = Buffer.from('nip44-v2');
+const MIN_PLAINTEXT = 1;
+const MAX_PLAINTEXT = 65535;
+
+function hmac(key, ...parts) {
+  const h = crypto.createHmac('sha256', key);
+  for (const part of parts) h.update(part);
+  return h.digest();
+}
+
+/**
+ * HKDF-Expand (RFC 5869) with SHA-256
+ */
+function hkdfExpand(prk, info, length) {
+  const blocks = [];
+  let previous = Buffer.alloc(0);
+  for (let i = 1; blocks.length * 32 < length; i++) {
+    previous = hmac(prk, previous, info, Buffer.from([i]));
+    blocks.push(previous);
+  }
+  return Buffer.concat(blocks).subarray(0, length);
+}
+
+/**
+ * NIP-44 conversation key: HKDF-Extract(salt "nip44-v2", shared x); hex
+ */
+function getConversationKey(secretKey, pubkey) {
+  return hmac(NIP44_SALT, sharedX(secretKey, pubkey)).toString('hex');
+}
+
+function messageKeys(conversationKey, nonce) {
+  const keys = hkdfExpand(Buffer.from(conversationKey, 'hex'), nonce, 76);
+  return {
+    chachaKey: keys.subarray(0, 32),
+    chachaNonce: keys.subarray(32, 44),
+    hmacKey: keys.subarray(44, 76)
+  };
+}
+
+/**
+ * Padded length for a plaintext of `length` bytes
+ */
+function calcPaddedLength(length) {
+  if (length <= 32) return 32;
+  const nextPower = 1 << (Math.floor(Math.log2(length - 1)) + 1);
+  const chunk = nextPower <= 256 ? 32 : nextPower / 8;
+  return chunk * (Math.floor((length - 1) / chunk) + 1);
+}
+
+function chacha20(key, nonce, data) {
+  // Node's chacha20 takes a 16-byte IV: 32-bit little-endian counter, then the nonce
+  const cipher = crypto.createCipheriv('chacha20', key, Buffer.concat([Buffer.alloc(4), nonce]));
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+/**
+ * Encrypt with a NIP-44 v2 conversation key (hex); returns the base64 payload
+ */
+function nip44EncryptWithKey(conversationKey, plaintext, opts = {}) {
+  const nonce = opts.nonce ? Buffer.from(opts.nonce, 'hex') : (opts.random || defaultRandom).bytes(32);
+  const unpadded = Buffer.from(plaintext, 'utf8');
+  if (unpadded.length < MIN_PLAINTEXT || unpadded.length > MAX_PLAINTEXT) {
+    throw new Error(`Invalid NIP-44 plaintext length: ${unpadded.length}`);
+  }
+
+  const padded = Buffer.alloc(2 + calcPaddedLength(unpadded.length));
+  padded.writeUInt16BE(unpadded.length, 0);
+  unpadded.copy(padded, 2);
+
+  const { chachaKey, chachaNonce, hmacKey } = messageKeys(conversationKey, nonce);
+  const ciphertext = chacha20(chachaKey, chachaNonce, padded);
+  const mac = hmac(hmacKey, nonce, ciphertext);
+  return Buffer.concat([Buffer.from([2]), nonce, ciphertext, mac]).toString('base64');
+}
+
+/**
+ * Decrypt a NIP-44 v2 payload with a conversation key (hex)
+ */
+function nip44DecryptWithKey(conversationKey, payload) {
+  if (typeof payload !== 'string' || payload.length === 0 || payload[0] === '#') {
+    throw new Error('Unknown NIP-44 version');
+  }
+  if (payload.length < 132 || payload.length > 87472) {
+    throw new Error(`Invalid NIP-44 payload length: ${payload.length}`);
+  }
+
+  const data = Buffer.from(payload, 'base64');
+  if (data.length < 99 || data.length > 65603) throw new Error(`Invalid NIP-44 data length: ${data.length}`);
+  if (data[0] !== 2) throw new Error(`Unknown NIP-44 version: ${data[0]}`);
+
+  const nonce = data.subarray(1, 33);
+  const ciphertext = data.subarray(33, data.length - 32);
+  const mac = data.subarray(data.length - 32);
+  const { chachaKey, chachaNonce, hmacKey } = messageKeys(conversationKey, nonce);
+
+  if (!crypto.timingSafeEqual(hmac(hmacKey, nonce, ciphertext), mac)) {
+    throw new Error('Invalid NIP-44 MAC');
+  }
+
+  const padded = chacha20(chachaKey, chachaNonce, ciphertext);
+  const length = padded.readUInt16BE(0);
+  if (length < MIN_PLAINTEXT || length > MAX_PLAINTEXT ||
+      padded.length !== 2 + calcPaddedLength(length)) {
+    throw new Error('Invalid NIP-44 padding');
+  }
+  return padded.subarray(2, 2 + length).toString('utf8');
+}
+
+/**
+ * Encrypt for NIP-44 v2 from a secret key to a pubkey
+ */
+function nip44Encrypt(secretKey, pubkey, plaintext, opts = {}) {
+  return nip44EncryptWithKey(getConversationKey(secretKey, pubkey), plaintext, opts);
+}
+
+/**
+ * Decrypt a NIP-44 v2 payload from a pubkey with a secret key
+ */
+function nip44Decrypt(secretKey, pubkey, payload) {
+  return nip44DecryptWithKey(getConversationKey(secretKey, pubkey), payload);
+}
+
+module.exports = {
+  nip04Encrypt,
+  nip04Decrypt,
+  getConversationKey,
+  calcPaddedLength,
+  nip44EncryptWithKey,
+  nip44DecryptWithKey,
+  nip44Encrypt,
+  nip44Decrypt
+};
@@ -1,38 +1,93 @@
 'use strict';
 
 const crypto = require('crypto');
+const { schnorr, secp256k1 } = require('@noble/curves/secp256k1');
+const { realClock } = require('./clock.cjs');
+const { defaultRandom } = require('./random.cjs');
+const { nip04Encrypt, nip04Decrypt, nip44Encrypt, nip44Decrypt } = require('./encryption.cjs');
+const { validateEvent, getEventHash } = require('./validation.cjs');
 
 /**
  * Helper to generate mock Nostr events for testing.
- * Creates properly structured events without requiring real signatures.
+ * Events are signed with BIP-340 Schnorr signatures whenever a secret key
+ * is available, so they verify in real Nostr libraries.
  */
 
 /**
- * Generate a random hex keypair (not cryptographically valid for Nostr, but fine for testing)
+ * Generate a random secp256k1 keypair (hex secret key, x-only hex pubkey).
+ * Reproducible under setSeed() or with a seeded `random` source.
  */
-function generateKeypair() {
-  const secretKey = crypto.randomBytes(32).toString('hex');
-  const pubkey = crypto.createHash('sha256').update(secretKey).digest('hex');
-  return { secretKey, pubkey };
+function generateKeypair(opts = {}) {
+  const random = opts.random || defaultRandom;
+  let secretKey;
+  do {
+    secretKey = random.hex(32);
+  } while (!secp256k1.utils.isValidPrivateKey(secretKey));
+  return { secretKey, pubkey: getPublicKey(secretKey) };
 }
 
 /**
- * Create a mock Nostr event
+ * The same keypair for the same name, every run (e.g. namedKeypair('alice'))
+ */
+function namedKeypair(name) {
+  let secretKey = crypto.createHash('sha256').update(`agent-test-kit:${name}`).digest('hex');
+  while (!secp256k1.utils.isValidPrivateKey(secretKey)) {
+    secretKey = crypto.createHash('sha256').update(secretKey).digest('hex');
+  }
+  return { secretKey, pubkey: getPublicKey(secretKey) };
+}
+
+/**
+ * Derive the x-only public key for a hex secret key
+ */
+function getPublicKey(secretKey) {
+  return Buffer.from(schnorr.getPublicKey(secretKey)).toString('hex');
+}
+
+/**
+ * Check that an event's id matches its content and its sig is valid for its pubkey
+ */
+function verifyEvent(event) {
+  if (!event || typeof event.id !== 'string' || typeof event.sig !== 'string') return false;
+  if (getEventHash(event) !== event.id) return false;
+  try {
+    return schnorr.verify(event.sig, event.id, event.pubkey);
+  } catch (e) {
+    return false; // Malformed sig or pubkey
+  }
+}
+
+/**
+ * Create a Nostr event.
+ *
+ * With `secretKey` the event is signed and `pubkey` defaults to the matching
+ * public key. With only `pubkey` the sig is random bytes (fine for the mock
+ * relay unless it verifies signatures). With neither, a fresh keypair is used.
+ * `created_at` defaults to the current time of `clock` (see clock.cjs), and
+ * generated keys and signature randomness come from `random` (see random.cjs).
  */
 function createEvent(opts = {}) {
+  const random = opts.random || defaultRandom;
+  const keypair = opts.secretKey || opts.pubkey ? null : generateKeypair({ random });
+  const secretKey = opts.secretKey || (keypair && keypair.secretKey);
   const {
     kind = 1,
     content = '',
     tags = [],
-    pubkey = generateKeypair().pubkey,
-    created_at = Math.floor(Date.now() / 1000)
+    pubkey = keypair ? keypair.pubkey : getPublicKey(secretKey),
+    clock = realClock,
+    created_at = Math.floor(clock.now() / 1000)
   } = opts;
 
-  const serialized = JSON.stringify([0, pubkey, created_at, kind, tags, content]);
-  const id = crypto.createHash('sha256').update(serialized).digest('hex');
-  const sig = crypto.randomBytes(64).toString('hex'); // Fake sig (fine for mock relay)
+  const id = getEventHash({ pubkey, created_at, kind, tags, content });
+  const sig = secretKey
+    ? Buffer.from(schnorr.sign(id, secretKey, random.bytes(32))).toString('hex')
+    : random.hex(64); // Fake sig (fine for mock relay)
 
-  return { id, pubkey, created_at, kind, tags, content, sig };
+  const event = { id, pubkey, created_at, kind, tags, content, sig };
+  const problems = validateEvent(event);
+  if (problems.length) throw new Error(`Invalid event: ${problems.join('; ')}`);
+  return event;
 }
 
 // ── Event Factories ─────────────────────────────────────
@@ -44,21 +99,64 @@ function textNote(content, opts = {}) {
   const tags = [...(opts.tags || [])];
   if (opts.mention) tags.push(['p', opts.mention]);
   if (opts.reply) tags.push(['e', opts.reply]);
-  return createEvent({ kind: 1, content, tags, ...opts });
+  return createEvent({ kind: 1, content, ...opts, tags });
+}
+
+/**
+ * Encrypt content from opts.secretKey to a recipient: 'nip04', 'nip44' (v2)
+ * or 'none' for plaintext
+ */
+function encryptContent(content, recipientPubkey, encryption, opts) {
+  if (encryption === 'none') return content;
+  if (!opts.secretKey) throw new Error(`${encryption} encryption needs the sender's secretKey`);
+  const encrypt = encryption === 'nip44' ? nip44Encrypt : encryption === 'nip04' ? nip04Encrypt : null;
+  if (!encrypt) throw new Error(`Unknown encryption: ${encryption}`);
+  return encrypt(opts.secretKey, recipientPubkey, content, { random: opts.random });
 }
 
 /**
- * Create an encrypted DM (kind 4)
+ * Create a DM (kind 4). With `secretKey` the content is NIP-04 encrypted
+ * (or NIP-44 v2 with `encryption: 'nip44'`); without it, or with
+ * `encryption: 'none'`, the content stays plaintext.
  */
 function dm(content, recipientPubkey, opts = {}) {
+  const { encryption = opts.secretKey ? 'nip04' : 'none', ...rest } = opts;
   return createEvent({
+    ...rest,
     kind: 4,
-    content,
-    tags: [['p', recipientPubkey], ...(opts.tags || [])],
-    ...opts
+    content: encryptContent(content, recipientPubkey, encryption, opts),
+    tags: [['p', recipientPubkey], ...(opts.tags || [])]
+  });
+}
+
+/**
+ * Create an event of any kind whose content is NIP-44 v2 encrypted from
+ * `secretKey` to the recipient (tagged with `p`)
+ */
+function nip44Event(kind, content, recipientPubkey, opts = {}) {
+  return createEvent({
+    ...opts,
+    kind,
+    content: encryptContent(content, recipientPubkey, 'nip44', opts),
+    tags: [['p', recipientPubkey], ...(opts.tags || [])]
   });
 }
 
+/**
+ * Decrypt the content of an encrypted DM (or nip44Event) with either party's
+ * secret key. NIP-04 payloads are recognised by their `?iv=`, anything else
+ * is treated as NIP-44 v2.
+ */
+function decryptDm(event, secretKey) {
+  const own = getPublicKey(secretKey);
+  const pTag = event.tags.find(t => t[0] === 'p');
+  const other = event.pubkey === own ? pTag && pTag[1] : event.pubkey;
+  if (!other) throw new Error('Cannot find the other party of this event');
+  return event.content.includes('?iv=')
+    ? nip04Decrypt(secretKey, other, event.content)
+    : nip44Decrypt(secretKey, other, event.content);
+}
+
 /**
  * Create a DVM request (kind 5xxx)
  */
@@ -66,8 +164,8 @@ function dvmRequest(dvmKind, content, providerPubkey, opts = {}) {
   return createEvent({
     kind: 5000 + dvmKind,
     content,
-    tags: [['p', providerPubkey], ...(opts.tags || [])],
-    ...opts
+    ...opts,
+    tags: [['p', providerPubkey], ...(opts.tags || [])]
   });
 }
 
@@ -78,8 +176,8 @@ function dvmResult(dvmKind, content, requesterPubkey, opts = {}) {
   return createEvent({
     kind: 6000 + dvmKind,
     content,
-    tags: [['p', requesterPubkey], ...(opts.tags || [])],
-    ...opts
+    ...opts,
+    tags: [['p', requesterPubkey], ...(opts.tags || [])]
   });
 }
 
@@ -95,13 +193,13 @@ function zapReceipt(recipientPubkey, amountMsats, opts = {}) {
   return createEvent({
     kind: 9735,
     content: '',
+    ...opts,
     tags: [
       ['p', recipientPubkey],
       ['bolt11', opts.bolt11 || `lnbc${Math.ceil(amountMsats / 1000)}n1mock`],
       ['description', zapRequest],
       ...(opts.tags || [])
-    ],
-    ...opts
+    ]
   });
 }
 
@@ -112,8 +210,8 @@ function reaction(targetEventId, targetPubkey, emoji = '+', opts = {}) {
   return createEvent({
     kind: 7,
     content: emoji,
-    tags: [['e', targetEventId], ['p', targetPubkey], ...(opts.tags || [])],
-    ...opts
+    ...opts,
+    tags: [['e', targetEventId], ['p', targetPubkey], ...(opts.tags || [])]
   });
 }
 
@@ -124,13 +222,13 @@ function trustAttestation(targetPubkey, type, comment, opts = {}) {
   return createEvent({
     kind: 1985,
     content: comment,
+    ...opts,
     tags: [
       ['L', 'ai.wot'],
       ['l', type, 'ai.wot'],
       ['p', targetPubkey],
       ...(opts.tags || [])
-    ],
-    ...opts
+    ]
   });
 }
 
@@ -138,10 +236,11 @@ function trustAttestation(targetPubkey, type, comment, opts = {}) {
  * Create a marketplace task (kind 30950)
  */
 function marketplaceTask(title, budget, opts = {}) {
-  const taskId = opts.taskId || crypto.randomUUID();
+  const taskId = opts.taskId || (opts.random || defaultRandom).uuid();
   return createEvent({
     kind: 30950,
     content: opts.description || '',
+    ...opts,
     tags: [
       ['d', taskId],
       ['title', title],
@@ -149,8 +248,7 @@ function marketplaceTask(title, budget, opts = {}) {
       ['status', opts.status || 'open'],
       ...(opts.capabilities || []).map(c => ['c', c]),
       ...(opts.tags || [])
-    ],
-    ...opts
+    ]
   });
 }
 
@@ -161,14 +259,14 @@ function marketplaceBid(taskEventId, posterPubkey, amount, lightningAddress, opt
   return createEvent({
     kind: 950,
     content: opts.message || '',
+    ...opts,
     tags: [
       ['e', taskEventId],
       ['p', posterPubkey],
       ['amount', String(amount)],
       ['ln', lightningAddress],
       ...(opts.tags || [])
-    ],
-    ...opts
+    ]
   });
 }
 
@@ -180,13 +278,13 @@ function marketplaceDelivery(taskEventId, posterPubkey, result, opts = {}) {
   return createEvent({
     kind: 951,
     content: result,
+    ...opts,
     tags: [
       ['e', taskEventId],
       ['p', posterPubkey],
       ['hash', hash],
       ...(opts.tags || [])
-    ],
-    ...opts
+    ]
   });
 }
 
@@ -197,6 +295,7 @@ function serviceAnnouncement(name, capabilities, opts = {}) {
   return createEvent({
     kind: 38990,
     content: opts.description || '',
+    ...opts,
     tags: [
       ['d', opts.identifier || name.toLowerCase().replace(/\s+/g, '-')],
       ['title', name],
@@ -205,16 +304,169 @@ function serviceAnnouncement(name, capabilities, opts = {}) {
       ...(opts.lightningAddress ? [['ln', opts.lightningAddress]] : []),
       ['status', opts.status || 'active'],
       ...(opts.tags || [])
-    ],
-    ...opts
+    ]
+  });
+}
+
+/**
+ * Create a NIP-09 deletion request (kind 5).
+ * Targets may be events, event ids, or `kind:pubkey:d` coordinates; addressable
+ * events get both an `e` and an `a` tag.
+ */
+function deletionRequest(targets, reason = '', opts = {}) {
+  const targetTags = [];
+  for (const target of targets) {
+    if (typeof target === 'string') {
+      targetTags.push(target.includes(':') ? ['a', target] : ['e', target]);
+      continue;
+    }
+    targetTags.push(['e', target.id]);
+    if (target.kind >= 30000 && target.kind < 40000) {
+      const dTag = target.tags.find(t => t[0] === 'd');
+      targetTags.push(['a', `${target.kind}:${target.pubkey}:${dTag ? dTag[1] : ''}`]);
+    }
+    targetTags.push(['k', String(target.kind)]);
+  }
+  return createEvent({
+    ...opts,
+    kind: 5,
+    content: reason,
+    tags: [...targetTags, ...(opts.tags || [])]
+  });
+}
+
+/**
+ * Create a NIP-42 client authentication event (kind 22242)
+ */
+function authEvent(challenge, relayUrl, opts = {}) {
+  return createEvent({
+    ...opts,
+    kind: 22242,
+    content: '',
+    tags: [
+      ['relay', relayUrl],
+      ['challenge', challenge],
+      ...(opts.tags || [])
+    ]
+  });
+}
+
+// ── NIP-17 / NIP-59 ─────────────────────────────────────
+
+const TWO_DAYS = 2 * 24 * 60 * 60;
+
+/**
+ * A created_at up to two days in the past, as NIP-59 recommends for seals
+ * and wraps so their timestamps don't reveal when a message was sent
+ */
+function randomizedTimestamp(opts) {
+  const now = Math.floor((opts.clock || realClock).now() / 1000);
+  return now - (opts.random || defaultRandom).bytes(4).readUInt32BE(0) % TWO_DAYS;
+}
+
+/**
+ * Create an unsigned NIP-17 chat message rumor (kind 14) to one or more
+ * recipients. `subject` and `replyTo` (event id) add the matching tags.
+ */
+function chatMessage(content, recipientPubkeys, opts = {}) {
+  const tags = [].concat(recipientPubkeys).map(p => ['p', p]);
+  if (opts.replyTo) tags.push(['e', opts.replyTo]);
+  if (opts.subject) tags.push(['subject', opts.subject]);
+  const { sig, ...rumor } = createEvent({ ...opts, kind: 14, content, tags: [...tags, ...(opts.tags || [])] });
+  return rumor;
+}
+
+/**
+ * Seal a rumor (kind 13): NIP-44 encrypted to the recipient and signed by
+ * the author, with no tags and a randomized created_at
+ */
+function seal(rumor, secretKey, recipientPubkey, opts = {}) {
+  return createEvent({
+    clock: opts.clock,
+    random: opts.random,
+    secretKey,
+    kind: 13,
+    content: nip44Encrypt(secretKey, recipientPubkey, JSON.stringify(rumor), { random: opts.random }),
+    tags: [],
+    created_at: opts.created_at || randomizedTimestamp(opts)
+  });
+}
+
+/**
+ * Gift wrap an event (kind 1059) for a recipient with a fresh ephemeral key
+ * and a randomized created_at
+ */
+function giftWrap(event, recipientPubkey, opts = {}) {
+  const ephemeral = generateKeypair({ random: opts.random });
+  return createEvent({
+    clock: opts.clock,
+    random: opts.random,
+    secretKey: ephemeral.secretKey,
+    kind: 1059,
+    content: nip44Encrypt(ephemeral.secretKey, recipientPubkey, JSON.stringify(event), { random: opts.random }),
+    tags: [['p', recipientPubkey], ...(opts.tags || [])],
+    created_at: opts.created_at || randomizedTimestamp(opts)
+  });
+}
+
+/**
+ * Build a complete NIP-17 direct message: a kind 14 rumor sealed and gift
+ * wrapped once for every recipient and once for the sender (so their other
+ * clients see it too, unless `wrapForSender` is false).
+ * Returns { rumor, wraps } with wraps in recipient order, sender last.
+ */
+function privateDirectMessage(content, recipientPubkeys, opts = {}) {
+  if (!opts.secretKey) throw new Error('NIP-17 messages need the sender\'s secretKey');
+  const { wrapForSender = true, ...rest } = opts;
+  const recipients = [].concat(recipientPubkeys);
+  const rumor = chatMessage(content, recipients, rest);
+  const wrapOpts = { clock: opts.clock, random: opts.random };
+
+  const targets = wrapForSender ? [...recipients, rumor.pubkey] : recipients;
+  const wraps = targets.map(pubkey => giftWrap(seal(rumor, opts.secretKey, pubkey, wrapOpts), pubkey, wrapOpts));
+  return { rumor, wraps };
+}
+
+/**
+ * Open a gift wrap with the recipient's secret key. Checks the seal's
+ * signature and that the seal and rumor have the same author; returns
+ * { rumor, seal, sender }.
+ */
+function unwrap(wrap, secretKey) {
+  if (wrap.kind !== 1059) throw new Error(`Not a gift wrap: kind ${wrap.kind}`);
+  const sealed = JSON.parse(nip44Decrypt(secretKey, wrap.pubkey, wrap.content));
+  if (sealed.kind !== 13) throw new Error(`Gift wrap does not contain a seal: kind ${sealed.kind}`);
+  if (!verifyEvent(sealed)) throw new Error('Seal has an invalid signature');
+
+  const rumor = JSON.parse(nip44Decrypt(secretKey, sealed.pubkey, sealed.content));
+  if (rumor.pubkey !== sealed.pubkey) throw new Error('Rumor author does not match the seal');
+  if (rumor.id !== getEventHash(rumor)) throw new Error('Rumor id does not match its content');
+  return { rumor, seal: sealed, sender: sealed.pubkey };
+}
+
+/**
+ * Create a NIP-17 DM relay list (kind 10050)
+ */
+function dmRelayList(relayUrls, opts = {}) {
+  return createEvent({
+    ...opts,
+    kind: 10050,
+    content: '',
+    tags: [...relayUrls.map(url => ['relay', url]), ...(opts.tags || [])]
   });
 }
 
 module.exports = {
   generateKeypair,
+  namedKeypair,
+  getPublicKey,
+  getEventHash,
+  verifyEvent,
   createEvent,
   textNote,
   dm,
+  nip44Event,
+  decryptDm,
   dvmRequest,
   dvmResult,
   zapReceipt,
@@ -223,5 +475,13 @@ module.exports = {
   marketplaceTask,
   marketplaceBid,
   marketplaceDelivery,
-  serviceAnnouncement
+  serviceAnnouncement,
+  deletionRequest,
+  authEvent,
+  chatMessage,
+  seal,
+  giftWrap,
+  privateDirectMessage,
+  unwrap,
+  dmRelayList
 };
@@ -0,0 +1,239 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Network fault injection for the mock relay.
+ *
+ * The relay routes every outgoing frame through the injector's hooks; tests
+ * drive it through the control surface exposed as `relay.faults`. Random
+ * choices come from a seedable RNG so a failing run can be reproduced, and
+ * every injected fault is recorded in the log.
+ */
+
+/**
+ * Small seedable PRNG (mulberry32), returns floats in [0, 1). Non-numeric
+ * seeds (the kit's string seeds) are hashed to a number.
+ */
+function createRng(seed) {
+  let state = typeof seed === 'number'
+    ? seed >>> 0
+    : crypto.createHash('sha256').update(String(seed)).digest().readUInt32BE(0);
+  return function next() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Create a fault injector.
+ *
+ * `listClients()` returns the ids of open connections and `dropClient(id)`
+ * terminates one; both are provided by the relay.
+ */
+function createFaultInjector(opts = {}) {
+  const {
+    listClients = () => [],
+    dropClient: terminate = () => false,
+    now = () => Date.now()
+  } = opts;
+
+  let rng = createRng(opts.seed === undefined ? Date.now() : opts.seed);
+  const log = [];
+  let config = defaults();
+
+  function defaults() {
+    return {
+      delay: null,           // { min, max } ms
+      dropEvents: 0,         // probability
+      duplicateEvents: 0,    // probability
+      reorder: false,
+      withholdEose: false,
+      refuseUntil: 0         // ms timestamp
+    };
+  }
+
+  function record(type, details = {}) {
+    const entry = { type, ...details, timestamp: now() };
+    log.push(entry);
+    return entry;
+  }
+
+  function pick(list) {
+    return list[Math.floor(rng() * list.length)];
+  }
+
+  // ── Control surface (relay.faults) ────────────────────
+
+  const controls = {
+    /**
+     * Reseed the RNG
+     */
+    seed(seed) {
+      rng = createRng(seed);
+      return controls;
+    },
+
+    /**
+     * Terminate a client's connection abruptly; a random one when no id is given.
+     * Returns the dropped client id, or null if there was none.
+     */
+    dropClient(clientId) {
+      const id = clientId || pick(listClients());
+      if (!id || !terminate(id)) return null;
+      record('drop-client', { clientId: id });
+      return id;
+    },
+
+    /**
+     * Delay every outgoing message by `ms`, or by a random amount in { min, max }.
+     * Messages to a client keep their order. 0 turns delays off.
+     */
+    delay(ms) {
+      if (!ms) config.delay = null;
+      else config.delay = typeof ms === 'number' ? { min: ms, max: ms } : { min: ms.min || 0, max: ms.max };
+      return controls;
+    },
+
+    /**
+     * Drop EVENT deliveries to subscribers with the given probability
+     */
+    dropEvents(probability = 1) {
+      config.dropEvents = probability;
+      return controls;
+    },
+
+    /**
+     * Deliver EVENTs to subscribers twice with the given probability
+     */
+    duplicateEvents(probability = 1) {
+      config.duplicateEvents = probability;
+      return controls;
+    },
+
+    /**
+     * Shuffle the stored events sent for each new subscription, and live
+     * events broadcast to a subscription in the same tick
+     */
+    reorder(enabled = true) {
+      config.reorder = enabled;
+      return controls;
+    },
+
+    /**
+     * Never send EOSE for new subscriptions
+     */
+    withholdEose(enabled = true) {
+      config.withholdEose = enabled;
+      return controls;
+    },
+
+    /**
+     * Refuse new connections (HTTP 503 on upgrade) for the next `ms`
+     */
+    refuseConnections(ms) {
+      config.refuseUntil = ms ? now() + ms : 0;
+      return controls;
+    },
+
+    /**
+     * Get recorded faults, optionally only those of one type
+     */
+    getLog(type = null) {
+      if (!type) return [...log];
+      return log.filter(entry => entry.type === type);
+    },
+
+    /**
+     * Turn all faults off and clear the log
+     */
+    reset() {
+      config = defaults();
+      log.length = 0;
+      return controls;
+    }
+  };
+
+  // ── Relay hooks ───────────────────────────────────────
+
+  const hooks = {
+    /**
+     * Whether a new connection should be refused right now
+     */
+    refuseConnection() {
+      if (now() >= config.refuseUntil) return false;
+      record('refuse-connection');
+      return true;
+    },
+
+    /**
+     * Plan the delivery of an outgoing message: returns one delay (ms) per copy
+     * to send, so [] drops it and [d, d] duplicates it.
+     */
+    outgoing(clientId, msg) {
+      let copies = 1;
+      if (msg[0] === 'EVENT') {
+        const details = { clientId, subId: msg[1], eventId: msg[2] && msg[2].id };
+        if (config.dropEvents && rng() < config.dropEvents) {
+          record('drop-event', details);
+          return [];
+        }
+        if (config.duplicateEvents && rng() < config.duplicateEvents) {
+          record('duplicate-event', details);
+          copies = 2;
+        }
+      }
+
+      let delayMs = 0;
+      if (config.delay) {
+        const { min, max } = config.delay;
+        delayMs = Math.round(min + rng() * (max - min));
+        record('delay', { clientId, message: msg[0], delayMs });
+      }
+      return new Array(copies).fill(delayMs);
+    },
+
+    /**
+     * Whether live events should be held back so they can be shuffled
+     */
+    reordersLive() {
+      return Boolean(config.reorder);
+    },
+
+    /**
+     * Possibly shuffle the events about to be sent for a subscription
+     */
+    orderBatch(clientId, subId, list) {
+      if (!config.reorder || list.length < 2) return list;
+      const shuffled = [...list];
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      record('reorder', { clientId, subId, count: list.length });
+      return shuffled;
+    },
+
+    /**
+     * Whether to skip the EOSE for a subscription
+     */
+    withholdEose(clientId, subId) {
+      if (!config.withholdEose) return false;
+      record('withhold-eose', { clientId, subId });
+      return true;
+    }
+  };
+
+  if (opts.delay) controls.delay(opts.delay);
+  if (opts.dropEvents) controls.dropEvents(opts.dropEvents);
+  if (opts.duplicateEvents) controls.duplicateEvents(opts.duplicateEvents);
+  if (opts.reorder) controls.reorder(opts.reorder);
+  if (opts.withholdEose) controls.withholdEose(opts.withholdEose);
+
+  return { controls, hooks };
+}
+
+module.exports = { createFaultInjector, createRng };
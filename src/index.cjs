@@ -1,18 +1,58 @@
 'use strict';
 
 const { createMockRelay } = require('./relay.cjs');
-const { createMockWallet } = require('./wallet.cjs');
+const { createRelayNetwork } = require('./network.cjs');
+const { createMockWallet, PAYMENT_FAILURES } = require('./wallet.cjs');
+const { createMockLightningNetwork } = require('./lightning.cjs');
+const { encodeBolt11, decodeBolt11 } = require('./bolt11.cjs');
+const { createTestClient } = require('./client.cjs');
+const { createClock, realClock } = require('./clock.cjs');
+const { createRandom, setSeed } = require('./random.cjs');
 const events = require('./events.cjs');
+const { validateEvent } = require('./validation.cjs');
 const scenarios = require('./scenarios.cjs');
+const policies = require('./policies.cjs');
+const encryption = require('./encryption.cjs');
+const assertions = require('./assertions.cjs');
 
 module.exports = {
   // Core mocks
   createMockRelay,
+  createRelayNetwork,
   createMockWallet,
+  createMockLightningNetwork,
+  PAYMENT_FAILURES,
+
+  // Lightning invoices (BOLT11)
+  encodeBolt11,
+  decodeBolt11,
+
+  // Test client
+  createTestClient,
+
+  // Time
+  createClock,
+  realClock,
+
+  // Deterministic randomness
+  setSeed,
+  createRandom,
+
+  // Relay policies
+  ...policies,
 
   // Event factories
   ...events,
 
+  // Event validation
+  validateEvent,
+
+  // NIP-04 / NIP-44 encryption
+  ...encryption,
+
   // Pre-built scenarios
-  ...scenarios
+  ...scenarios,
+
+  // Assertions and Jest/Vitest matchers
+  ...assertions
 };
@@ -1,5 +1,44 @@
 // Type definitions for agent-test-kit
 
+import { EventEmitter } from 'events';
+
+// ── Clock ───────────────────────────────────────────────
+
+export interface Clock {
+  now(): number;
+  setTimeout(fn: (...args: any[]) => void, ms?: number, ...args: any[]): any;
+  clearTimeout(timer: any): void;
+  setInterval(fn: (...args: any[]) => void, ms?: number, ...args: any[]): any;
+  clearInterval(timer: any): void;
+}
+
+export interface VirtualClock extends Clock {
+  /** Move forward, firing due timers; returns the new time */
+  advance(ms: number): number;
+  /** Jump to a time; moving forward fires due timers */
+  set(ts: number | Date): number;
+  pendingTimers(): number;
+  /** Advance through every pending timeout; returns the new time */
+  runAll(): number;
+}
+
+/** Virtual clock starting at `start` (default: now) */
+export function createClock(start?: number | Date): VirtualClock;
+export const realClock: Clock;
+
+// ── Randomness ──────────────────────────────────────────
+
+export interface RandomSource {
+  bytes(n: number): Buffer;
+  hex(n: number): string;
+  uuid(): string;
+}
+
+/** Reproducible random stream (not secure) */
+export function createRandom(seed: number | string): RandomSource;
+/** Seed the default source for keys, sigs, preimages and ids; null restores crypto randomness */
+export function setSeed(seed: number | string | null): void;
+
 // ── Mock Relay ──────────────────────────────────────────
 
 export interface NostrEvent {
@@ -19,6 +58,8 @@ export interface NostrFilter {
   since?: number;
   until?: number;
   limit?: number;
+  /** NIP-50 full-text search query */
+  search?: string;
   [key: `#${string}`]: string[];
 }
 
@@ -31,47 +72,489 @@ export interface RelayStatus {
   subscriptions: number;
 }
 
-export interface MockRelay {
+export interface RelayConnection {
+  id: string;
+  challenge: string | null;
+  /** First pubkey this connection authenticated as (NIP-42), or null */
+  pubkey: string | null;
+  pubkeys: string[];
+}
+
+export type RelayAuthOption =
+  | 'none'
+  | 'optional'
+  | 'required'
+  | { kinds?: number[]; filters?: NostrFilter[]; timeWindow?: number };
+
+export interface RelayLimitation {
+  max_message_length?: number;
+  max_subscriptions?: number;
+  max_filters?: number;
+  max_limit?: number;
+  default_limit?: number;
+  max_subid_length?: number;
+  max_event_tags?: number;
+  max_content_length?: number;
+  min_pow_difficulty?: number;
+  auth_required?: boolean;
+  payment_required?: boolean;
+  restricted_writes?: boolean;
+  [key: string]: any;
+}
+
+/** NIP-11 relay information document */
+export interface RelayInfo {
+  name?: string;
+  description?: string;
+  pubkey?: string;
+  contact?: string;
+  supported_nips?: number[];
+  software?: string;
+  version?: string;
+  limitation?: RelayLimitation;
+  fees?: Record<string, Array<{ amount: number; unit: string; period?: number; kinds?: number[] }>>;
+  [key: string]: any;
+}
+
+export interface PolicyContext {
+  connection: { id: string | null; remoteAddress: string | null };
+  /** First NIP-42 authenticated pubkey on this connection, or null */
+  pubkey: string | null;
+  pubkeys: string[];
+  subId?: string;
+}
+
+/** true/undefined accepts; false, a NIP-01 reason string or { accept: false, reason } rejects */
+export type PolicyResult = boolean | string | void | null | { accept: boolean; reason?: string };
+
+export interface RelayPolicy {
+  event?(event: NostrEvent, ctx: PolicyContext): PolicyResult | Promise<PolicyResult>;
+  req?(filters: NostrFilter[], ctx: PolicyContext): PolicyResult | Promise<PolicyResult>;
+}
+
+export type RelayPolicyOption = RelayPolicy | RelayPolicy['event'] | Array<RelayPolicy | RelayPolicy['event']>;
+
+export interface FaultLogEntry {
+  type: 'drop-client' | 'delay' | 'drop-event' | 'duplicate-event' | 'reorder' | 'withhold-eose' | 'refuse-connection';
+  timestamp: number;
+  clientId?: string;
+  subId?: string;
+  eventId?: string;
+  [key: string]: any;
+}
+
+export type FaultDelay = number | { min?: number; max: number };
+
+export interface RelayFaults {
+  seed(seed: number | string): RelayFaults;
+  /** Terminate a client (random one if no id); returns the dropped id or null */
+  dropClient(clientId?: string): string | null;
+  delay(ms: FaultDelay): RelayFaults;
+  dropEvents(probability?: number): RelayFaults;
+  duplicateEvents(probability?: number): RelayFaults;
+  reorder(enabled?: boolean): RelayFaults;
+  withholdEose(enabled?: boolean): RelayFaults;
+  refuseConnections(ms: number): RelayFaults;
+  getLog(type?: FaultLogEntry['type']): FaultLogEntry[];
+  reset(): RelayFaults;
+}
+
+export interface RelaySnapshot {
+  events: NostrEvent[];
+  deleted: NostrEvent[];
+  deletedIds: Array<[string, string]>;
+  deletedAddresses: Array<[string, number]>;
+}
+
+export interface TrafficFrame {
+  seq: number;
+  clientId: string;
+  direction: 'in' | 'out';
+  /** Message type (`EVENT`, `OK`, ...), or `INVALID` for frames that are not a JSON array */
+  type: string;
+  message: any[] | string;
+  timestamp: number;
+}
+
+export interface TrafficQuery {
+  clientId?: string;
+  direction?: 'in' | 'out';
+  type?: string;
+}
+
+export interface Cassette {
+  version: number;
+  recordedAt?: string;
+  connections: Array<{
+    clientId: string;
+    frames: Array<{ direction: 'in' | 'out'; message: any[] | string; offsetMs: number }>;
+  }>;
+}
+
+export interface ReplayOptions {
+  /** Cassette object or path to a cassette file */
+  cassette: Cassette | string;
+  /** Whether a client frame matches the recorded one (default: same message type) */
+  match?: (recorded: any[] | string, actual: any[] | string) => boolean;
+  /** Wait the recorded gaps before each reply (default false: reply at once) */
+  preserveTiming?: boolean;
+}
+
+export interface NearMiss {
+  event: NostrEvent;
+  /** Filter fields the event did not match */
+  mismatched: string[];
+}
+
+export interface RelaySubscription {
+  clientId: string;
+  subId: string;
+  filters: NostrFilter[];
+}
+
+export interface MockRelay extends EventEmitter {
   start(): Promise<{ port: number; url: string }>;
   stop(): Promise<void>;
   inject(event: NostrEvent): boolean;
+  /** Resolve once a matching event is accepted (stored ones count unless existing: false) */
+  waitForEvent(filter: NostrFilter, opts?: { timeout?: number; existing?: boolean }): Promise<NostrEvent>;
+  waitForEvent(filter: NostrFilter, opts: { timeout?: number; existing?: boolean; count: number }): Promise<NostrEvent[]>;
+  /** Resolve once a REQ with a filter covering `filter` is open */
+  waitForSubscription(filter: NostrFilter, opts?: { timeout?: number }): Promise<RelaySubscription>;
+  /** Events matching some of the filter's fields, closest first; `all` adds ones matching none */
+  nearMisses(filter: NostrFilter, opts?: { candidates?: NostrEvent[]; max?: number; all?: boolean }): NearMiss[];
+  on(name: 'event', listener: (event: NostrEvent, source: { clientId: string | null }) => void): this;
+  on(name: 'req', listener: (subId: string, filters: NostrFilter[], source: { clientId: string }) => void): this;
+  on(name: 'close', listener: (subId: string, source: { clientId: string }) => void): this;
+  on(name: 'connect' | 'disconnect', listener: (connection: { id: string; remoteAddress: string }) => void): this;
   getEvents(filter?: NostrFilter): NostrEvent[];
+  /** Events removed by NIP-09 deletion requests */
+  getDeleted(filter?: NostrFilter): NostrEvent[];
   clear(): void;
+  /** A deep copy of the stored events and deletion state */
+  snapshot(): RelaySnapshot;
+  restore(snapshot: RelaySnapshot): void;
+  /** Load a one-event-per-line JSONL file through the normal store path; throws on invalid events */
+  loadFixtures(path: string): { stored: number; skipped: number };
+  /** Write stored events (oldest first) as JSONL; returns the number written */
+  exportJsonl(path: string, filter?: NostrFilter): number;
+  /** Recorded WebSocket frames, in order */
+  getTraffic(query?: TrafficQuery): TrafficFrame[];
+  clearTraffic(): void;
+  getCassette(query?: { clientId?: string }): Cassette;
+  /** Write recorded traffic as a cassette file; returns the cassette */
+  saveCassette(path: string, query?: { clientId?: string }): Cassette;
   status(): RelayStatus;
+  getConnections(): RelayConnection[];
+  getInfo(): RelayInfo;
+  faults: RelayFaults;
   matchesFilter(event: NostrEvent, filter: NostrFilter): boolean;
   matchesFilters(event: NostrEvent, filters: NostrFilter[]): boolean;
 }
 
-export function createMockRelay(opts?: { port?: number; logging?: boolean }): MockRelay;
+export function createMockRelay(opts?: {
+  port?: number;
+  logging?: boolean;
+  /** Reject events with a bad BIP-340 signature */
+  verifySignatures?: boolean;
+  /** Also apply validateEvent's per-kind rules to published events */
+  strictValidation?: boolean;
+  auth?: RelayAuthOption;
+  /** Clock for timestamps, fault and replay delays, and waitFor* timeouts (default realClock) */
+  clock?: Clock;
+  /** Time in milliseconds for NIP-40 expiration and AUTH checks (default clock.now) */
+  now?: () => number;
+  /** Seed for AUTH challenges (and faults, when faults.seed is unset) */
+  seed?: number | string | RandomSource;
+  /** NIP-50: tags searched besides content, and an optional scoring function (> 0 = match, higher ranks first) */
+  search?: { tags?: string[]; score?: (event: NostrEvent, query: string) => number | boolean };
+  /** NIP-11 document overrides; `limitation` values are enforced */
+  info?: RelayInfo;
+  policy?: RelayPolicyOption;
+  faults?: {
+    seed?: number | string;
+    delay?: FaultDelay;
+    dropEvents?: number;
+    duplicateEvents?: number;
+    reorder?: boolean;
+    withholdEose?: boolean;
+  };
+  /** Record every frame for getTraffic() and cassettes (default false) */
+  recordTraffic?: boolean;
+  /** Serve a recorded cassette instead of running the protocol */
+  replay?: Cassette | string | ReplayOptions;
+}): MockRelay;
+
+// ── Relay Network ───────────────────────────────────────
+
+export interface RelayLink {
+  from: number;
+  to: number;
+  delayMs: number;
+}
+
+export interface RelayNetwork {
+  relays: MockRelay[];
+  readonly urls: string[];
+  relay(index: number): MockRelay;
+  /** Start every relay; resolves with their URLs */
+  start(): Promise<string[]>;
+  stop(): Promise<void>;
+  link(a: number, b: number, opts?: { delayMs?: number; oneWay?: boolean }): RelayNetwork;
+  unlink(a: number, b: number, opts?: { oneWay?: boolean }): RelayNetwork;
+  getLinks(): RelayLink[];
+  /** Relays in different groups stop replicating; unlisted relays form one more group */
+  partition(...groups: number[][]): RelayNetwork;
+  /** Remove the partition and deliver the copies it held back */
+  heal(): RelayNetwork;
+  /** Extra delay for copies replicated into a relay (0 clears) */
+  lag(index: number, ms: number): RelayNetwork;
+  offline(index: number): Promise<void>;
+  online(index: number): Promise<void>;
+  isOnline(index: number): boolean;
+  /** Resolve once no replicated copies are in flight */
+  settle(): Promise<void>;
+  /** Indexes of the relays holding an event */
+  whoHas(eventId: string): number[];
+}
+
+export function createRelayNetwork(opts?: {
+  relays?: number;
+  /** 'mesh' (default), 'none', or two-way links as index pairs */
+  topology?: 'mesh' | 'none' | Array<[number, number]>;
+  /** Default per-link replication delay */
+  delayMs?: number;
+  /** Options for every relay in the network */
+  relay?: Parameters<typeof createMockRelay>[0];
+  /** Clock for replication delays, also given to every relay (default relay.clock or realClock) */
+  clock?: Clock;
+}): RelayNetwork;
+
+// ── Test Client ─────────────────────────────────────────
+
+export interface PublishResult {
+  id: string;
+  ok: boolean;
+  reason: string;
+}
+
+export interface ClientSubscription extends AsyncIterable<NostrEvent> {
+  id: string;
+  /** Every event received so far */
+  events: NostrEvent[];
+  readonly eose: boolean;
+  readonly closed: boolean;
+  /** Why the relay closed the subscription, if it did */
+  readonly reason: string | null;
+  /** Resolve with the stored events once the relay sends EOSE */
+  untilEose(opts?: { timeout?: number }): Promise<NostrEvent[]>;
+  close(): void;
+}
+
+/** The parts of the underlying `ws` WebSocket that tests typically reach for */
+export interface ClientSocket {
+  readonly readyState: number;
+  readonly CONNECTING: number;
+  readonly OPEN: number;
+  readonly CLOSING: number;
+  readonly CLOSED: number;
+  send(data: string): void;
+  close(code?: number, reason?: string): void;
+  terminate(): void;
+  on(event: string, listener: (...args: any[]) => void): this;
+  off(event: string, listener: (...args: any[]) => void): this;
+}
+
+export interface TestClient {
+  url: string;
+  ws: ClientSocket;
+  /** Every message received, parsed */
+  messages: unknown[][];
+  notices: string[];
+  readonly challenge: string | null;
+  readonly authenticatedAs: string[];
+  ready(): Promise<void>;
+  /** Send a raw message once connected */
+  send(message: unknown[]): Promise<void>;
+  auth(opts?: { timeout?: number }): Promise<PublishResult>;
+  publish(event: NostrEvent, opts?: { timeout?: number }): Promise<PublishResult>;
+  subscribe(filters: NostrFilter | NostrFilter[], opts?: { id?: string }): ClientSubscription;
+  /** Events up to EOSE, or everything received within `ms` */
+  collect(filters: NostrFilter | NostrFilter[], ms?: number): Promise<NostrEvent[]>;
+  count(filters: NostrFilter | NostrFilter[], opts?: { id?: string; timeout?: number }): Promise<number>;
+  close(): Promise<void>;
+}
+
+export function createTestClient(url: string, opts?: {
+  /** Used to answer NIP-42 challenges */
+  keypair?: Keypair;
+  /** AUTH and retry when a request is rejected auth-required (default: when a keypair is given) */
+  autoAuth?: boolean;
+  /** Default ms to wait for OK, EOSE and COUNT (default 5000) */
+  timeout?: number;
+  clock?: Clock;
+}): TestClient;
+
+// ── Relay Policies ──────────────────────────────────────
+
+export function rateLimit(opts?: {
+  max?: number;
+  windowMs?: number;
+  /** Clock the window is timed on (default realClock) */
+  clock?: Clock;
+  now?: () => number;
+  keyOf?: (event: NostrEvent, ctx: PolicyContext) => string;
+}): RelayPolicy;
+export function allowKinds(kinds: number[]): RelayPolicy;
+export function denyKinds(kinds: number[]): RelayPolicy;
+export function blockPubkeys(pubkeys: string[]): RelayPolicy;
+
+// ── BOLT11 ──────────────────────────────────────────────
+
+export type BitcoinNetwork = 'mainnet' | 'testnet' | 'signet' | 'regtest';
+
+export interface Bolt11Fields {
+  network?: BitcoinNetwork;
+  /** Omit or null for an any-amount invoice */
+  amountMsats?: number | null;
+  /** Creation time in seconds */
+  timestamp: number;
+  paymentHash: string;
+  paymentSecret?: string;
+  description?: string;
+  descriptionHash?: string;
+  /** Seconds (default 3600) */
+  expiry?: number;
+  /** Blocks (default 18) */
+  minFinalCltvExpiry?: number;
+  /** Include the payee node key (n field); default true */
+  includePayee?: boolean;
+}
+
+export interface DecodedInvoice {
+  bolt11: string;
+  network: BitcoinNetwork;
+  amountMsats: number | null;
+  amountSats: number | null;
+  timestamp: number;
+  paymentHash: string;
+  paymentSecret: string | null;
+  description: string | null;
+  descriptionHash: string | null;
+  expiry: number;
+  expiresAt: number;
+  minFinalCltvExpiry: number;
+  /** Compressed node pubkey that signed the invoice */
+  payee: string;
+  /** Feature bits that are set */
+  features: number[];
+  signature: string;
+  recoveryFlag: number;
+}
+
+/** Encode and sign a BOLT11 invoice with a node secret key (hex) */
+export function encodeBolt11(fields: Bolt11Fields, nodeSecretKey: string): string;
+/** Decode and verify any BOLT11 invoice; throws "Invalid invoice: ..." */
+export function decodeBolt11(invoice: string): DecodedInvoice;
 
 // ── Mock Wallet ─────────────────────────────────────────
 
+export type InvoiceState = 'open' | 'accepted' | 'settled' | 'canceled' | 'expired';
+
 export interface Invoice {
   invoice: string;
   bolt11: string;
   pr: string;
   payment_hash: string;
   paymentHash: string;
-  preimage: string;
-  amount: number;
-  amountSats: number;
+  /** null for a hold invoice until settleHold() */
+  preimage: string | null;
+  /** msats; null for an any-amount invoice */
+  amount: number | null;
+  amountSats: number | null;
   description: string;
+  descriptionHash: string | null;
+  /** Seconds */
+  expiry: number;
+  hold: boolean;
+  /** msats, once paid */
+  amountReceived: number | null;
+  state: InvoiceState;
+  /** Same as state === 'settled' */
   settled: boolean;
   created_at: number;
+  /** ms on the wallet's clock */
+  expiresAt: number;
+}
+
+export type PaymentFailure =
+  | 'NO_ROUTE'
+  | 'INSUFFICIENT_BALANCE'
+  | 'TEMPORARY_CHANNEL_FAILURE'
+  | 'INCORRECT_PAYMENT_DETAILS'
+  | 'TIMEOUT'
+  | 'INVALID_INVOICE'
+  | 'FAILED';
+
+/** Failed payments reject with an Error carrying one of these as `code` */
+export const PAYMENT_FAILURES: { readonly [K in PaymentFailure]: K };
+
+export interface RoutingFees {
+  baseMsats?: number;
+  /** Parts per million of the amount */
+  ppm?: number;
 }
 
 export interface Payment {
   preimage: string;
   paymentHash: string;
   bolt11?: string;
+  /** Payee node pubkey, for invoice payments */
+  destination?: string;
   address?: string;
   amountSats: number;
   amountMsats: number;
+  /** Routing fee paid on top of the amount */
+  feeMsats: number;
+  feeSats: number;
   description?: string;
   settled: boolean;
   timestamp: number;
 }
 
+export type ScriptableMethod = 'payInvoice' | 'payAddress' | 'createInvoice' | 'getBalance' | 'waitForPayment';
+
+/** A PAYMENT_FAILURES code, a message or an Error (default: TEMPORARY_CHANNEL_FAILURE for payments) */
+export type FailureReason = PaymentFailure | string | Error;
+
+export interface ScriptedCall {
+  method: ScriptableMethod;
+  /** 1 for the method's first call, and so on */
+  attempt: number;
+  amountMsats?: number;
+  amountSats?: number;
+  bolt11?: string;
+  address?: string;
+  paymentHash?: string;
+  destination?: string;
+  description?: string;
+}
+
+/** 'ok', a failure reason, or a step with its own latency */
+export type ScriptedOutcome = 'ok' | FailureReason | { fail?: FailureReason; latencyMs?: number };
+
+/** Which methods a rule applies to (default: payInvoice and payAddress) */
+export interface ScriptScope {
+  method?: ScriptableMethod | ScriptableMethod[];
+}
+
+export interface PayOptions {
+  /** Fail with NO_ROUTE if the fee would be higher */
+  maxFeeSats?: number;
+  /** Fail with TIMEOUT if a routed payment is still held after this long */
+  timeoutMs?: number;
+}
+
 export interface HistoryEntry {
   type: string;
   timestamp: number;
@@ -79,19 +562,50 @@ export interface HistoryEntry {
 }
 
 export interface MockWallet {
+  /** Node pubkey that signs this wallet's invoices */
+  nodePubkey: string;
+  network: BitcoinNetwork;
+  /** The mock Lightning network the wallet belongs to, if any */
+  readonly lightning: MockLightningNetwork | null;
   getBalance(): Promise<{ balance: number; currency: string }>;
-  createInvoice(amountMsats: number, description?: string): Promise<Invoice>;
-  payInvoice(bolt11: string): Promise<Payment>;
-  payAddress(address: string, amountMsats: number, description?: string): Promise<Payment>;
-  decodeInvoice(bolt11: string): Promise<{ bolt11: string; amountMsats: number; amountSats: number; paymentHash: string | null; description: string; expiry: number; timestamp: number }>;
-  waitForPayment(paymentHash: string, timeoutMs?: number): Promise<{ preimage: string; settled: boolean }>;
+  createInvoice(amountMsats: number | null, description?: string, opts?: { expiry?: number; descriptionHash?: string }): Promise<Invoice>;
+  /** Invoice for a hash whose preimage the caller keeps; paying it leaves it accepted */
+  createHoldInvoice(paymentHash: string, amountMsats: number | null, description?: string, opts?: { expiry?: number; descriptionHash?: string }): Promise<Invoice>;
+  /** `amountMsats` is required for any-amount invoices */
+  payInvoice(bolt11: string, opts?: PayOptions & { amountMsats?: number }): Promise<Payment>;
+  payAddress(address: string, amountMsats: number, description?: string, opts?: PayOptions): Promise<Payment>;
+  decodeInvoice(bolt11: string): Promise<DecodedInvoice>;
+  /** Resolves when settled (or accepted, for hold invoices); rejects when canceled or expired */
+  waitForPayment(paymentHash: string, timeoutMs?: number): Promise<{ preimage: string | null; settled: boolean; state: InvoiceState }>;
   close(): Promise<void>;
-  settle(paymentHash: string): Invoice;
+  /** Fail the next `n` calls; injected failures are recorded in getHistory() with `injected: true` */
+  failNext(n?: number, reason?: FailureReason, opts?: ScriptScope): MockWallet;
+  failWhen(predicate: (call: ScriptedCall) => boolean, reason?: FailureReason, opts?: ScriptScope): MockWallet;
+  /** Queue one outcome per call, in order; scripted calls skip failNext/failWhen */
+  script(outcomes: ScriptedOutcome[], opts?: ScriptScope): MockWallet;
+  clearFailures(): MockWallet;
+  /** Latency for one method (null clears), or for all methods when given only ms */
+  setLatency(method: string, ms: number | null): MockWallet;
+  setLatency(ms: number): MockWallet;
+  /** Simulate the payment arriving: settles, or accepts a hold invoice. `amountMsats` is for any-amount invoices. */
+  settle(paymentHash: string, amountMsats?: number): Invoice;
+  /** Take a routed payment; resolves with the preimage once the invoice settles */
+  receive(paymentHash: string, amountMsats: number): Promise<string>;
+  settleHold(preimage: string): Invoice;
+  cancelInvoice(paymentHash: string): Invoice;
   setBalance(sats: number): void;
+  /** Cap what can be sent to a node pubkey or address (TEMPORARY_CHANNEL_FAILURE beyond it); null removes it */
+  setLiquidity(destination: string, msats: number | null): void;
+  /** Remaining cap, or null when uncapped */
+  getLiquidity(destination: string): number | null;
+  /** Current balance in sats, without recording a getBalance call */
+  peekBalance(): number;
   getHistory(type?: string): HistoryEntry[];
   getInvoices(): Invoice[];
   getPayments(): Payment[];
   reset(): void;
+  /** Called by MockLightningNetwork.join() */
+  setLightning(network: MockLightningNetwork | null): void;
 }
 
 export function createMockWallet(opts?: {
@@ -99,8 +613,58 @@ export function createMockWallet(opts?: {
   autoSettle?: boolean;
   failPayments?: boolean;
   latencyMs?: number;
+  /** Clock for timestamps, latency and waitForPayment timeouts (default realClock) */
+  clock?: Clock;
+  /** Seed for preimages and the node key; reset() restarts the stream */
+  seed?: number | string | RandomSource;
+  /** Invoice network prefix (default 'regtest') */
+  network?: BitcoinNetwork;
+  /** Node secret key (hex) that signs invoices (default: random) */
+  nodeKey?: string;
+  /** Mock Lightning network to join */
+  lightning?: MockLightningNetwork;
+  /** Routing fees when not on a network */
+  fees?: RoutingFees;
+  /** Default fee limit for payments */
+  maxFeeSats?: number;
+  /** Default timeout for routed payments that are held */
+  paymentTimeoutMs?: number;
 }): MockWallet;
 
+// ── Mock Lightning Network ──────────────────────────────
+
+export interface RoutedPayment {
+  /** Payer node pubkey */
+  from: string;
+  /** Payee node pubkey */
+  to: string;
+  paymentHash: string;
+  amountMsats: number;
+  status: 'pending' | 'succeeded' | 'failed';
+  preimage: string | null;
+  error: string | null;
+  code: PaymentFailure | null;
+}
+
+export interface MockLightningNetwork {
+  readonly wallets: MockWallet[];
+  /** `address` lets other members payAddress() this wallet */
+  join(wallet: MockWallet, opts?: { address?: string }): MockWallet;
+  leave(wallet: MockWallet): void;
+  createWallet(opts?: Parameters<typeof createMockWallet>[0] & { address?: string }): MockWallet;
+  /** Member by node pubkey or Lightning address */
+  findWallet(pubkeyOrAddress: string): MockWallet | null;
+  /** Fees for payments to one node pubkey or member address; null resets */
+  setFees(destination: string, fees: RoutingFees | null): MockLightningNetwork;
+  /** Routing fee in msats */
+  quote(destination: string, amountMsats: number): number;
+  /** Route a payment to `payee`; resolves with the preimage */
+  deliver(from: string, payment: { payee: string; paymentHash: string; amountMsats: number }, opts?: { timeoutMs?: number | null; clock?: Clock }): Promise<string>;
+  getPayments(status?: RoutedPayment['status']): RoutedPayment[];
+}
+
+export function createMockLightningNetwork(opts?: { wallets?: MockWallet[]; fees?: RoutingFees }): MockLightningNetwork;
+
 // ── Event Factories ─────────────────────────────────────
 
 export interface Keypair {
@@ -108,27 +672,80 @@ export interface Keypair {
   pubkey: string;
 }
 
-export function generateKeypair(): Keypair;
-export function createEvent(opts?: { kind?: number; content?: string; tags?: string[][]; pubkey?: string; created_at?: number }): NostrEvent;
-export function textNote(content: string, opts?: { tags?: string[][]; mention?: string; reply?: string; pubkey?: string }): NostrEvent;
-export function dm(content: string, recipientPubkey: string, opts?: { tags?: string[][]; pubkey?: string }): NostrEvent;
-export function dvmRequest(dvmKind: number, content: string, providerPubkey: string, opts?: { tags?: string[][]; pubkey?: string }): NostrEvent;
-export function dvmResult(dvmKind: number, content: string, requesterPubkey: string, opts?: { tags?: string[][]; pubkey?: string }): NostrEvent;
-export function zapReceipt(recipientPubkey: string, amountMsats: number, opts?: { message?: string; bolt11?: string; tags?: string[][]; pubkey?: string }): NostrEvent;
-export function reaction(targetEventId: string, targetPubkey: string, emoji?: string, opts?: { tags?: string[][]; pubkey?: string }): NostrEvent;
-export function trustAttestation(targetPubkey: string, type: string, comment: string, opts?: { tags?: string[][]; pubkey?: string }): NostrEvent;
-export function marketplaceTask(title: string, budget: number, opts?: { description?: string; capabilities?: string[]; taskId?: string; status?: string; tags?: string[][]; pubkey?: string }): NostrEvent;
-export function marketplaceBid(taskEventId: string, posterPubkey: string, amount: number, lightningAddress: string, opts?: { message?: string; tags?: string[][]; pubkey?: string }): NostrEvent;
-export function marketplaceDelivery(taskEventId: string, posterPubkey: string, result: string, opts?: { tags?: string[][]; pubkey?: string }): NostrEvent;
-export function serviceAnnouncement(name: string, capabilities: string[], opts?: { description?: string; identifier?: string; price?: number; lightningAddress?: string; status?: string; tags?: string[][]; pubkey?: string }): NostrEvent;
+export function generateKeypair(opts?: { random?: RandomSource }): Keypair;
+/** The same keypair for the same name, every run */
+export function namedKeypair(name: string): Keypair;
+export function getPublicKey(secretKey: string): string;
+export function getEventHash(event: Pick<NostrEvent, 'pubkey' | 'created_at' | 'kind' | 'tags' | 'content'>): string;
+export function verifyEvent(event: NostrEvent): boolean;
+/** NIP-01 shape and id problems (empty when valid); `strict` adds per-kind rules and e/p tag checks */
+export function validateEvent(event: unknown, opts?: { strict?: boolean }): string[];
+export function createEvent(opts?: { kind?: number; content?: string; tags?: string[][]; pubkey?: string; clock?: Clock; random?: RandomSource; secretKey?: string; created_at?: number }): NostrEvent;
+export function textNote(content: string, opts?: { tags?: string[][]; mention?: string; reply?: string; pubkey?: string; clock?: Clock; random?: RandomSource }): NostrEvent;
+export type Encryption = 'nip04' | 'nip44' | 'none';
+/** Kind 4 DM; NIP-04 encrypted when `secretKey` is given (encryption: 'nip44' | 'none' to change) */
+export function dm(content: string, recipientPubkey: string, opts?: { tags?: string[][]; pubkey?: string; secretKey?: string; encryption?: Encryption; clock?: Clock; random?: RandomSource; created_at?: number }): NostrEvent;
+/** Event of any kind with NIP-44 v2 encrypted content and a `p` tag for the recipient */
+export function nip44Event(kind: number, content: string, recipientPubkey: string, opts: { secretKey: string; tags?: string[][]; clock?: Clock; random?: RandomSource; created_at?: number }): NostrEvent;
+/** Decrypt a NIP-04 or NIP-44 DM with the sender's or the recipient's secret key */
+export function decryptDm(event: NostrEvent, secretKey: string): string;
+export function dvmRequest(dvmKind: number, content: string, providerPubkey: string, opts?: { tags?: string[][]; pubkey?: string; clock?: Clock; random?: RandomSource }): NostrEvent;
+export function dvmResult(dvmKind: number, content: string, requesterPubkey: string, opts?: { tags?: string[][]; pubkey?: string; clock?: Clock; random?: RandomSource }): NostrEvent;
+export function zapReceipt(recipientPubkey: string, amountMsats: number, opts?: { message?: string; bolt11?: string; tags?: string[][]; pubkey?: string; clock?: Clock; random?: RandomSource }): NostrEvent;
+export function reaction(targetEventId: string, targetPubkey: string, emoji?: string, opts?: { tags?: string[][]; pubkey?: string; clock?: Clock; random?: RandomSource }): NostrEvent;
+export function trustAttestation(targetPubkey: string, type: string, comment: string, opts?: { tags?: string[][]; pubkey?: string; clock?: Clock; random?: RandomSource }): NostrEvent;
+export function marketplaceTask(title: string, budget: number, opts?: { description?: string; capabilities?: string[]; taskId?: string; status?: string; tags?: string[][]; pubkey?: string; clock?: Clock; random?: RandomSource }): NostrEvent;
+export function marketplaceBid(taskEventId: string, posterPubkey: string, amount: number, lightningAddress: string, opts?: { message?: string; tags?: string[][]; pubkey?: string; clock?: Clock; random?: RandomSource }): NostrEvent;
+export function marketplaceDelivery(taskEventId: string, posterPubkey: string, result: string, opts?: { tags?: string[][]; pubkey?: string; clock?: Clock; random?: RandomSource }): NostrEvent;
+export function deletionRequest(targets: Array<NostrEvent | string>, reason?: string, opts?: { tags?: string[][]; pubkey?: string; clock?: Clock; random?: RandomSource; secretKey?: string; created_at?: number }): NostrEvent;
+export function authEvent(challenge: string, relayUrl: string, opts?: { tags?: string[][]; pubkey?: string; clock?: Clock; random?: RandomSource; secretKey?: string; created_at?: number }): NostrEvent;
+export function serviceAnnouncement(name: string, capabilities: string[], opts?: { description?: string; identifier?: string; price?: number; lightningAddress?: string; status?: string; tags?: string[][]; pubkey?: string; clock?: Clock; random?: RandomSource }): NostrEvent;
+
+// ── NIP-17 / NIP-59 ─────────────────────────────────────
+
+/** An unsigned event, as carried inside a seal */
+export type Rumor = Omit<NostrEvent, 'sig'>;
+
+/** Unsigned kind 14 chat message to one or more recipients */
+export function chatMessage(content: string, recipientPubkeys: string | string[], opts?: { subject?: string; replyTo?: string; tags?: string[][]; pubkey?: string; secretKey?: string; clock?: Clock; random?: RandomSource; created_at?: number }): Rumor;
+/** Kind 13 seal: the rumor NIP-44 encrypted to the recipient, signed by the author */
+export function seal(rumor: Rumor, secretKey: string, recipientPubkey: string, opts?: { clock?: Clock; random?: RandomSource; created_at?: number }): NostrEvent;
+/** Kind 1059 gift wrap signed by a fresh ephemeral key */
+export function giftWrap(event: NostrEvent, recipientPubkey: string, opts?: { tags?: string[][]; clock?: Clock; random?: RandomSource; created_at?: number }): NostrEvent;
+/** A NIP-17 DM wrapped for each recipient, then the sender (unless wrapForSender is false) */
+export function privateDirectMessage(content: string, recipientPubkeys: string | string[], opts: { secretKey: string; wrapForSender?: boolean; subject?: string; replyTo?: string; tags?: string[][]; clock?: Clock; random?: RandomSource; created_at?: number }): { rumor: Rumor; wraps: NostrEvent[] };
+/** Open a gift wrap, checking the seal signature and rumor author; throws on failure */
+export function unwrap(wrap: NostrEvent, secretKey: string): { rumor: Rumor; seal: NostrEvent; sender: string };
+/** Kind 10050 DM relay list */
+export function dmRelayList(relayUrls: string[], opts?: { tags?: string[][]; pubkey?: string; secretKey?: string; clock?: Clock; random?: RandomSource; created_at?: number }): NostrEvent;
+
+// ── Encryption ──────────────────────────────────────────
+
+export function nip04Encrypt(secretKey: string, pubkey: string, plaintext: string, opts?: { iv?: Uint8Array; random?: RandomSource }): string;
+export function nip04Decrypt(secretKey: string, pubkey: string, payload: string): string;
+/** NIP-44 v2 conversation key (hex) */
+export function getConversationKey(secretKey: string, pubkey: string): string;
+export function calcPaddedLength(length: number): number;
+export function nip44Encrypt(secretKey: string, pubkey: string, plaintext: string, opts?: { nonce?: string; random?: RandomSource }): string;
+export function nip44Decrypt(secretKey: string, pubkey: string, payload: string): string;
+export function nip44EncryptWithKey(conversationKey: string, plaintext: string, opts?: { nonce?: string; random?: RandomSource }): string;
+export function nip44DecryptWithKey(conversationKey: string, payload: string): string;
 
 // ── Scenarios ───────────────────────────────────────────
 
+export type ScenarioAgent = Keypair & { name: string; wallet?: MockWallet };
+
 export interface BaseScenario {
   relay: MockRelay;
   relayUrl: string;
+  /** alice's wallet when `lightning` is set */
   wallet: MockWallet;
-  agents: { alice: Keypair & { name: string }; bob: Keypair & { name: string } };
+  /** Set with `lightning: true` */
+  lightning: MockLightningNetwork | null;
+  /** With `lightning: true`, alice and bob carry a wallet */
+  agents: { alice: ScenarioAgent; bob: ScenarioAgent };
+  clock: Clock;
+  random: RandomSource;
   cleanup(): Promise<void>;
 }
 
@@ -150,11 +767,39 @@ export interface TrustScenario extends BaseScenario {
 }
 
 export interface NotificationScenario extends BaseScenario {
-  events: Array<{ type: string; event: NostrEvent }>;
+  /** With dms: 'nip17', the dm entry's event is alice's wrap and it also carries the rumor and all wraps */
+  events: Array<{ type: string; event: NostrEvent; rumor?: Rumor; wraps?: NostrEvent[] }>;
 }
 
-export function basicScenario(opts?: { logging?: boolean; balance?: number }): Promise<BaseScenario>;
-export function dvmScenario(opts?: { logging?: boolean; balance?: number; dvmKind?: number }): Promise<DVMScenario>;
-export function marketplaceScenario(opts?: { logging?: boolean; balance?: number }): Promise<MarketplaceScenario>;
-export function trustScenario(opts?: { logging?: boolean; balance?: number }): Promise<TrustScenario>;
-export function notificationScenario(opts?: { logging?: boolean; balance?: number }): Promise<NotificationScenario>;
+export function basicScenario(opts?: { logging?: boolean; balance?: number; clock?: Clock; seed?: number | string; lightning?: boolean }): Promise<BaseScenario>;
+export function dvmScenario(opts?: { logging?: boolean; balance?: number; clock?: Clock; seed?: number | string; lightning?: boolean; dvmKind?: number }): Promise<DVMScenario>;
+export function marketplaceScenario(opts?: { logging?: boolean; balance?: number; clock?: Clock; seed?: number | string; lightning?: boolean }): Promise<MarketplaceScenario>;
+export function trustScenario(opts?: { logging?: boolean; balance?: number; clock?: Clock; seed?: number | string; lightning?: boolean }): Promise<TrustScenario>;
+export function notificationScenario(opts?: { logging?: boolean; balance?: number; clock?: Clock; seed?: number | string; lightning?: boolean; dms?: 'nip04' | 'nip17' }): Promise<NotificationScenario>;
+
+// ── Assertions ──────────────────────────────────────────
+
+/** Throws an AssertionError listing the closest non-matching events; with `within`, waits and returns a promise */
+export function assertPublished(relay: MockRelay, filter: NostrFilter, opts: { count?: number; within: number }): Promise<NostrEvent[]>;
+export function assertPublished(relay: MockRelay, filter?: NostrFilter, opts?: { count?: number }): NostrEvent[];
+export function assertNotPublished(relay: MockRelay, filter: NostrFilter, opts: { within: number }): Promise<void>;
+export function assertNotPublished(relay: MockRelay, filter?: NostrFilter): void;
+export function assertPaid(wallet: MockWallet, expected: { amountSats?: number; amountMsats?: number; to?: string; paymentHash?: string }): Payment;
+export function assertBalance(wallet: MockWallet, sats: number): void;
+/** Accepts the invoice, its bolt11 or its payment hash */
+export function assertInvoiceSettled(wallet: MockWallet, invoice: Invoice | string): Invoice;
+
+export interface MatcherResult {
+  pass: boolean;
+  message(): string;
+}
+
+export const matchers: {
+  toHavePublished(relay: MockRelay, filter?: NostrFilter, opts?: { count?: number; within?: number }): MatcherResult | Promise<MatcherResult>;
+  toHavePaid(wallet: MockWallet, expected: Parameters<typeof assertPaid>[1]): MatcherResult;
+  toHaveBalance(wallet: MockWallet, sats: number): MatcherResult;
+  toHaveSettledInvoice(wallet: MockWallet, invoice: Invoice | string): MatcherResult;
+};
+
+/** Add the matchers to Jest's or Vitest's expect (the global one by default) */
+export function registerMatchers(expect?: { extend(matchers: object): void }): typeof matchers;
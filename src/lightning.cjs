@@ -0,0 +1,165 @@
+'use strict';
+
+const { createMockWallet, paymentError, routingFee } = require('./wallet.cjs');
+const { realClock } = require('./clock.cjs');
+
+/**
+ * A mock Lightning network that routes payments between mock wallets.
+ *
+ * Wallets join by node pubkey (and optionally a Lightning address). When a
+ * member pays an invoice, the network hands the payment to the wallet that
+ * signed it: that wallet's invoice settles, its balance is credited and the
+ * payer gets the real preimage. Hold invoices keep the payment in flight
+ * until the payee settles or cancels them. Payments to nodes that are not
+ * on the network fail with "No route".
+ *
+ * Every routed payment pays a fee of `baseMsats + amount * ppm / 1e6`, from
+ * the network's `fees` or a per-destination setFees(). A payment with a
+ * timeout that is still held when it runs out fails with TIMEOUT, and the
+ * payee's invoice is canceled as its HTLC would be.
+ */
+function createMockLightningNetwork(opts = {}) {
+  const {
+    wallets: initial = [],
+    fees = { baseMsats: 0, ppm: 0 }  // Default routing fees
+  } = opts;
+
+  const byPubkey = new Map();   // nodePubkey → wallet
+  const addresses = new Map();  // Lightning address → wallet
+  const payments = [];          // every routed payment, in order
+  const destinationFees = new Map(); // node pubkey or address → { baseMsats, ppm }
+
+  /**
+   * Add a wallet to the network; `address` lets others payAddress() it
+   */
+  function join(wallet, joinOpts = {}) {
+    if (wallet.lightning && wallet.lightning !== network) {
+      throw new Error('Wallet already belongs to another Lightning network');
+    }
+    byPubkey.set(wallet.nodePubkey, wallet);
+    if (joinOpts.address) addresses.set(joinOpts.address, wallet);
+    wallet.setLightning(network);
+    return wallet;
+  }
+
+  /**
+   * Remove a wallet; payments to it fail with "No route" afterwards
+   */
+  function leave(wallet) {
+    byPubkey.delete(wallet.nodePubkey);
+    for (const [address, member] of addresses) {
+      if (member === wallet) addresses.delete(address);
+    }
+    if (wallet.lightning === network) wallet.setLightning(null);
+  }
+
+  /**
+   * Create a mock wallet that is already on the network
+   */
+  function createWallet(walletOpts = {}) {
+    const { address, ...rest } = walletOpts;
+    return join(createMockWallet(rest), { address });
+  }
+
+  /**
+   * The member wallet with this node pubkey or Lightning address
+   */
+  function findWallet(pubkeyOrAddress) {
+    return byPubkey.get(pubkeyOrAddress) || addresses.get(pubkeyOrAddress) || null;
+  }
+
+  // ── Fees ──────────────────────────────────────────────
+
+  /**
+   * Charge different fees for payments to one destination (node pubkey or
+   * member address); null goes back to the network's
+   */
+  function setFees(destination, destinationOpts) {
+    const wallet = addresses.get(destination);
+    const key = wallet ? wallet.nodePubkey : destination;
+    if (destinationOpts) destinationFees.set(key, destinationOpts);
+    else destinationFees.delete(key);
+    return network;
+  }
+
+  /**
+   * Routing fee in msats for sending `amountMsats` to `destination`
+   */
+  function quote(destination, amountMsats) {
+    const wallet = addresses.get(destination);
+    const key = wallet ? wallet.nodePubkey : destination;
+    return routingFee(destinationFees.get(key) || fees, amountMsats);
+  }
+
+  // ── Routing ───────────────────────────────────────────
+
+  /**
+   * Carry a payment from `from` (node pubkey) to `payee`; resolves with the
+   * preimage once the payee's invoice settles. With `timeoutMs`, a payment
+   * still held by then fails with TIMEOUT (timed on `clock`).
+   */
+  async function deliver(from, { payee, paymentHash, amountMsats }, deliverOpts = {}) {
+    const { timeoutMs = null, clock = realClock } = deliverOpts;
+    const record = { from, to: payee, paymentHash, amountMsats, status: 'pending', preimage: null, error: null, code: null };
+    payments.push(record);
+
+    try {
+      const wallet = byPubkey.get(payee);
+      if (!wallet) throw paymentError('NO_ROUTE', `No route to ${payee}`);
+      const paid = wallet.receive(paymentHash, amountMsats);
+      record.preimage = await (timeoutMs ? expireHeld(wallet, paid, paymentHash, timeoutMs, clock) : paid);
+      record.status = 'succeeded';
+      return record.preimage;
+    } catch (err) {
+      record.status = 'failed';
+      record.error = err.message;
+      record.code = err.code || null;
+      throw err;
+    }
+  }
+
+  /**
+   * Reject with TIMEOUT if `paid` is still pending after `ms`, canceling the
+   * payee's held invoice
+   */
+  function expireHeld(wallet, paid, paymentHash, ms, clock) {
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+      timer = clock.setTimeout(() => {
+        paid.catch(() => {}); // Settled by the cancel below
+        reject(paymentError('TIMEOUT', `Payment timed out after ${ms}ms: ${paymentHash}`));
+        try {
+          wallet.cancelInvoice(paymentHash);
+        } catch (e) {
+          // Already settled or gone
+        }
+      }, ms);
+    });
+    return Promise.race([paid, timedOut]).finally(() => clock.clearTimeout(timer));
+  }
+
+  /**
+   * Routed payments, optionally only those with a given status
+   */
+  function getPayments(status = null) {
+    const list = status ? payments.filter(p => p.status === status) : payments;
+    return list.map(p => ({ ...p }));
+  }
+
+  const network = {
+    get wallets() { return Array.from(byPubkey.values()); },
+    join,
+    leave,
+    createWallet,
+    findWallet,
+    setFees,
+    quote,
+    deliver,
+    getPayments
+  };
+
+  for (const wallet of initial) join(wallet);
+  return network;
+}
+
+module.exports = { createMockLightningNetwork };
@@ -0,0 +1,245 @@
+'use strict';
+
+const { createMockRelay } = require('./relay.cjs');
+const { realClock } = require('./clock.cjs');
+
+/**
+ * A network of mock relays that replicate events to each other.
+ *
+ * Every event a relay accepts (published or injected) is copied along its
+ * outgoing links after the link's delay plus any lag of the receiving relay.
+ * Replication is gossip: a relay passes on what it receives, so events cross
+ * multi-hop topologies. Each event reaches each relay at most once, which
+ * also keeps ephemeral events from circling forever.
+ *
+ * Copies that cannot be delivered because of a partition or an offline relay
+ * are held and delivered once the partition heals or the relay comes back.
+ */
+function createRelayNetwork(opts = {}) {
+  const {
+    relays: size = 3,
+    topology = 'mesh',  // 'mesh' | 'none' | [[from, to], ...] (links are two-way)
+    delayMs = 0,        // Default per-link replication delay
+    relay: relayOpts = {},
+    clock = relayOpts.clock || realClock // Clock for replication delays, shared with the relays
+  } = opts;
+
+  const relays = Array.from({ length: size }, () => createMockRelay({ ...relayOpts, clock }));
+  const links = new Map();      // "from:to" → { from, to, delayMs }
+  const seen = relays.map(() => new Set()); // event ids each relay has accepted
+  const lagMs = new Array(size).fill(0);
+  const offline = new Set();    // indexes of stopped relays
+  const held = [];              // [{ from, to, event }] waiting for heal/online
+  const inFlight = new Set();   // replication timers
+  const idle = [];              // settle() resolvers
+  let groups = null;            // relay index → partition group, or null
+  let urls = [];
+
+  function check(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= size) {
+      throw new Error(`No relay ${index} in a network of ${size}`);
+    }
+  }
+
+  function canReach(from, to) {
+    if (offline.has(from) || offline.has(to)) return false;
+    return !groups || groups[from] === groups[to];
+  }
+
+  function notifyIdle() {
+    if (inFlight.size > 0) return;
+    for (const resolve of idle.splice(0)) resolve();
+  }
+
+  /**
+   * Copy an event along one link, now or once the link is usable
+   */
+  function replicate(from, to, event) {
+    if (seen[to].has(event.id)) return;
+    if (!canReach(from, to)) {
+      held.push({ from, to, event });
+      return;
+    }
+    const link = links.get(`${from}:${to}`);
+    const wait = (link ? link.delayMs : 0) + lagMs[to];
+    const timer = clock.setTimeout(() => {
+      inFlight.delete(timer);
+      if (!canReach(from, to)) held.push({ from, to, event });
+      else if (!seen[to].has(event.id)) relays[to].inject(event);
+      notifyIdle();
+    }, wait);
+    inFlight.add(timer);
+  }
+
+  /**
+   * Deliver held copies whose link works again
+   */
+  function release() {
+    const pending = held.splice(0);
+    for (const { from, to, event } of pending) replicate(from, to, event);
+    notifyIdle();
+  }
+
+  relays.forEach((relay, from) => {
+    relay.on('event', (event) => {
+      seen[from].add(event.id);
+      for (const link of links.values()) {
+        if (link.from === from) replicate(from, link.to, event);
+      }
+    });
+  });
+
+  // ── Topology ──────────────────────────────────────────
+
+  /**
+   * Replicate from `a` to `b` (and back unless oneWay) with the given delay
+   */
+  function link(a, b, linkOpts = {}) {
+    check(a);
+    check(b);
+    const { delayMs: ms = delayMs, oneWay = false } = linkOpts;
+    links.set(`${a}:${b}`, { from: a, to: b, delayMs: ms });
+    if (!oneWay) links.set(`${b}:${a}`, { from: b, to: a, delayMs: ms });
+    return network;
+  }
+
+  /**
+   * Stop replicating between `a` and `b` (only a → b when oneWay)
+   */
+  function unlink(a, b, linkOpts = {}) {
+    links.delete(`${a}:${b}`);
+    if (!linkOpts.oneWay) links.delete(`${b}:${a}`);
+    return network;
+  }
+
+  function getLinks() {
+    return Array.from(links.values()).map(l => ({ ...l }));
+  }
+
+  /**
+   * Split the network: relays in different groups stop replicating to each
+   * other. Relays not listed form one more group together.
+   */
+  function partition(...parts) {
+    groups = new Array(size).fill(parts.length);
+    parts.forEach((part, g) => part.forEach(index => { check(index); groups[index] = g; }));
+    return network;
+  }
+
+  /**
+   * Remove the partition and deliver everything it held back
+   */
+  function heal() {
+    groups = null;
+    release();
+    return network;
+  }
+
+  /**
+   * Delay every copy replicated into relay `index` by an extra `ms` (0 clears)
+   */
+  function lag(index, ms) {
+    check(index);
+    lagMs[index] = ms || 0;
+    return network;
+  }
+
+  // ── Relays ────────────────────────────────────────────
+
+  /**
+   * Stop a relay; its events are kept and its URL stays the same
+   */
+  async function takeOffline(index) {
+    check(index);
+    if (offline.has(index)) return;
+    offline.add(index);
+    await relays[index].stop();
+  }
+
+  /**
+   * Restart a relay and deliver what it missed while offline
+   */
+  async function bringOnline(index) {
+    check(index);
+    if (!offline.has(index)) return;
+    await relays[index].start();
+    offline.delete(index);
+    release();
+  }
+
+  function isOnline(index) {
+    check(index);
+    return !offline.has(index);
+  }
+
+  /**
+   * Start every relay; resolves with their URLs
+   */
+  async function start() {
+    urls = [];
+    for (const relay of relays) urls.push((await relay.start()).url);
+    return [...urls];
+  }
+
+  /**
+   * Stop every relay and drop copies still in flight or held
+   */
+  async function stop() {
+    for (const timer of inFlight) clock.clearTimeout(timer);
+    inFlight.clear();
+    held.length = 0;
+    notifyIdle();
+    for (const [index, relay] of relays.entries()) {
+      if (!offline.has(index)) await relay.stop();
+    }
+    offline.clear();
+  }
+
+  /**
+   * Resolve once no replicated copies are in flight (held copies don't count)
+   */
+  function settle() {
+    if (inFlight.size === 0) return Promise.resolve();
+    return new Promise(resolve => idle.push(resolve));
+  }
+
+  /**
+   * Relays holding an event, by index
+   */
+  function whoHas(eventId) {
+    return relays
+      .map((relay, index) => relay.getEvents({ ids: [eventId] }).length > 0 ? index : -1)
+      .filter(index => index !== -1);
+  }
+
+  const network = {
+    relays,
+    get urls() { return [...urls]; },
+    relay: (index) => { check(index); return relays[index]; },
+    start,
+    stop,
+    link,
+    unlink,
+    getLinks,
+    partition,
+    heal,
+    lag,
+    offline: takeOffline,
+    online: bringOnline,
+    isOnline,
+    settle,
+    whoHas
+  };
+
+  if (topology === 'mesh') {
+    for (let a = 0; a < size; a++) {
+      for (let b = a + 1; b < size; b++) link(a, b);
+    }
+  } else if (Array.isArray(topology)) {
+    for (const [a, b] of topology) link(a, b);
+  }
+
+  return network;
+}
+
+module.exports = { createRelayNetwork };
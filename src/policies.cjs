@@ -0,0 +1,94 @@
+'use strict';
+
+const { realClock } = require('./clock.cjs');
+
+/**
+ * Built-in write policies for the mock relay.
+ *
+ * A policy is `{ event?, req? }` where each hook is a (possibly async)
+ * function returning:
+ * - true / undefined: accept
+ * - false: reject with a generic `blocked:` reason
+ * - a string: reject with that NIP-01 machine-readable reason
+ * - { accept: false, reason }: reject with `reason`
+ *
+ * `event(event, ctx)` runs for EVENT, `req(filters, ctx)` for REQ and COUNT.
+ * `ctx` is { connection: { id, remoteAddress }, pubkey, pubkeys, subId }.
+ */
+
+/**
+ * Limit each pubkey to `max` accepted events per `windowMs` (sliding window,
+ * timed on `clock`)
+ */
+function rateLimit(opts = {}) {
+  const {
+    max = 10,
+    windowMs = 60000,
+    clock = realClock,
+    now = () => clock.now(),
+    keyOf = (event) => event.pubkey
+  } = opts;
+
+  const seen = new Map(); // key → timestamps (ms)
+
+  return {
+    event(event, ctx) {
+      const key = keyOf(event, ctx);
+      const cutoff = now() - windowMs;
+      const recent = (seen.get(key) || []).filter(ts => ts > cutoff);
+      if (recent.length >= max) {
+        seen.set(key, recent);
+        return `rate-limited: max ${max} events per ${windowMs}ms`;
+      }
+      recent.push(now());
+      seen.set(key, recent);
+      return true;
+    }
+  };
+}
+
+/**
+ * Accept only events whose kind is in the list
+ */
+function allowKinds(kinds) {
+  return {
+    event(event) {
+      return kinds.includes(event.kind) || `restricted: kind ${event.kind} is not accepted`;
+    }
+  };
+}
+
+/**
+ * Reject events whose kind is in the list
+ */
+function denyKinds(kinds) {
+  return {
+    event(event) {
+      return !kinds.includes(event.kind) || `restricted: kind ${event.kind} is not accepted`;
+    }
+  };
+}
+
+/**
+ * Reject events authored by (and subscriptions from connections authenticated
+ * as) any of the listed pubkeys
+ */
+function blockPubkeys(pubkeys) {
+  return {
+    event(event, ctx) {
+      if (pubkeys.includes(event.pubkey)) return 'blocked: pubkey is banned';
+      if (ctx.pubkeys.some(p => pubkeys.includes(p))) return 'blocked: pubkey is banned';
+      return true;
+    },
+    req(filters, ctx) {
+      return !ctx.pubkeys.some(p => pubkeys.includes(p)) || 'blocked: pubkey is banned';
+    }
+  };
+}
+
+module.exports = {
+  rateLimit,
+  allowKinds,
+  denyKinds,
+  blockPubkeys
+};
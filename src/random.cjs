@@ -0,0 +1,77 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Randomness for keys, signatures, preimages and ids.
+ *
+ * By default everything comes from crypto.randomBytes. setSeed() switches the
+ * default source to a seeded stream so every run generates the same values;
+ * wallets, relays and scenarios also take their own `seed`. A seeded stream
+ * is sha256 in counter mode: reproducible, not secure.
+ */
+
+/**
+ * Wrap a `bytes(n) → Buffer` function with the helpers the kit uses
+ */
+function fromBytes(bytes) {
+  return {
+    bytes,
+    hex: (n) => bytes(n).toString('hex'),
+
+    /**
+     * RFC 4122 version 4 UUID built from the source's bytes
+     */
+    uuid() {
+      const b = bytes(16);
+      b[6] = (b[6] & 0x0f) | 0x40;
+      b[8] = (b[8] & 0x3f) | 0x80;
+      const h = b.toString('hex');
+      return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20)}`;
+    }
+  };
+}
+
+/**
+ * Create a reproducible random source from a seed (number or string)
+ */
+function createRandom(seed) {
+  let counter = 0;
+  let pool = Buffer.alloc(0);
+  return fromBytes((n) => {
+    while (pool.length < n) {
+      const block = crypto.createHash('sha256').update(`agent-test-kit:${seed}:${counter++}`).digest();
+      pool = Buffer.concat([pool, block]);
+    }
+    const out = Buffer.from(pool.subarray(0, n));
+    pool = pool.subarray(n);
+    return out;
+  });
+}
+
+let seeded = null;
+
+/**
+ * The default source: the global seeded stream if setSeed() was called,
+ * crypto.randomBytes otherwise. Looked up on every call.
+ */
+const defaultRandom = fromBytes((n) => seeded ? seeded.bytes(n) : crypto.randomBytes(n));
+
+/**
+ * Seed the default source; null or undefined goes back to crypto randomness
+ */
+function setSeed(seed) {
+  seeded = seed === null || seed === undefined ? null : createRandom(seed);
+}
+
+/**
+ * Resolve a `seed` option: a random source is used as is, a seed creates a
+ * new stream, and nothing means the default source
+ */
+function resolveRandom(seed) {
+  if (seed && typeof seed.bytes === 'function') return seed;
+  if (seed === null || seed === undefined) return defaultRandom;
+  return createRandom(seed);
+}
+
+module.exports = { createRandom, defaultRandom, setSeed, resolveRandom };
@@ -1,7 +1,19 @@
 'use strict';
 
+const { EventEmitter } = require('events');
 const { WebSocketServer } = require('ws');
-const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs');
+const { verifyEvent } = require('./events.cjs');
+const { validateEvent } = require('./validation.cjs');
+const { createFaultInjector } = require('./faults.cjs');
+const { realClock } = require('./clock.cjs');
+const { resolveRandom } = require('./random.cjs');
+const { createTrafficRecorder, createReplayer, saveCassette: writeCassette } = require('./traffic.cjs');
+const {
+  createEventStore, matchesFilter: matchesNip01Filter, replaceableKey, expirationOf
+} = require('./store.cjs');
+const { version } = require('../package.json');
 
 /**
  * In-memory mock Nostr relay for testing.
@@ -14,44 +26,174 @@ const crypto = require('crypto');
  * Also supports:
  * - NIP-20 (command results): OK responses for EVENT
  * - Parameterized replaceable events (kind 30000-39999)
+ * - NIP-09 deletion requests (kind 5)
+ * - NIP-40 expiration tags and ephemeral events (kind 20000-29999)
+ * - NIP-45 COUNT
+ * - NIP-50 search filters (pluggable scoring)
  * - Deduplication by event ID
+ * - Indexed storage with per-filter limits (see store.cjs)
+ * - Snapshots and JSONL fixture import/export
+ * - NIP-01 event validation (see validation.cjs; strictValidation: true adds
+ *   per-kind rules) and optional signature verification (verifySignatures: true)
+ * - NIP-42 AUTH challenge/response (auth: 'optional' | 'required' | rules)
+ * - Traffic recording and cassette replay (see traffic.cjs)
+ *
+ * The relay is an EventEmitter: 'event' (event, { clientId }) for every
+ * accepted event, 'req' (subId, filters, { clientId }), 'close' (subId,
+ * { clientId }), 'connect' and 'disconnect' ({ id, remoteAddress }).
+ * waitForEvent() and waitForSubscription() build on these.
  */
 function createMockRelay(opts = {}) {
   const {
     port = 0,  // 0 = random available port
-    logging = false
+    logging = false,
+    verifySignatures = false, // Reject events with a bad BIP-340 sig
+    strictValidation = false, // Also apply validateEvent's per-kind rules
+    auth = 'none',            // 'none' | 'optional' | 'required' | { kinds, filters, timeWindow }
+    clock = realClock,        // Clock for timestamps, fault and replay delays, waitFor* timeouts (see clock.cjs)
+    now = () => clock.now(),  // Time (ms) for expiration and AUTH checks; defaults to the clock
+    search = {},              // { tags: ['title', ...], score: (event, query) => number }
+    info = {},                // NIP-11 document overrides: name, pubkey, limitation, fees, ...
+    policy = [],              // { event, req } hooks, a bare event hook, or an array of them
+    faults: faultOpts = {},   // Initial fault config: { seed, delay, dropEvents, ... }
+    seed = null,              // Seed for AUTH challenges and, unless set there, faults
+    recordTraffic = false,    // Keep every frame for getTraffic() and cassettes
+    replay = null             // Cassette (path or object), or { cassette, match, preserveTiming }
   } = opts;
 
-  const events = new Map();           // id → event
+  const store = createEventStore({
+    matches: matchesFilter,
+    scorer: (filter) => typeof filter.search === 'string' ? (e) => searchScore(e, filter.search) : null
+  });
   const subscriptions = new Map();     // ws → Map<subId, filters[]>
+  const connections = new Map();       // ws → { id, remoteAddress, challenge, pubkeys, queue, sendAt, outbox, replay }
+  const pendingSends = new Set();      // timers for delayed messages
+  const liveBatches = new Map();       // ws → Map<subId, events[]> held for the reorder fault
+  const waiters = new Set();           // pending waitFor* calls: { reject, cleanup }
+  const emitter = new EventEmitter();
+  const deleted = new Map();           // id → removed event (NIP-09)
+  const deletedIds = new Map();        // id → pubkey that requested deletion
+  const deletedAddresses = new Map();  // kind:pubkey:d → deletion created_at
+  const seenEphemeral = new Set();     // ids of ephemeral events already broadcast
+  let nextConnectionId = 1;
+  let server = null;
   let wss = null;
   let actualPort = null;
 
+  // Normalize the auth option into a mode plus the filters that need auth.
+  // A rules object means "challenge everyone, require auth where rules match".
+  const authRules = typeof auth === 'object' && auth !== null
+    ? [...(auth.filters || []), ...(auth.kinds ? [{ kinds: auth.kinds }] : [])]
+    : null;
+  const authMode = authRules ? 'rules' : auth;
+  const authWindow = (authRules && auth.timeWindow) || 600; // seconds either side of now
+
+  const policies = (Array.isArray(policy) ? policy : [policy])
+    .map(p => typeof p === 'function' ? { event: p } : p);
+
+  const traffic = createTrafficRecorder({ now });
+  const replayer = replay
+    ? (typeof replay === 'string' || Array.isArray(replay.connections)
+      ? createReplayer(replay)
+      : createReplayer(replay.cassette, replay))
+    : null;
+
+  const searchTags = search.tags || [];
+  const scoreSearch = search.score || defaultSearchScore;
+
+  const limitation = { auth_required: authMode === 'required', ...info.limitation };
+  const relayInfo = {
+    name: 'agent-test-kit',
+    description: 'In-memory mock Nostr relay for testing',
+    software: 'https://github.com/jeletor/agent-test-kit',
+    version,
+    supported_nips: [1, 9, 11, 40, 42, 45, 50],
+    ...info,
+    limitation
+  };
+
   function log(...args) {
     if (logging) console.log('[mock-relay]', ...args);
   }
 
+  function nowSeconds() {
+    return Math.floor(now() / 1000);
+  }
+
+  const random = resolveRandom(seed);
+
   /**
-   * Check if an event matches a single filter
+   * The fault RNG's seed: the relay's seed, or one drawn from a random source
    */
-  function matchesFilter(event, filter) {
-    if (filter.ids && !filter.ids.includes(event.id)) return false;
-    if (filter.authors && !filter.authors.includes(event.pubkey)) return false;
-    if (filter.kinds && !filter.kinds.includes(event.kind)) return false;
-    if (filter.since && event.created_at < filter.since) return false;
-    if (filter.until && event.created_at > filter.until) return false;
-
-    // Tag filters (#e, #p, #t, #d, #L, #l, etc.)
-    for (const [key, values] of Object.entries(filter)) {
-      if (key.startsWith('#') && key.length === 2) {
-        const tagName = key[1];
-        const eventTagValues = event.tags
-          .filter(t => t[0] === tagName)
-          .map(t => t[1]);
-        if (!values.some(v => eventTagValues.includes(v))) return false;
+  function faultSeed() {
+    if (seed === null || seed === undefined) return undefined;
+    return typeof seed.bytes === 'function' ? seed.bytes(4).readUInt32BE(0) : seed;
+  }
+
+  const { controls: faults, hooks: faultHooks } = createFaultInjector({
+    seed: faultSeed(),
+    ...faultOpts,
+    now,
+    listClients: () => Array.from(connections.values()).map(c => c.id),
+    dropClient: (id) => {
+      for (const [ws, conn] of connections) {
+        if (conn.id === id) {
+          subscriptions.delete(ws);
+          connections.delete(ws);
+          ws.terminate();
+          return true;
+        }
       }
+      return false;
     }
+  });
 
+  /**
+   * Send a message to a client, applying any injected faults.
+   * Delayed messages to the same client stay in order; delays run on the clock.
+   */
+  function send(ws, msg) {
+    const conn = connections.get(ws);
+    const data = JSON.stringify(msg);
+    for (const delayMs of faultHooks.outgoing(conn ? conn.id : null, msg)) {
+      if (!conn || (delayMs === 0 && conn.sendAt <= clock.now() && conn.outbox.length === 0)) {
+        transmit(ws, conn, data);
+        continue;
+      }
+      conn.sendAt = Math.max(clock.now() + delayMs, conn.sendAt);
+      const entry = { data };
+      conn.outbox.push(entry);
+      const timer = clock.setTimeout(() => {
+        pendingSends.delete(timer);
+        // Timers due in the same millisecond can fire in either order, so
+        // flush everything queued ahead of this message first
+        if (!conn.outbox.includes(entry)) return;
+        while (conn.outbox.length) {
+          const next = conn.outbox.shift();
+          transmit(ws, conn, next.data);
+          if (next === entry) break;
+        }
+      }, conn.sendAt - clock.now());
+      pendingSends.add(timer);
+    }
+  }
+
+  /**
+   * Write a frame to the socket, recording it if it actually goes out
+   */
+  function transmit(ws, conn, data) {
+    try {
+      ws.send(data);
+      if (recordTraffic && conn) traffic.record(conn.id, 'out', data);
+    } catch (e) { /* client disconnected */ }
+  }
+
+  /**
+   * Check if an event matches a single filter (NIP-01 fields plus NIP-50 search)
+   */
+  function matchesFilter(event, filter) {
+    if (!matchesNip01Filter(event, filter)) return false;
+    if (typeof filter.search === 'string' && searchScore(event, filter.search) <= 0) return false;
     return true;
   }
 
@@ -62,91 +204,429 @@ function createMockRelay(opts = {}) {
     return filters.some(f => matchesFilter(event, f));
   }
 
+  // ── NIP-50 search ─────────────────────────────────────
+
+  /**
+   * Default NIP-50 scoring: every term must appear (case-insensitively) in the
+   * content or a searchable tag; the score is the total number of occurrences.
+   * `key:value` extensions such as `language:en` are ignored.
+   */
+  function defaultSearchScore(event, query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(t => t && !t.includes(':'));
+    if (terms.length === 0) return 1;
+    const text = [
+      event.content,
+      ...event.tags.filter(t => searchTags.includes(t[0])).map(t => t[1])
+    ].join(' ').toLowerCase();
+
+    let score = 0;
+    for (const term of terms) {
+      const hits = text.split(term).length - 1;
+      if (hits === 0) return 0;
+      score += hits;
+    }
+    return score;
+  }
+
+  function searchScore(event, query) {
+    const score = scoreSearch(event, query);
+    return score === true ? 1 : Number(score) || 0;
+  }
+
+  /**
+   * Check whether two filters could match a common event: every field both
+   * filters constrain must share at least one value.
+   */
+  function filtersOverlap(a, b) {
+    for (const key of Object.keys(b)) {
+      if (key !== 'ids' && key !== 'authors' && key !== 'kinds' && !(key.startsWith('#') && key.length === 2)) continue;
+      if (!a[key]) continue;
+      if (!a[key].some(v => b[key].includes(v))) return false;
+    }
+    return true;
+  }
+
+  // ── NIP-11 limitations ────────────────────────────────
+
+  /**
+   * Number of leading zero bits in an event id (NIP-13 proof of work)
+   */
+  function powDifficulty(id) {
+    let bits = 0;
+    for (const char of id) {
+      const nibble = parseInt(char, 16);
+      if (nibble === 0) { bits += 4; continue; }
+      bits += Math.clz32(nibble) - 28;
+      break;
+    }
+    return bits;
+  }
+
   /**
-   * Get the replaceable key for parameterized replaceable events
+   * Check an EVENT against the advertised limitation; returns an OK reason or null
    */
-  function replaceableKey(event) {
-    if (event.kind >= 30000 && event.kind < 40000) {
-      const dTag = event.tags.find(t => t[0] === 'd');
-      return `${event.kind}:${event.pubkey}:${dTag ? dTag[1] : ''}`;
+  function eventLimitReason(event) {
+    const minPow = limitation.min_pow_difficulty;
+    if (minPow && powDifficulty(event.id) < minPow) {
+      return `pow: difficulty ${powDifficulty(event.id)} is less than ${minPow}`;
+    }
+    if (limitation.max_event_tags && Array.isArray(event.tags) && event.tags.length > limitation.max_event_tags) {
+      return `invalid: too many tags (max ${limitation.max_event_tags})`;
     }
-    if (event.kind === 0 || event.kind === 3 || (event.kind >= 10000 && event.kind < 20000)) {
-      return `${event.kind}:${event.pubkey}`;
+    if (limitation.max_content_length && typeof event.content === 'string' &&
+        event.content.length > limitation.max_content_length) {
+      return `invalid: content is too long (max ${limitation.max_content_length})`;
     }
     return null;
   }
 
   /**
-   * Store an event
+   * Check a REQ against the advertised limitation; returns a CLOSED reason or null
    */
-  function storeEvent(event) {
-    // Check for replaceable
+  function reqLimitReason(ws, subId, filters) {
+    if (limitation.max_subid_length && String(subId).length > limitation.max_subid_length) {
+      return `invalid: subscription id is too long (max ${limitation.max_subid_length})`;
+    }
+    if (limitation.max_filters && filters.length > limitation.max_filters) {
+      return `invalid: too many filters (max ${limitation.max_filters})`;
+    }
+    const subs = subscriptions.get(ws);
+    if (limitation.max_subscriptions && subs && !subs.has(subId) && subs.size >= limitation.max_subscriptions) {
+      return `error: too many subscriptions (max ${limitation.max_subscriptions})`;
+    }
+    return null;
+  }
+
+  /**
+   * Apply default_limit and clamp to max_limit, as NIP-11 describes
+   */
+  function clampFilters(filters) {
+    const { max_limit: maxLimit, default_limit: defaultLimit } = limitation;
+    if (!maxLimit && !defaultLimit) return filters;
+    return filters.map(f => {
+      let limit = f.limit === undefined ? defaultLimit : f.limit;
+      if (maxLimit && (limit === undefined || limit > maxLimit)) limit = maxLimit;
+      return limit === undefined ? f : { ...f, limit };
+    });
+  }
+
+  /**
+   * Reject a message over max_message_length with the reply its type expects
+   */
+  function rejectOversized(ws, data) {
+    let msg = null;
+    try { msg = JSON.parse(data); } catch (e) { /* reply with NOTICE */ }
+    const reason = `invalid: message is too large (max ${limitation.max_message_length} bytes)`;
+    const type = Array.isArray(msg) ? msg[0] : null;
+    if (type === 'EVENT' && msg[1] && typeof msg[1].id === 'string') {
+      send(ws, ['OK', msg[1].id, false, reason]);
+    } else if ((type === 'REQ' || type === 'COUNT') && typeof msg[1] === 'string') {
+      send(ws, ['CLOSED', msg[1], reason]);
+    } else {
+      send(ws, ['NOTICE', reason]);
+    }
+  }
+
+  // ── Policies ──────────────────────────────────────────
+
+  /**
+   * Turn a policy hook result into a rejection reason (null = accepted)
+   */
+  function policyReason(result) {
+    if (result === undefined || result === null || result === true) return null;
+    if (result === false) return 'blocked: rejected by policy';
+    if (typeof result === 'string') return result;
+    if (result.accept === false) return result.reason || 'blocked: rejected by policy';
+    return null;
+  }
+
+  /**
+   * Run every policy's `hook` in order; resolves to the first rejection reason
+   */
+  async function runPolicies(hook, subject, ctx) {
+    for (const p of policies) {
+      if (typeof p[hook] !== 'function') continue;
+      const reason = policyReason(await p[hook](subject, ctx));
+      if (reason) return reason;
+    }
+    return null;
+  }
+
+  function policyContext(ws, extra = {}) {
+    const conn = connections.get(ws) || { id: null, remoteAddress: null, pubkeys: [] };
+    return {
+      connection: { id: conn.id, remoteAddress: conn.remoteAddress },
+      pubkey: conn.pubkeys[0] || null,
+      pubkeys: [...conn.pubkeys],
+      ...extra
+    };
+  }
+
+  // ── NIP-42 AUTH ───────────────────────────────────────
+
+  function isAuthenticated(ws) {
+    const conn = connections.get(ws);
+    return Boolean(conn && conn.pubkeys.length > 0);
+  }
+
+  function eventNeedsAuth(event) {
+    if (authMode === 'required') return true;
+    if (authMode === 'rules') return matchesFilters(event, authRules);
+    return false;
+  }
+
+  function reqNeedsAuth(filters) {
+    if (authMode === 'required') return true;
+    if (authMode === 'rules') return filters.some(f => authRules.some(r => filtersOverlap(f, r)));
+    return false;
+  }
+
+  /**
+   * Check a kind 22242 AUTH event; returns an `invalid:` reason or null
+   */
+  function validateAuthEvent(ws, event) {
+    const conn = connections.get(ws);
+    if (!event || event.kind !== 22242) return 'invalid: auth event must be kind 22242';
+    if (!Array.isArray(event.tags)) return 'invalid: missing tags';
+
+    const challengeTag = event.tags.find(t => t[0] === 'challenge');
+    if (!conn || !conn.challenge || !challengeTag || challengeTag[1] !== conn.challenge) {
+      return 'invalid: challenge does not match';
+    }
+
+    const relayTag = event.tags.find(t => t[0] === 'relay');
+    if (!relayTag || !isOwnUrl(relayTag[1])) return 'invalid: relay tag does not match';
+
+    if (typeof event.created_at !== 'number' || Math.abs(event.created_at - nowSeconds()) > authWindow) {
+      return 'invalid: created_at is too far from the current time';
+    }
+
+    if (!verifyEvent(event)) return 'invalid: bad signature';
+    return null;
+  }
+
+  /**
+   * Whether a relay tag URL points at this relay (any loopback host, same port)
+   */
+  function isOwnUrl(value) {
+    try {
+      const url = new URL(value);
+      return (url.protocol === 'ws:' || url.protocol === 'wss:') &&
+        ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname) &&
+        Number(url.port) === actualPort;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // ── NIP-40 / ephemeral ────────────────────────────────
+
+  function isEphemeral(event) {
+    return event.kind >= 20000 && event.kind < 30000;
+  }
+
+  function isExpired(event) {
+    const expiresAt = expirationOf(event);
+    return expiresAt !== null && expiresAt <= nowSeconds();
+  }
+
+  /**
+   * Drop stored events whose expiration has passed
+   */
+  function purgeExpired() {
+    store.expire(nowSeconds());
+  }
+
+  /**
+   * Check whether an event was removed by an earlier NIP-09 deletion request
+   */
+  function isDeleted(event) {
+    if (deletedIds.get(event.id) === event.pubkey) return true;
     const rKey = replaceableKey(event);
-    if (rKey) {
-      // Find and remove older versions
-      for (const [id, existing] of events) {
-        if (replaceableKey(existing) === rKey && existing.created_at <= event.created_at) {
-          events.delete(id);
-        }
+    return Boolean(rKey && deletedAddresses.has(rKey) && event.created_at <= deletedAddresses.get(rKey));
+  }
+
+  /**
+   * Apply a kind 5 deletion request: remove the author's own events referenced
+   * by `e` tags, and versions of their addressable events referenced by `a`
+   * tags up to the request's created_at. Deletions of deletions are ignored.
+   */
+  function applyDeletion(deletion) {
+    const remove = (id) => {
+      deleted.set(id, store.remove(id));
+      log('DELETE', id.slice(0, 8));
+    };
+
+    for (const [name, value] of deletion.tags) {
+      if (name === 'e' && value) {
+        const target = store.get(value);
+        if (target && target.kind === 5) continue;
+        if (target && target.pubkey !== deletion.pubkey) continue;
+        deletedIds.set(value, deletion.pubkey);
+        if (target) remove(value);
+      }
+
+      if (name === 'a' && value) {
+        // Coordinates are kind:pubkey:d; plain replaceable kinds use an empty d
+        const [kind, pubkey, ...rest] = value.split(':');
+        if (pubkey !== deletion.pubkey) continue;
+        const key = replaceableKey({ kind: Number(kind), pubkey, tags: [['d', rest.join(':')]] });
+        if (!key) continue;
+        const previous = deletedAddresses.get(key) || 0;
+        deletedAddresses.set(key, Math.max(previous, deletion.created_at));
+        const existing = store.getByAddress(key);
+        if (existing && existing.created_at <= deletion.created_at) remove(existing.id);
       }
     }
+  }
+
+  /**
+   * Check whether an event is already stored, or was already broadcast if ephemeral
+   */
+  function isDuplicate(event) {
+    return store.has(event.id) || seenEphemeral.has(event.id);
+  }
+
+  /**
+   * Store an event
+   */
+  function storeEvent(event) {
+    if (isDeleted(event)) {
+      return false; // Deleted by its author (NIP-09)
+    }
 
-    // Deduplicate
-    if (events.has(event.id)) {
-      return false; // Already have it
+    if (isExpired(event)) {
+      return false; // Already expired (NIP-40)
     }
 
-    events.set(event.id, event);
+    if (isEphemeral(event)) {
+      // Broadcast only, never stored; a resend is not broadcast again
+      if (seenEphemeral.has(event.id)) return false;
+      seenEphemeral.add(event.id);
+      return true;
+    }
+
+    // Deduplicates, and replaces older versions of replaceable events
+    if (!store.add(event)) {
+      return false;
+    }
+
+    if (event.kind === 5) applyDeletion(event);
     return true;
   }
 
   /**
    * Handle incoming WebSocket message
    */
-  function handleMessage(ws, data) {
+  async function handleMessage(ws, data) {
+    if (limitation.max_message_length && Buffer.byteLength(data) > limitation.max_message_length) {
+      rejectOversized(ws, data);
+      return;
+    }
+
     let msg;
     try {
       msg = JSON.parse(data);
     } catch (e) {
-      ws.send(JSON.stringify(['NOTICE', 'Invalid JSON']));
+      send(ws, ['NOTICE', 'Invalid JSON']);
       return;
     }
 
     if (!Array.isArray(msg) || msg.length < 2) {
-      ws.send(JSON.stringify(['NOTICE', 'Invalid message format']));
+      send(ws, ['NOTICE', 'Invalid message format']);
       return;
     }
 
     const type = msg[0];
+    // Read up front: the client may disconnect while an async policy runs
+    const clientId = clientIdOf(ws);
 
     switch (type) {
       case 'EVENT': {
         const event = msg[1];
-        if (!event || !event.id || !event.pubkey || !event.kind === undefined) {
-          ws.send(JSON.stringify(['OK', event?.id || '', false, 'Invalid event']));
+        const problems = validateEvent(event, { strict: strictValidation });
+        if (problems.length) {
+          send(ws, ['OK', typeof event?.id === 'string' ? event.id : '', false, `invalid: ${problems[0]}`]);
+          log('EVENT rejected', problems.join('; '));
+          return;
+        }
+
+        if (eventNeedsAuth(event) && !isAuthenticated(ws)) {
+          send(ws, ['OK', event.id, false, 'auth-required: this relay requires authentication']);
           return;
         }
 
+        if (isDeleted(event)) {
+          send(ws, ['OK', event.id, false, 'blocked: event has been deleted']);
+          return;
+        }
+
+        if (isExpired(event)) {
+          send(ws, ['OK', event.id, false, 'invalid: event has expired']);
+          return;
+        }
+
+        const limitReason = eventLimitReason(event);
+        if (limitReason) {
+          send(ws, ['OK', event.id, false, limitReason]);
+          return;
+        }
+
+        if (verifySignatures && !verifyEvent(event)) {
+          send(ws, ['OK', event.id, false, 'invalid: bad signature']);
+          log('EVENT rejected', event.id.slice(0, 8), 'bad signature');
+          return;
+        }
+
+        if (isDuplicate(event)) {
+          send(ws, ['OK', event.id, true, 'duplicate: already have this event']);
+          return;
+        }
+
+        const policyRejection = await runPolicies('event', event, policyContext(ws));
+        if (policyRejection) {
+          send(ws, ['OK', event.id, false, policyRejection]);
+          log('EVENT rejected', event.id.slice(0, 8), policyRejection);
+          return;
+        }
+
+        // The same event may have arrived on another publish while the policy ran
         const isNew = storeEvent(event);
-        ws.send(JSON.stringify(['OK', event.id, true, '']));
+        if (!isNew && isDuplicate(event)) {
+          send(ws, ['OK', event.id, true, 'duplicate: already have this event']);
+          return;
+        }
+        send(ws, ['OK', event.id, true, '']);
         log('EVENT', event.kind, event.id.slice(0, 8));
 
         if (isNew) {
-          // Broadcast to matching subscriptions
-          for (const [subWs, subs] of subscriptions) {
-            for (const [subId, filters] of subs) {
-              if (matchesFilters(event, filters)) {
-                subWs.send(JSON.stringify(['EVENT', subId, event]));
-              }
-            }
-          }
+          broadcast(event);
+          emitter.emit('event', event, { clientId });
         }
         break;
       }
 
       case 'REQ': {
         const subId = msg[1];
-        const filters = msg.slice(2);
+        const filters = clampFilters(msg.slice(2));
+
+        if (reqNeedsAuth(filters) && !isAuthenticated(ws)) {
+          send(ws, ['CLOSED', subId, 'auth-required: this relay requires authentication']);
+          return;
+        }
+
+        const limitReason = reqLimitReason(ws, subId, filters);
+        if (limitReason) {
+          send(ws, ['CLOSED', subId, limitReason]);
+          return;
+        }
+
+        const policyRejection = await runPolicies('req', filters, policyContext(ws, { subId }));
+        if (policyRejection) {
+          send(ws, ['CLOSED', subId, policyRejection]);
+          return;
+        }
+        if (!connections.has(ws)) return; // Gone while the policy ran
 
         if (!subscriptions.has(ws)) {
           subscriptions.set(ws, new Map());
@@ -155,23 +635,45 @@ function createMockRelay(opts = {}) {
 
         log('REQ', subId, JSON.stringify(filters).slice(0, 100));
 
-        // Send matching stored events
-        let count = 0;
-        const limit = filters.reduce((max, f) => Math.max(max, f.limit || Infinity), 0);
+        // Send matching stored events (each filter's limit applies separately)
+        emitter.emit('req', subId, filters, { clientId });
 
-        const sorted = Array.from(events.values())
-          .sort((a, b) => b.created_at - a.created_at);
+        purgeExpired();
+        const matched = store.query(filters);
 
-        for (const event of sorted) {
-          if (matchesFilters(event, filters)) {
-            ws.send(JSON.stringify(['EVENT', subId, event]));
-            count++;
-            if (limit !== Infinity && count >= limit) break;
-          }
+        for (const event of faultHooks.orderBatch(clientId, subId, matched)) {
+          send(ws, ['EVENT', subId, event]);
         }
 
         // Send EOSE
-        ws.send(JSON.stringify(['EOSE', subId]));
+        if (!faultHooks.withholdEose(clientId, subId)) send(ws, ['EOSE', subId]);
+        break;
+      }
+
+      case 'COUNT': {
+        const subId = msg[1];
+        const filters = msg.slice(2);
+
+        if (reqNeedsAuth(filters) && !isAuthenticated(ws)) {
+          send(ws, ['CLOSED', subId, 'auth-required: this relay requires authentication']);
+          return;
+        }
+
+        if (limitation.max_filters && filters.length > limitation.max_filters) {
+          send(ws, ['CLOSED', subId, `invalid: too many filters (max ${limitation.max_filters})`]);
+          return;
+        }
+
+        const policyRejection = await runPolicies('req', filters, policyContext(ws, { subId }));
+        if (policyRejection) {
+          send(ws, ['CLOSED', subId, policyRejection]);
+          return;
+        }
+
+        purgeExpired();
+        const count = store.count(filters);
+        send(ws, ['COUNT', subId, { count }]);
+        log('COUNT', subId, count);
         break;
       }
 
@@ -180,32 +682,154 @@ function createMockRelay(opts = {}) {
         const subs = subscriptions.get(ws);
         if (subs) subs.delete(subId);
         log('CLOSE', subId);
+        emitter.emit('close', subId, { clientId });
+        break;
+      }
+
+      case 'AUTH': {
+        const event = msg[1];
+        const reason = validateAuthEvent(ws, event);
+        if (reason) {
+          send(ws, ['OK', event?.id || '', false, reason]);
+          log('AUTH rejected', reason);
+          return;
+        }
+
+        const conn = connections.get(ws);
+        if (!conn.pubkeys.includes(event.pubkey)) conn.pubkeys.push(event.pubkey);
+        send(ws, ['OK', event.id, true, '']);
+        log('AUTH', conn.id, event.pubkey.slice(0, 8));
         break;
       }
 
       default:
-        ws.send(JSON.stringify(['NOTICE', `Unknown message type: ${type}`]));
+        send(ws, ['NOTICE', `Unknown message type: ${type}`]);
+    }
+  }
+
+  // ── Replay ────────────────────────────────────────────
+
+  /**
+   * Send recorded replies, honouring their delays (preserveTiming)
+   */
+  function serveReplay(ws, replies) {
+    for (const { message, delayMs } of replies) {
+      if (!delayMs) {
+        send(ws, message);
+        continue;
+      }
+      const timer = clock.setTimeout(() => {
+        pendingSends.delete(timer);
+        send(ws, message);
+      }, delayMs);
+      pendingSends.add(timer);
+    }
+  }
+
+  /**
+   * Answer a client frame from the cassette instead of the protocol handlers
+   */
+  function handleReplayMessage(ws, data) {
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch (e) {
+      msg = data;
+    }
+    serveReplay(ws, connections.get(ws).replay.receive(msg));
+  }
+
+  /**
+   * Serve the NIP-11 document to `Accept: application/nostr+json` requests
+   */
+  function handleHttp(req, res) {
+    const cors = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS'
+    };
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, cors);
+      res.end();
+      return;
+    }
+
+    if ((req.headers.accept || '').includes('application/nostr+json')) {
+      res.writeHead(200, { ...cors, 'Content-Type': 'application/nostr+json' });
+      res.end(JSON.stringify(relayInfo));
+      return;
     }
+
+    res.writeHead(426, { ...cors, 'Content-Type': 'text/plain' });
+    res.end('Use a Nostr client to connect to this relay');
   }
 
   /**
-   * Start the mock relay
+   * Start the mock relay. A restarted relay listens on the same port again.
    */
   function start() {
-    return new Promise((resolve) => {
-      wss = new WebSocketServer({ port }, () => {
-        actualPort = wss.address().port;
+    return new Promise((resolve, reject) => {
+      server = http.createServer(handleHttp);
+      wss = new WebSocketServer({
+        server,
+        verifyClient: (info, done) => {
+          if (faultHooks.refuseConnection()) done(false, 503, 'Service Unavailable');
+          else done(true);
+        }
+      });
+
+      server.once('error', reject);
+      server.listen(actualPort || port, () => {
+        actualPort = server.address().port;
         log(`Listening on ws://localhost:${actualPort}`);
 
-        wss.on('connection', (ws) => {
-          log('Client connected');
+        wss.on('connection', (ws, req) => {
+          const conn = {
+            id: `conn-${nextConnectionId++}`,
+            remoteAddress: req.socket.remoteAddress,
+            challenge: null,
+            pubkeys: [],
+            queue: Promise.resolve(),
+            sendAt: 0,
+            outbox: [],       // delayed messages, in send order
+            replay: null
+          };
+          connections.set(ws, conn);
+          log('Client connected', conn.id);
+          emitter.emit('connect', { id: conn.id, remoteAddress: conn.remoteAddress });
 
-          ws.on('message', (data) => handleMessage(ws, data.toString()));
+          // Handle messages one at a time so async policies keep them in order
+          ws.on('message', (data) => {
+            const text = data.toString();
+            if (recordTraffic) traffic.record(conn.id, 'in', text);
+            if (replayer) {
+              if (conn.replay) handleReplayMessage(ws, text);
+              return;
+            }
+            conn.queue = conn.queue
+              .then(() => handleMessage(ws, text))
+              .catch(err => log('Error handling message', err));
+          });
 
           ws.on('close', () => {
             subscriptions.delete(ws);
-            log('Client disconnected');
+            connections.delete(ws);
+            log('Client disconnected', conn.id);
+            emitter.emit('disconnect', { id: conn.id, remoteAddress: conn.remoteAddress });
           });
+
+          if (replayer) {
+            conn.replay = replayer.open();
+            if (conn.replay) serveReplay(ws, conn.replay.start());
+            else send(ws, ['NOTICE', 'replay: no more recorded connections']);
+            return;
+          }
+
+          if (authMode !== 'none') {
+            conn.challenge = random.hex(16);
+            send(ws, ['AUTH', conn.challenge]);
+          }
         });
 
         resolve({ port: actualPort, url: `ws://localhost:${actualPort}` });
@@ -218,6 +842,11 @@ function createMockRelay(opts = {}) {
    */
   function stop() {
     return new Promise((resolve) => {
+      for (const timer of pendingSends) clock.clearTimeout(timer);
+      pendingSends.clear();
+      liveBatches.clear();
+      for (const waiter of [...waiters]) waiter.reject(new Error('Relay stopped'));
+
       if (wss) {
         // Close all client connections
         for (const client of wss.clients) {
@@ -225,7 +854,11 @@ function createMockRelay(opts = {}) {
         }
         wss.close(() => {
           wss = null;
-          resolve();
+          server.closeAllConnections();
+          server.close(() => {
+            server = null;
+            resolve();
+          });
         });
       } else {
         resolve();
@@ -233,67 +866,382 @@ function createMockRelay(opts = {}) {
     });
   }
 
+  /**
+   * Send an event to every matching subscription
+   */
+  function broadcast(event) {
+    for (const [subWs, subs] of subscriptions) {
+      for (const [subId, filters] of subs) {
+        if (!matchesFilters(event, filters)) continue;
+        if (faultHooks.reordersLive()) holdLive(subWs, subId, event);
+        else send(subWs, ['EVENT', subId, event]);
+      }
+    }
+  }
+
+  /**
+   * Hold a live event for the reorder fault: events broadcast in the same
+   * tick go out together, shuffled, on the next microtask
+   */
+  function holdLive(ws, subId, event) {
+    if (liveBatches.size === 0) queueMicrotask(flushLive);
+    if (!liveBatches.has(ws)) liveBatches.set(ws, new Map());
+    const batch = liveBatches.get(ws);
+    if (!batch.has(subId)) batch.set(subId, []);
+    batch.get(subId).push(event);
+  }
+
+  function flushLive() {
+    const held = Array.from(liveBatches);
+    liveBatches.clear();
+    for (const [ws, batch] of held) {
+      for (const [subId, events] of batch) {
+        if (!subscriptions.get(ws)?.has(subId)) continue; // Closed meanwhile
+        for (const event of faultHooks.orderBatch(clientIdOf(ws), subId, events)) {
+          send(ws, ['EVENT', subId, event]);
+        }
+      }
+    }
+  }
+
   /**
    * Inject an event directly (bypass WebSocket)
    * Also broadcasts to any active WebSocket subscribers.
+   * Ephemeral events are broadcast but not stored.
    */
   function inject(event) {
     const isNew = storeEvent(event);
     if (isNew) {
-      // Broadcast to matching subscriptions
-      for (const [subWs, subs] of subscriptions) {
-        for (const [subId, filters] of subs) {
-          if (matchesFilters(event, filters)) {
-            try {
-              subWs.send(JSON.stringify(['EVENT', subId, event]));
-            } catch (e) { /* client disconnected */ }
-          }
-        }
-      }
+      broadcast(event);
+      emitter.emit('event', event, { clientId: null });
     }
     return isNew;
   }
 
   /**
-   * Get all stored events
+   * Get all stored events, or those matching a filter (newest first, or by
+   * search score; the filter's limit applies)
    */
   function getEvents(filter = null) {
-    const all = Array.from(events.values());
-    if (!filter) return all;
-    return all.filter(e => matchesFilter(e, filter));
+    purgeExpired();
+    if (!filter) return store.values();
+    return store.query([filter]);
   }
 
   /**
    * Clear all stored events
    */
   function clear() {
-    events.clear();
+    store.clear();
+    deleted.clear();
+    deletedIds.clear();
+    deletedAddresses.clear();
+    seenEphemeral.clear();
+  }
+
+  /**
+   * Get events removed by NIP-09 deletion requests
+   */
+  function getDeleted(filter = null) {
+    const all = Array.from(deleted.values());
+    if (!filter) return all;
+    return all.filter(e => matchesFilter(e, filter));
+  }
+
+  // ── Observation ───────────────────────────────────────
+
+  /**
+   * Register a pending wait that rejects with `onTimeout()` after `timeout` ms
+   * (or when the relay stops) and unsubscribes however it settles
+   */
+  function addWaiter(timeout, onTimeout, resolve, reject, unsubscribe) {
+    const waiter = {
+      resolve(value) { waiter.cleanup(); resolve(value); },
+      reject(err) { waiter.cleanup(); reject(err); },
+      cleanup() {
+        clock.clearTimeout(timer);
+        unsubscribe();
+        waiters.delete(waiter);
+      }
+    };
+    const timer = clock.setTimeout(() => waiter.reject(onTimeout()), timeout);
+    waiters.add(waiter);
+    return waiter;
+  }
+
+  /**
+   * Events (stored ones unless `candidates` are given) that match some but
+   * not all of a filter's conditions, closest first, as { event, mismatched }.
+   * With `all`, events that match none of them count too.
+   */
+  function nearMisses(filter, nearOpts = {}) {
+    const { candidates = getEvents(), max = 5, all = false } = nearOpts;
+    const keys = Object.keys(filter).filter(k => k !== 'limit' && filter[k] !== undefined);
+    return candidates
+      .map(event => ({ event, mismatched: keys.filter(k => !matchesFilter(event, { [k]: filter[k] })) }))
+      .filter(m => m.mismatched.length > 0 && (all || m.mismatched.length < keys.length))
+      .sort((a, b) => a.mismatched.length - b.mismatched.length)
+      .slice(0, max);
+  }
+
+  function describeNearMiss({ event, mismatched }) {
+    return `  ${event.id.slice(0, 8)} kind ${event.kind} by ${event.pubkey.slice(0, 8)}: ` +
+      `${mismatched.join(', ')} did not match`;
+  }
+
+  /**
+   * Resolve once events matching `filter` have been accepted. Events already
+   * stored count unless `existing` is false. Resolves with the event, or with
+   * an array of `count` events when `count` is given; on timeout, rejects with
+   * an error listing near misses (also available as `err.nearMisses`).
+   */
+  function waitForEvent(filter = {}, opts = {}) {
+    const { timeout = 5000, count, existing = true } = opts;
+    const wanted = count === undefined ? 1 : count;
+    const matched = existing ? getEvents({ ...filter, limit: undefined }).reverse().slice(0, wanted) : [];
+    const finish = () => count === undefined ? matched[0] : matched.slice(0, wanted);
+    if (matched.length >= wanted) return Promise.resolve(finish());
+
+    const seen = [];
+    return new Promise((resolve, reject) => {
+      const onEvent = (event) => {
+        if (!matchesFilter(event, filter)) {
+          seen.push(event);
+          return;
+        }
+        matched.push(event);
+        if (matched.length >= wanted) waiter.resolve(finish());
+      };
+      const onTimeout = () => {
+        const misses = nearMisses(filter, { candidates: Array.from(new Set([...seen, ...store.values()])) });
+        const err = new Error(
+          `Timed out after ${timeout}ms waiting for ${wanted} event(s) matching ` +
+          `${JSON.stringify(filter)} (${matched.length} matched)` +
+          (misses.length ? `\nNear misses:\n${misses.map(describeNearMiss).join('\n')}` : '\nNo near misses')
+        );
+        err.filter = filter;
+        err.matched = [...matched];
+        err.nearMisses = misses;
+        return err;
+      };
+      const waiter = addWaiter(timeout, onTimeout, resolve, reject, () => emitter.off('event', onEvent));
+      emitter.on('event', onEvent);
+    });
+  }
+
+  /**
+   * Whether a REQ filter asks for at least everything `wanted` describes:
+   * list fields contain all the wanted values, other fields are equal
+   */
+  function filterCovers(reqFilter, wanted) {
+    return Object.entries(wanted).every(([key, value]) => {
+      if (Array.isArray(value)) return Array.isArray(reqFilter[key]) && value.every(v => reqFilter[key].includes(v));
+      return reqFilter[key] === value;
+    });
+  }
+
+  /**
+   * Connection id for a socket, or null once it has disconnected
+   */
+  function clientIdOf(ws) {
+    return connections.get(ws)?.id ?? null;
+  }
+
+  /**
+   * Resolve with { clientId, subId, filters } once a subscription with a filter
+   * covering `filter` is open (open subscriptions count). Rejects on timeout
+   * with the open subscriptions listed.
+   */
+  function waitForSubscription(filter = {}, opts = {}) {
+    const { timeout = 5000 } = opts;
+    const covers = (filters) => filters.some(f => filterCovers(f, filter));
+
+    for (const [ws, subs] of subscriptions) {
+      for (const [subId, filters] of subs) {
+        if (covers(filters)) return Promise.resolve({ clientId: clientIdOf(ws), subId, filters });
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      const onReq = (subId, filters, { clientId }) => {
+        if (covers(filters)) waiter.resolve({ clientId, subId, filters });
+      };
+      const onTimeout = () => {
+        const open = [];
+        for (const [ws, subs] of subscriptions) {
+          for (const [subId, filters] of subs) {
+            open.push(`  ${clientIdOf(ws)} ${subId}: ${JSON.stringify(filters)}`);
+          }
+        }
+        return new Error(
+          `Timed out after ${timeout}ms waiting for a subscription matching ${JSON.stringify(filter)}` +
+          (open.length ? `\nOpen subscriptions:\n${open.join('\n')}` : '\nNo open subscriptions')
+        );
+      };
+      const waiter = addWaiter(timeout, onTimeout, resolve, reject, () => emitter.off('req', onReq));
+      emitter.on('req', onReq);
+    });
+  }
+
+  // ── Snapshots & fixtures ──────────────────────────────
+
+  /**
+   * Capture stored events and deletion state. The snapshot is plain JSON,
+   * copied so later changes to stored events don't leak into it.
+   */
+  function snapshot() {
+    purgeExpired();
+    return structuredClone({
+      events: store.values(),
+      deleted: Array.from(deleted.values()),
+      deletedIds: Array.from(deletedIds.entries()),
+      deletedAddresses: Array.from(deletedAddresses.entries())
+    });
+  }
+
+  /**
+   * Replace the relay's state with a copy of a snapshot taken by snapshot()
+   */
+  function restore(saved) {
+    const snap = structuredClone(saved);
+    clear();
+    for (const event of snap.events) store.add(event);
+    for (const event of snap.deleted) deleted.set(event.id, event);
+    for (const [id, pubkey] of snap.deletedIds) deletedIds.set(id, pubkey);
+    for (const [key, ts] of snap.deletedAddresses) deletedAddresses.set(key, ts);
+  }
+
+  /**
+   * Load a JSONL file (one event per line, as `nak` and strfry export) through
+   * the normal store path, so replaceable and deletion rules apply. Every
+   * event must pass validateEvent(); nothing is loaded if one fails.
+   */
+  function loadFixtures(path) {
+    const lines = fs.readFileSync(path, 'utf8').split('\n');
+    const events = [];
+
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (e) {
+        throw new Error(`Invalid JSON on line ${i + 1} of ${path}: ${e.message}`);
+      }
+      const problems = validateEvent(event);
+      if (problems.length) {
+        throw new Error(`Invalid fixture ${events.length} (line ${i + 1} of ${path}): ${problems.join('; ')}`);
+      }
+      events.push(event);
+    });
+
+    let stored = 0;
+    let skipped = 0;
+    for (const event of events) {
+      if (inject(event)) stored++;
+      else skipped++;
+    }
+
+    log('Loaded fixtures', path, stored, 'stored', skipped, 'skipped');
+    return { stored, skipped };
+  }
+
+  /**
+   * Write stored events (optionally filtered) to a JSONL file, oldest first
+   * so that re-importing keeps the newest replaceable versions
+   */
+  function exportJsonl(path, filter = null) {
+    const list = (filter ? getEvents(filter) : getEvents())
+      .sort((a, b) => a.created_at - b.created_at);
+    fs.writeFileSync(path, list.map(e => JSON.stringify(e) + '\n').join(''));
+    return list.length;
+  }
+
+  // ── Traffic ───────────────────────────────────────────
+
+  /**
+   * Get recorded frames in order, optionally filtered by clientId,
+   * direction ('in' | 'out') and message type
+   */
+  function getTraffic(query = {}) {
+    return traffic.getTraffic(query);
+  }
+
+  /**
+   * Build a cassette from recorded traffic (every connection, or one clientId)
+   */
+  function getCassette(query = {}) {
+    return traffic.toCassette(query);
+  }
+
+  /**
+   * Write recorded traffic as a cassette file for replay mode
+   */
+  function saveCassette(path, query = {}) {
+    const cassette = getCassette(query);
+    writeCassette(path, cassette);
+    return cassette;
+  }
+
+  /**
+   * Get the NIP-11 relay information document
+   */
+  function getInfo() {
+    return JSON.parse(JSON.stringify(relayInfo));
+  }
+
+  /**
+   * List open connections and the pubkeys each has authenticated as (NIP-42)
+   */
+  function getConnections() {
+    return Array.from(connections.values()).map(c => ({
+      id: c.id,
+      challenge: c.challenge,
+      pubkey: c.pubkeys[0] || null,
+      pubkeys: [...c.pubkeys]
+    }));
   }
 
   /**
    * Get relay status
    */
   function status() {
+    purgeExpired();
     return {
       running: wss !== null,
       port: actualPort,
       url: actualPort ? `ws://localhost:${actualPort}` : null,
-      events: events.size,
+      events: store.size,
       clients: wss ? wss.clients.size : 0,
       subscriptions: Array.from(subscriptions.values()).reduce((sum, m) => sum + m.size, 0)
     };
   }
 
-  return {
+  return Object.assign(emitter, {
     start,
     stop,
     inject,
+    waitForEvent,
+    waitForSubscription,
+    nearMisses,
     getEvents,
+    getDeleted,
     clear,
+    snapshot,
+    restore,
+    loadFixtures,
+    exportJsonl,
+    getTraffic,
+    clearTraffic: traffic.clear,
+    getCassette,
+    saveCassette,
     status,
+    getConnections,
+    getInfo,
+    faults,
     matchesFilter,
     matchesFilters
-  };
+  });
 }
 
 module.exports = { createMockRelay };
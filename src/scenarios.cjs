@@ -2,37 +2,65 @@
 
 const { createMockRelay } = require('./relay.cjs');
 const { createMockWallet } = require('./wallet.cjs');
+const { createMockLightningNetwork } = require('./lightning.cjs');
 const {
-  generateKeypair, textNote, dm, dvmRequest, dvmResult,
+  namedKeypair, textNote, dm, dvmRequest, dvmResult,
   zapReceipt, trustAttestation, marketplaceTask, marketplaceBid,
-  marketplaceDelivery
+  marketplaceDelivery, privateDirectMessage, dmRelayList
 } = require('./events.cjs');
+const { realClock } = require('./clock.cjs');
+const { resolveRandom } = require('./random.cjs');
 
 /**
  * Pre-built test scenarios that set up common agent situations.
  *
- * Each scenario returns { relay, wallet, agents, events, cleanup }
+ * Each scenario returns { relay, wallet, agents, events, clock, cleanup }.
+ * Pass `clock` (see clock.cjs) to run the relay, wallet and the scenario's
+ * events on virtual time. Agents are always the same named keypairs, and
+ * with `seed` every signature, preimage and challenge is reproducible too.
+ * With `lightning: true`, alice and bob each get a wallet on a shared mock
+ * Lightning network (`agent.wallet`, address `<name>@getalby.com`) and
+ * `wallet` is alice's.
  */
 
 /**
  * Basic scenario: relay + wallet + two agent identities
  */
 async function basicScenario(opts = {}) {
-  const relay = createMockRelay({ logging: opts.logging });
+  const clock = opts.clock || realClock;
+  const seeded = opts.seed !== undefined && opts.seed !== null;
+  const random = resolveRandom(seeded ? `${opts.seed}:events` : null);
+  const relay = createMockRelay({ logging: opts.logging, clock, seed: seeded ? `${opts.seed}:relay` : null });
   const { url } = await relay.start();
 
-  const alice = { ...generateKeypair(), name: 'alice' };
-  const bob = { ...generateKeypair(), name: 'bob' };
+  const alice = { ...namedKeypair('alice'), name: 'alice' };
+  const bob = { ...namedKeypair('bob'), name: 'bob' };
 
-  const wallet = createMockWallet({
-    initialBalance: opts.balance || 100000000
+  const walletOpts = (suffix) => ({
+    initialBalance: opts.balance || 100000000,
+    clock,
+    seed: seeded ? `${opts.seed}:wallet${suffix}` : null
   });
 
+  let lightning = null;
+  let wallet;
+  if (opts.lightning) {
+    lightning = createMockLightningNetwork();
+    alice.wallet = lightning.createWallet({ ...walletOpts(''), address: 'alice@getalby.com' });
+    bob.wallet = lightning.createWallet({ ...walletOpts(':bob'), address: 'bob@getalby.com' });
+    wallet = alice.wallet;
+  } else {
+    wallet = createMockWallet(walletOpts(''));
+  }
+
   return {
     relay,
     relayUrl: url,
     wallet,
+    lightning,
     agents: { alice, bob },
+    clock,
+    random,
     cleanup: async () => {
       await relay.stop();
     }
@@ -43,13 +71,15 @@ async function basicScenario(opts = {}) {
  * DVM scenario: provider agent with incoming requests
  */
 async function dvmScenario(opts = {}) {
-  const { relay, relayUrl, wallet, agents, cleanup: baseCleanup } = await basicScenario(opts);
+  const { relay, relayUrl, wallet, lightning, agents, clock, random, cleanup: baseCleanup } = await basicScenario(opts);
 
   const dvmKind = opts.dvmKind || 50; // text generation
 
   // Inject a DVM request from bob to alice
   const request = dvmRequest(dvmKind, 'Translate "hello" to French', agents.alice.pubkey, {
-    pubkey: agents.bob.pubkey
+    secretKey: agents.bob.secretKey,
+    clock,
+    random
   });
   relay.inject(request);
 
@@ -57,12 +87,17 @@ async function dvmScenario(opts = {}) {
     relay,
     relayUrl,
     wallet,
+    lightning,
     agents,
+    clock,
+    random,
     request,
     dvmKind,
     // Helper to create a result
     createResult: (content) => dvmResult(dvmKind, content, agents.bob.pubkey, {
-      pubkey: agents.alice.pubkey,
+      secretKey: agents.alice.secretKey,
+      clock,
+      random,
       tags: [['e', request.id]]
     }),
     cleanup: baseCleanup
@@ -73,11 +108,13 @@ async function dvmScenario(opts = {}) {
  * Marketplace scenario: task posted, bid submitted
  */
 async function marketplaceScenario(opts = {}) {
-  const { relay, relayUrl, wallet, agents, cleanup: baseCleanup } = await basicScenario(opts);
+  const { relay, relayUrl, wallet, lightning, agents, clock, random, cleanup: baseCleanup } = await basicScenario(opts);
 
   // Alice posts a task
   const task = marketplaceTask('Translate README to Spanish', 500, {
-    pubkey: agents.alice.pubkey,
+    secretKey: agents.alice.secretKey,
+    clock,
+    random,
     description: 'High-quality translation needed',
     capabilities: ['translation', 'spanish'],
     taskId: 'test-task-001'
@@ -86,7 +123,9 @@ async function marketplaceScenario(opts = {}) {
 
   // Bob bids on it
   const bid = marketplaceBid(task.id, agents.alice.pubkey, 400, 'bob@getalby.com', {
-    pubkey: agents.bob.pubkey,
+    secretKey: agents.bob.secretKey,
+    clock,
+    random,
     message: 'I can do this'
   });
   relay.inject(bid);
@@ -95,12 +134,17 @@ async function marketplaceScenario(opts = {}) {
     relay,
     relayUrl,
     wallet,
+    lightning,
     agents,
+    clock,
+    random,
     task,
     bid,
     // Helper to create a delivery
     createDelivery: (result) => marketplaceDelivery(task.id, agents.alice.pubkey, result, {
-      pubkey: agents.bob.pubkey
+      secretKey: agents.bob.secretKey,
+      clock,
+      random
     }),
     cleanup: baseCleanup
   };
@@ -110,25 +154,31 @@ async function marketplaceScenario(opts = {}) {
  * Trust scenario: agents with attestations
  */
 async function trustScenario(opts = {}) {
-  const { relay, relayUrl, wallet, agents, cleanup: baseCleanup } = await basicScenario(opts);
+  const { relay, relayUrl, wallet, lightning, agents, clock, random, cleanup: baseCleanup } = await basicScenario(opts);
 
-  const charlie = { ...generateKeypair(), name: 'charlie' };
+  const charlie = { ...namedKeypair('charlie'), name: 'charlie' };
 
   // Charlie attests alice
   const attestation1 = trustAttestation(agents.alice.pubkey, 'service-quality', 'Great translation service', {
-    pubkey: charlie.pubkey
+    secretKey: charlie.secretKey,
+    clock,
+    random
   });
   relay.inject(attestation1);
 
   // Bob attests alice
   const attestation2 = trustAttestation(agents.alice.pubkey, 'work-completed', 'Completed task on time', {
-    pubkey: agents.bob.pubkey
+    secretKey: agents.bob.secretKey,
+    clock,
+    random
   });
   relay.inject(attestation2);
 
   // Alice attests bob
   const attestation3 = trustAttestation(agents.bob.pubkey, 'general-trust', 'Reliable agent', {
-    pubkey: agents.alice.pubkey
+    secretKey: agents.alice.secretKey,
+    clock,
+    random
   });
   relay.inject(attestation3);
 
@@ -136,52 +186,85 @@ async function trustScenario(opts = {}) {
     relay,
     relayUrl,
     wallet,
+    lightning,
     agents: { ...agents, charlie },
+    clock,
+    random,
     attestations: [attestation1, attestation2, attestation3],
     cleanup: baseCleanup
   };
 }
 
 /**
- * Notification scenario: various events targeting an agent
+ * Notification scenario: various events targeting an agent.
+ * `dms: 'nip17'` delivers the DM as NIP-17 gift wraps (after publishing
+ * alice's kind 10050 DM relay list) instead of a NIP-04 kind 4.
  */
 async function notificationScenario(opts = {}) {
-  const { relay, relayUrl, wallet, agents, cleanup: baseCleanup } = await basicScenario(opts);
+  const { relay, relayUrl, wallet, lightning, agents, clock, random, cleanup: baseCleanup } = await basicScenario(opts);
 
   const events = [];
 
   // Mention
   const mention = textNote('Hey @alice, check this out', {
-    pubkey: agents.bob.pubkey,
+    secretKey: agents.bob.secretKey,
+    clock,
+    random,
     mention: agents.alice.pubkey
   });
   relay.inject(mention);
   events.push({ type: 'mention', event: mention });
 
-  // DM
-  const directMsg = dm('Secret message', agents.alice.pubkey, {
-    pubkey: agents.bob.pubkey
-  });
-  relay.inject(directMsg);
-  events.push({ type: 'dm', event: directMsg });
+  if (opts.dms === 'nip17') {
+    // DM (NIP-17 gift wraps from bob to alice, plus bob's own copy)
+    const relayList = dmRelayList([relayUrl], {
+      secretKey: agents.alice.secretKey,
+      clock,
+      random
+    });
+    relay.inject(relayList);
+
+    const { rumor, wraps } = privateDirectMessage('Secret message', agents.alice.pubkey, {
+      secretKey: agents.bob.secretKey,
+      clock,
+      random
+    });
+    for (const wrap of wraps) relay.inject(wrap);
+    events.push({ type: 'dm', event: wraps[0], rumor, wraps });
+  } else {
+    // DM (NIP-04 encrypted from bob to alice)
+    const directMsg = dm('Secret message', agents.alice.pubkey, {
+      secretKey: agents.bob.secretKey,
+      clock,
+      random
+    });
+    relay.inject(directMsg);
+    events.push({ type: 'dm', event: directMsg });
+  }
 
   // Zap
   const zap = zapReceipt(agents.alice.pubkey, 21000, {
-    pubkey: agents.bob.pubkey
+    secretKey: agents.bob.secretKey,
+    clock,
+    random
   });
   relay.inject(zap);
   events.push({ type: 'zap', event: zap });
 
   // DVM request
   const dvmReq = dvmRequest(50, 'Write a haiku', agents.alice.pubkey, {
-    pubkey: agents.bob.pubkey
+    secretKey: agents.bob.secretKey,
+    clock,
+    random
   });
   relay.inject(dvmReq);
   events.push({ type: 'dvm_request', event: dvmReq });
 
   // Trust attestation
   const attest = trustAttestation(agents.alice.pubkey, 'service-quality', 'Good agent', {
-    pubkey: agents.bob.pubkey
+    secretKey: agents.bob.secretKey,
+    clock,
+    random
   });
   relay.inject(attest);
   events.push({ type: 'trust', event: attest });
@@ -190,8 +273,11 @@ async function notificationScenario(opts = {}) {
     relay,
     relayUrl,
     wallet,
+    lightning,
     agents,
     events,
+    clock,
+    random,
     cleanup: baseCleanup
   };
 }
@@ -0,0 +1,345 @@
+'use strict';
+
+/**
+ * Indexed in-memory event store used by the mock relay.
+ *
+ * Keeps events indexed by id, author, kind, single-letter tag value and
+ * created_at, plus O(1) lookup of the current version of every replaceable
+ * and addressable event. Queries pick the most selective index for each
+ * filter and apply each filter's own `limit` before merging results.
+ */
+
+/**
+ * Check if an event matches a single NIP-01 filter
+ */
+function matchesFilter(event, filter) {
+  if (filter.ids && !filter.ids.includes(event.id)) return false;
+  if (filter.authors && !filter.authors.includes(event.pubkey)) return false;
+  if (filter.kinds && !filter.kinds.includes(event.kind)) return false;
+  if (filter.since && event.created_at < filter.since) return false;
+  if (filter.until && event.created_at > filter.until) return false;
+
+  // Tag filters (#e, #p, #t, #d, #L, #l, etc.)
+  for (const [key, values] of Object.entries(filter)) {
+    if (key.startsWith('#') && key.length === 2) {
+      const tagName = key[1];
+      const eventTagValues = event.tags
+        .filter(t => t[0] === tagName)
+        .map(t => t[1]);
+      if (!values.some(v => eventTagValues.includes(v))) return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Get the replaceable key for replaceable (kind:pubkey) and
+ * parameterized replaceable (kind:pubkey:d) events, or null
+ */
+function replaceableKey(event) {
+  if (event.kind >= 30000 && event.kind < 40000) {
+    const dTag = event.tags.find(t => t[0] === 'd');
+    return `${event.kind}:${event.pubkey}:${dTag ? dTag[1] : ''}`;
+  }
+  if (event.kind === 0 || event.kind === 3 || (event.kind >= 10000 && event.kind < 20000)) {
+    return `${event.kind}:${event.pubkey}`;
+  }
+  return null;
+}
+
+/**
+ * NIP-40 expiration timestamp (seconds) of an event, or null
+ */
+function expirationOf(event) {
+  const tag = Array.isArray(event.tags) && event.tags.find(t => t[0] === 'expiration');
+  if (!tag) return null;
+  const ts = Number(tag[1]);
+  return Number.isFinite(ts) ? ts : null;
+}
+
+/**
+ * NIP-01 ordering: newest first, lowest id first on ties
+ */
+function compareNewestFirst(a, b) {
+  return b.created_at - a.created_at || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+/**
+ * Create an event store.
+ *
+ * `matches(event, filter)` replaces the NIP-01 matcher (the relay adds search),
+ * and `scorer(filter)` may return an `event → score` function for filters whose
+ * results are ranked rather than ordered by time (NIP-50).
+ */
+function createEventStore(opts = {}) {
+  const {
+    matches = matchesFilter,
+    scorer = () => null
+  } = opts;
+
+  const byId = new Map();        // id → event (insertion order)
+  const byAuthor = new Map();    // pubkey → Set<event>
+  const byKind = new Map();      // kind → Set<event>
+  const byTag = new Map();       // "name:value" → Set<event>
+  const byAddress = new Map();   // replaceable key → event
+  const timeline = [];           // oldest first (reverse of compareNewestFirst)
+  const expirations = [];        // [expiresAt, id] sorted ascending
+
+  function addTo(index, key, event) {
+    let set = index.get(key);
+    if (!set) index.set(key, set = new Set());
+    set.add(event);
+  }
+
+  function removeFrom(index, key, event) {
+    const set = index.get(key);
+    if (!set) return;
+    set.delete(event);
+    if (set.size === 0) index.delete(key);
+  }
+
+  function tagKeys(event) {
+    const keys = new Set();
+    for (const tag of event.tags) {
+      if (typeof tag[0] === 'string' && tag[0].length === 1 && tag[1] !== undefined) {
+        keys.add(`${tag[0]}:${tag[1]}`);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Index of the first timeline entry that sorts after `event`
+   */
+  function timelineIndex(event) {
+    let lo = 0;
+    let hi = timeline.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (compareNewestFirst(timeline[mid], event) > 0) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Number of timeline entries with created_at <= until
+   */
+  function timelineEnd(until) {
+    let lo = 0;
+    let hi = timeline.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (timeline[mid].created_at <= until) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  function index(event) {
+    byId.set(event.id, event);
+    addTo(byAuthor, event.pubkey, event);
+    addTo(byKind, event.kind, event);
+    for (const key of tagKeys(event)) addTo(byTag, key, event);
+
+    const last = timeline[timeline.length - 1];
+    if (!last || compareNewestFirst(last, event) >= 0) timeline.push(event);
+    else timeline.splice(timelineIndex(event), 0, event);
+
+    const expiresAt = expirationOf(event);
+    if (expiresAt !== null) {
+      let i = expirations.length;
+      while (i > 0 && expirations[i - 1][0] > expiresAt) i--;
+      expirations.splice(i, 0, [expiresAt, event.id]);
+    }
+  }
+
+  // ── Store interface ───────────────────────────────────
+
+  /**
+   * Add an event. Replaceable and addressable events replace older versions
+   * (NIP-01: newest created_at wins, lowest id on ties); returns false for
+   * duplicates and for versions older than the one stored.
+   */
+  function add(event) {
+    if (byId.has(event.id)) return false;
+
+    const rKey = replaceableKey(event);
+    if (rKey) {
+      const current = byAddress.get(rKey);
+      if (current) {
+        if (compareNewestFirst(current, event) < 0) return false;
+        remove(current.id);
+      }
+      byAddress.set(rKey, event);
+    }
+
+    index(event);
+    return true;
+  }
+
+  /**
+   * Remove an event by id; returns the removed event or null
+   */
+  function remove(id) {
+    const event = byId.get(id);
+    if (!event) return null;
+
+    byId.delete(id);
+    removeFrom(byAuthor, event.pubkey, event);
+    removeFrom(byKind, event.kind, event);
+    for (const key of tagKeys(event)) removeFrom(byTag, key, event);
+
+    const rKey = replaceableKey(event);
+    if (rKey && byAddress.get(rKey) === event) byAddress.delete(rKey);
+
+    const i = timeline.indexOf(event, Math.max(0, timelineIndex(event) - 1));
+    if (i !== -1) timeline.splice(i, 1);
+
+    const e = expirations.findIndex(entry => entry[1] === id);
+    if (e !== -1) expirations.splice(e, 1);
+
+    return event;
+  }
+
+  /**
+   * Remove every event whose expiration is at or before `nowSeconds`
+   */
+  function expire(nowSeconds) {
+    const removed = [];
+    while (expirations.length > 0 && expirations[0][0] <= nowSeconds) {
+      const [, id] = expirations[0];
+      const event = remove(id);
+      if (event) removed.push(event);
+      else expirations.shift();
+    }
+    return removed;
+  }
+
+  /**
+   * Candidate events for a filter from its most selective index, or null
+   * when the filter constrains nothing indexable (scan the timeline)
+   */
+  function candidates(filter) {
+    if (filter.ids) {
+      return Array.from(new Set(filter.ids)).map(id => byId.get(id)).filter(Boolean);
+    }
+
+    let best = null;
+    const consider = (sets) => {
+      const size = sets.reduce((sum, set) => sum + set.size, 0);
+      if (!best || size < best.size) best = { sets, size };
+    };
+
+    if (filter.authors) consider(filter.authors.map(a => byAuthor.get(a)).filter(Boolean));
+    if (filter.kinds) consider(filter.kinds.map(k => byKind.get(k)).filter(Boolean));
+    for (const [key, values] of Object.entries(filter)) {
+      if (key.startsWith('#') && key.length === 2) {
+        consider(values.map(v => byTag.get(`${key[1]}:${v}`)).filter(Boolean));
+      }
+    }
+
+    if (!best) return null;
+    if (best.sets.length === 1) return Array.from(best.sets[0]);
+    const merged = new Set();
+    for (const set of best.sets) for (const event of set) merged.add(event);
+    return Array.from(merged);
+  }
+
+  /**
+   * Events matching one filter, in result order, with its limit applied
+   */
+  function queryFilter(filter, ignoreLimit) {
+    const limit = !ignoreLimit && typeof filter.limit === 'number' ? filter.limit : Infinity;
+    if (limit <= 0) return [];
+
+    const score = scorer(filter);
+    const pool = candidates(filter);
+
+    // Time-ordered filters may walk the timeline (newest first) and stop at
+    // the limit; that beats sorting the index candidates when the filter's
+    // time range is small or matches are dense enough to hit the limit early
+    const end = filter.until ? timelineEnd(filter.until) : timeline.length;
+    const start = filter.since ? timelineEnd(filter.since - 1) : 0;
+    const range = end - start;
+    const walk = !score && (pool === null || range <= pool.length ||
+      (limit !== Infinity && limit * range < pool.length * pool.length));
+
+    if (walk) {
+      const result = [];
+      for (let i = end - 1; i >= start && result.length < limit; i--) {
+        if (matches(timeline[i], filter)) result.push(timeline[i]);
+      }
+      return result;
+    }
+
+    const matched = (pool || timeline).filter(event => matches(event, filter));
+    if (score) {
+      const scores = new Map(matched.map(e => [e, score(e)]));
+      matched.sort((a, b) => scores.get(b) - scores.get(a) || compareNewestFirst(a, b));
+    } else {
+      matched.sort(compareNewestFirst);
+    }
+    return limit === Infinity ? matched : matched.slice(0, limit);
+  }
+
+  /**
+   * Events matching any of the filters, each filter limited separately.
+   * Results are ranked by the best score when any filter is scored, and
+   * ordered newest first otherwise.
+   */
+  function query(filters, { ignoreLimit = false } = {}) {
+    if (filters.length === 1) return queryFilter(filters[0], ignoreLimit);
+
+    const merged = new Set();
+    for (const filter of filters) {
+      for (const event of queryFilter(filter, ignoreLimit)) merged.add(event);
+    }
+    const result = Array.from(merged);
+
+    const scores = filters.map(scorer).filter(Boolean);
+    if (scores.length === 0) return result.sort(compareNewestFirst);
+    const best = new Map(result.map(e => [e, Math.max(...scores.map(s => s(e)))]));
+    return result.sort((a, b) => best.get(b) - best.get(a) || compareNewestFirst(a, b));
+  }
+
+  /**
+   * Number of events matching any of the filters (limits are ignored)
+   */
+  function count(filters) {
+    return query(filters, { ignoreLimit: true }).length;
+  }
+
+  function clear() {
+    byId.clear();
+    byAuthor.clear();
+    byKind.clear();
+    byTag.clear();
+    byAddress.clear();
+    timeline.length = 0;
+    expirations.length = 0;
+  }
+
+  return {
+    add,
+    remove,
+    expire,
+    query,
+    count,
+    clear,
+    get: (id) => byId.get(id) || null,
+    has: (id) => byId.has(id),
+    getByAddress: (key) => byAddress.get(key) || null,
+    values: () => Array.from(byId.values()),
+    get size() { return byId.size; }
+  };
+}
+
+module.exports = {
+  createEventStore,
+  matchesFilter,
+  replaceableKey,
+  expirationOf,
+  compareNewestFirst
+};
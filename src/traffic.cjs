@@ -0,0 +1,203 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * WebSocket traffic recording and cassette-style replay for the mock relay.
+ *
+ * The recorder keeps every frame the relay receives or sends, per connection.
+ * A cassette is the recording saved as JSON; in replay mode the relay serves
+ * a cassette back to clients instead of running the protocol, one recorded
+ * connection per new client.
+ */
+
+/**
+ * Parse a frame for the log, keeping non-JSON frames as raw strings
+ */
+function parseFrame(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return raw;
+  }
+}
+
+/**
+ * Create a traffic recorder
+ */
+function createTrafficRecorder(opts = {}) {
+  const { now = () => Date.now() } = opts;
+  const frames = [];
+  let seq = 0;
+
+  /**
+   * Record one frame; `direction` is 'in' (client → relay) or 'out'
+   */
+  function record(clientId, direction, raw) {
+    const message = parseFrame(raw);
+    frames.push({
+      seq: seq++,
+      clientId,
+      direction,
+      type: Array.isArray(message) ? String(message[0]) : 'INVALID',
+      message,
+      timestamp: now()
+    });
+  }
+
+  /**
+   * Get recorded frames, optionally filtered by clientId, direction and type
+   */
+  function getTraffic(query = {}) {
+    return frames.filter(f =>
+      (!query.clientId || f.clientId === query.clientId) &&
+      (!query.direction || f.direction === query.direction) &&
+      (!query.type || f.type === query.type));
+  }
+
+  /**
+   * Build a cassette from the recording (all connections, or one clientId)
+   */
+  function toCassette(query = {}) {
+    const byClient = new Map();
+    for (const frame of getTraffic({ clientId: query.clientId })) {
+      if (!byClient.has(frame.clientId)) byClient.set(frame.clientId, []);
+      byClient.get(frame.clientId).push(frame);
+    }
+
+    return {
+      version: 1,
+      recordedAt: new Date(now()).toISOString(),
+      connections: Array.from(byClient, ([clientId, list]) => ({
+        clientId,
+        frames: list.map(f => ({
+          direction: f.direction,
+          message: f.message,
+          offsetMs: f.timestamp - list[0].timestamp
+        }))
+      }))
+    };
+  }
+
+  function clear() {
+    frames.length = 0;
+  }
+
+  return { record, getTraffic, toCassette, clear };
+}
+
+/**
+ * Save a cassette as pretty-printed JSON
+ */
+function saveCassette(path, cassette) {
+  fs.writeFileSync(path, JSON.stringify(cassette, null, 2) + '\n');
+}
+
+/**
+ * Load a cassette from a path (or pass a cassette object through)
+ */
+function loadCassette(source) {
+  const cassette = typeof source === 'string' ? JSON.parse(fs.readFileSync(source, 'utf8')) : source;
+  if (!cassette || !Array.isArray(cassette.connections)) {
+    throw new Error('Invalid cassette: missing connections');
+  }
+  return cassette;
+}
+
+/**
+ * By default a client frame matches the recorded one when the message type is
+ * the same; ids and subscription ids are mapped rather than compared.
+ */
+function sameType(recorded, actual) {
+  const type = (m) => Array.isArray(m) ? m[0] : 'INVALID';
+  return type(recorded) === type(actual);
+}
+
+/**
+ * Create a replayer for a cassette. Each open() hands out the next recorded
+ * connection as a session:
+ * - start() returns the frames the relay sent before the client spoke
+ * - receive(msg) checks the client's frame against the recording and returns
+ *   the recorded replies, with subscription ids and event ids rewritten to
+ *   the ones this client used
+ *
+ * Replies are `{ message, delayMs }`; delays follow the recorded gaps when
+ * `preserveTiming` is set and are 0 otherwise.
+ */
+function createReplayer(source, opts = {}) {
+  const cassette = loadCassette(source);
+  const { match = sameType, preserveTiming = false } = opts;
+  let next = 0;
+
+  function open() {
+    const recording = cassette.connections[next++];
+    if (!recording) return null;
+
+    const frames = recording.frames;
+    const subIds = new Map();    // recorded subId → client's subId
+    const eventIds = new Map();  // recorded event id → client's event id
+    let pos = 0;
+
+    function learn(recorded, actual) {
+      if (!Array.isArray(recorded) || !Array.isArray(actual)) return;
+      if (['REQ', 'CLOSE', 'COUNT'].includes(recorded[0])) subIds.set(recorded[1], actual[1]);
+      if (['EVENT', 'AUTH'].includes(recorded[0]) && recorded[1] && actual[1]) {
+        eventIds.set(recorded[1].id, actual[1].id);
+      }
+    }
+
+    function rewrite(message) {
+      if (!Array.isArray(message)) return message;
+      const copy = [...message];
+      if (['EVENT', 'EOSE', 'CLOSED', 'COUNT'].includes(copy[0]) && subIds.has(copy[1])) {
+        copy[1] = subIds.get(copy[1]);
+      }
+      if (copy[0] === 'OK' && eventIds.has(copy[1])) copy[1] = eventIds.get(copy[1]);
+      return copy;
+    }
+
+    /**
+     * Recorded relay frames from the current position up to the next client frame
+     */
+    function flush(fromOffset) {
+      const out = [];
+      while (pos < frames.length && frames[pos].direction === 'out') {
+        const frame = frames[pos++];
+        out.push({
+          message: rewrite(frame.message),
+          delayMs: preserveTiming ? Math.max(0, frame.offsetMs - fromOffset) : 0
+        });
+      }
+      return out;
+    }
+
+    return {
+      clientId: recording.clientId,
+      start: () => flush(0),
+      receive(message) {
+        const expected = frames[pos];
+        if (!expected) {
+          return [{ message: ['NOTICE', 'replay: no more recorded messages'], delayMs: 0 }];
+        }
+        if (!match(expected.message, message)) {
+          const want = Array.isArray(expected.message) ? expected.message[0] : 'INVALID';
+          const got = Array.isArray(message) ? message[0] : 'INVALID';
+          return [{ message: ['NOTICE', `replay: expected ${want}, got ${got}`], delayMs: 0 }];
+        }
+        learn(expected.message, message);
+        pos++;
+        return flush(expected.offsetMs);
+      },
+      done: () => pos >= frames.length
+    };
+  }
+
+  return { open, remaining: () => cassette.connections.length - next };
+}
+
+module.exports = {
+  createTrafficRecorder,
+  createReplayer,
+  saveCassette,
+  loadCassette
+};
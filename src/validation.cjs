@@ -0,0 +1,169 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Structural event validation.
+ *
+ * validateEvent() checks the NIP-01 shape of an event and that its id is the
+ * hash of its content. With `strict`, it also applies rules for the kinds the
+ * kit models (zap receipts, DVM requests and results, labels, marketplace
+ * tasks, service announcements) and checks that `e` and `p` tags hold ids
+ * and pubkeys. Problems come back as a list of short sentences; the relay
+ * rejects an event with the first one as its `invalid:` reason.
+ */
+
+const HEX64 = /^[0-9a-f]{64}$/;
+const HEX128 = /^[0-9a-f]{128}$/;
+
+/**
+ * Compute the NIP-01 event id (sha256 of the serialized event)
+ */
+function getEventHash(event) {
+  const serialized = JSON.stringify([
+    0, event.pubkey, event.created_at, event.kind, event.tags, event.content
+  ]);
+  return crypto.createHash('sha256').update(serialized).digest('hex');
+}
+
+function shapeProblems(event) {
+  const problems = [];
+  if (typeof event.id !== 'string' || !HEX64.test(event.id)) problems.push('id must be 64 lowercase hex characters');
+  if (typeof event.pubkey !== 'string' || !HEX64.test(event.pubkey)) problems.push('pubkey must be 64 lowercase hex characters');
+  if (typeof event.sig !== 'string' || !HEX128.test(event.sig)) problems.push('sig must be 128 lowercase hex characters');
+  if (!Number.isInteger(event.kind) || event.kind < 0 || event.kind > 65535) {
+    problems.push('kind must be an integer from 0 to 65535');
+  }
+  if (!Number.isInteger(event.created_at) || event.created_at < 0) {
+    problems.push('created_at must be a non-negative integer (seconds)');
+  }
+  if (!Array.isArray(event.tags) || !event.tags.every(t => Array.isArray(t) && t.every(v => typeof v === 'string'))) {
+    problems.push('tags must be an array of string arrays');
+  }
+  if (typeof event.content !== 'string') problems.push('content must be a string');
+  return problems;
+}
+
+// ── Per-kind rules (strict) ─────────────────────────────
+
+function tagValues(event, name) {
+  return event.tags.filter(t => t[0] === name).map(t => t[1]);
+}
+
+function isWholeNumber(value) {
+  return typeof value === 'string' && /^\d+$/.test(value);
+}
+
+/**
+ * Problems for tags that must be present, and for tags that must hold a
+ * whole number when present
+ */
+function requireTags(event, label, required, numeric = []) {
+  const problems = [];
+  for (const name of required) {
+    if (!tagValues(event, name).some(v => v)) problems.push(`${label} needs ${/^[aeiou]/.test(name) ? 'an' : 'a'} ${name} tag`);
+  }
+  for (const name of numeric) {
+    for (const value of tagValues(event, name)) {
+      if (!isWholeNumber(value)) problems.push(`${label} ${name} tag must be a whole number`);
+    }
+  }
+  return problems;
+}
+
+function zapReceiptProblems(event) {
+  const problems = requireTags(event, 'zap receipt', ['p', 'bolt11', 'description']);
+  const [description] = tagValues(event, 'description');
+  if (description) {
+    let request = null;
+    try {
+      request = JSON.parse(description);
+    } catch (e) {
+      // Reported below
+    }
+    if (!request || request.kind !== 9734) {
+      problems.push('zap receipt description must be a JSON kind 9734 zap request');
+    }
+  }
+  return problems;
+}
+
+const INPUT_TYPES = ['url', 'event', 'job', 'text'];
+
+function dvmRequestProblems(event) {
+  const problems = requireTags(event, 'DVM request', [], ['bid']);
+  const inputs = event.tags.filter(t => t[0] === 'i');
+  if (inputs.length === 0 && !event.content) problems.push('DVM request needs input: an i tag or content');
+  for (const input of inputs) {
+    if (!input[1] || !INPUT_TYPES.includes(input[2])) {
+      problems.push(`DVM request i tag needs a value and a type (${INPUT_TYPES.join(', ')})`);
+    }
+  }
+  return problems;
+}
+
+function dvmResultProblems(event) {
+  return requireTags(event, 'DVM result', ['e', 'p'], ['amount']);
+}
+
+function labelProblems(event) {
+  const problems = [];
+  const labels = event.tags.filter(t => t[0] === 'l');
+  const namespaces = tagValues(event, 'L');
+  if (labels.length === 0) problems.push('label needs at least one l tag');
+  if (!event.tags.some(t => ['e', 'p', 'a', 'r', 't'].includes(t[0]))) {
+    problems.push('label needs a target: an e, p, a, r or t tag');
+  }
+  for (const [, value, namespace] of labels) {
+    if (namespace && !namespaces.includes(namespace)) {
+      problems.push(`label "${value}" uses namespace "${namespace}" without a matching L tag`);
+    }
+  }
+  return problems;
+}
+
+function taskProblems(event) {
+  return requireTags(event, 'marketplace task', ['d', 'title', 'budget', 'status'], ['budget']);
+}
+
+function announcementProblems(event) {
+  return requireTags(event, 'service announcement', ['d', 'title'], ['price']);
+}
+
+const KIND_RULES = [
+  { matches: (kind) => kind === 9735, check: zapReceiptProblems },
+  { matches: (kind) => kind >= 5000 && kind <= 5999, check: dvmRequestProblems },
+  { matches: (kind) => kind >= 6000 && kind <= 6999, check: dvmResultProblems },
+  { matches: (kind) => kind === 1985, check: labelProblems },
+  { matches: (kind) => kind === 30950, check: taskProblems },
+  { matches: (kind) => kind === 38990, check: announcementProblems }
+];
+
+function referenceProblems(event) {
+  const problems = [];
+  for (const [name, value] of event.tags) {
+    if (name === 'e' && !HEX64.test(value || '')) problems.push('e tag must hold a 64-character hex event id');
+    if (name === 'p' && !HEX64.test(value || '')) problems.push('p tag must hold a 64-character hex pubkey');
+  }
+  return [...new Set(problems)];
+}
+
+/**
+ * Validate an event; returns a list of problems (empty when valid).
+ * `strict` adds the per-kind rules and e/p tag checks.
+ */
+function validateEvent(event, opts = {}) {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) return ['event must be an object'];
+
+  const problems = shapeProblems(event);
+  if (problems.length) return problems;
+  if (getEventHash(event) !== event.id) return ['event id does not match'];
+  if (!opts.strict) return [];
+
+  for (const rule of KIND_RULES) {
+    if (rule.matches(event.kind)) problems.push(...rule.check(event));
+  }
+  return [...problems, ...referenceProblems(event)];
+}
+
+module.exports = { validateEvent, getEventHash };
@@ -1,6 +1,46 @@
 'use strict';
 
 const crypto = require('crypto');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { realClock } = require('./clock.cjs');
+const { resolveRandom } = require('./random.cjs');
+const { encodeBolt11, decodeBolt11 } = require('./bolt11.cjs');
+
+/**
+ * Failure reasons failed payments carry as `err.code`, as lightning-agent
+ * reports them
+ */
+const PAYMENT_FAILURES = Object.freeze({
+  NO_ROUTE: 'NO_ROUTE',
+  INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
+  TEMPORARY_CHANNEL_FAILURE: 'TEMPORARY_CHANNEL_FAILURE',
+  INCORRECT_PAYMENT_DETAILS: 'INCORRECT_PAYMENT_DETAILS',
+  TIMEOUT: 'TIMEOUT',
+  INVALID_INVOICE: 'INVALID_INVOICE',
+  FAILED: 'FAILED'
+});
+
+// Methods failNext(), failWhen() and script() can target (payments by default)
+const SCRIPTABLE_METHODS = ['payInvoice', 'payAddress', 'createInvoice', 'getBalance', 'waitForPayment'];
+const PAYMENT_METHODS = ['payInvoice', 'payAddress'];
+
+function paymentError(code, message) {
+  if (!PAYMENT_FAILURES[code]) throw new Error(`Unknown payment failure: ${code}`);
+  return Object.assign(new Error(message), { code });
+}
+
+// paymentHash → preimage of every invoice a mock wallet in this process has
+// issued (or, for hold invoices, revealed), so wallets paying each other
+// outside a network still learn the real preimage
+const knownPreimages = new Map();
+
+/**
+ * Fee in msats for forwarding `amountMsats` under { baseMsats, ppm }
+ */
+function routingFee(fees, amountMsats) {
+  if (!fees) return 0;
+  return (fees.baseMsats || 0) + Math.floor(amountMsats * (fees.ppm || 0) / 1000000);
+}
 
 /**
  * Mock Lightning wallet for testing.
@@ -14,61 +54,329 @@ const crypto = require('crypto');
  * - waitForPayment(paymentHash, timeoutMs)
  *
  * All operations are in-memory and deterministic.
- * Invoices can be "paid" via wallet.settle(paymentHash).
+ * Invoices are real BOLT11 (see bolt11.cjs), signed by the wallet's node key,
+ * and amounts keep msat precision. Invoices can be "paid" via
+ * wallet.settle(paymentHash).
+ *
+ * Each invoice has a state: open → settled, or open → expired once its
+ * expiry passes on the wallet's clock, or open → canceled. Hold invoices
+ * (createHoldInvoice) go open → accepted when paid and stay held until
+ * settleHold(preimage) or cancelInvoice(paymentHash).
+ *
+ * On its own a wallet is an island: paying someone else's invoice only
+ * debits it. Wallets that join a mock Lightning network (see lightning.cjs)
+ * pay each other for real — the payee's invoice settles and the payer gets
+ * its preimage.
+ *
+ * Payments pay routing fees on top of the amount and can be capped by
+ * maxFeeSats and by per-destination liquidity (setLiquidity). Failed
+ * payments reject with an Error whose `code` is one of PAYMENT_FAILURES.
+ *
+ * Tests can script failures at runtime: failNext(), failWhen() and a queue of
+ * outcomes (script()), plus per-method latency (setLatency()).
  */
 function createMockWallet(opts = {}) {
   const {
     initialBalance = 100000000, // 100k sats in msats
     autoSettle = false,         // Auto-settle invoices on payInvoice
     failPayments = false,       // Simulate payment failures
-    latencyMs = 0               // Simulated latency
+    latencyMs = 0,              // Simulated latency (on the clock)
+    clock = realClock,          // Clock for timestamps, latency and waitForPayment timeouts
+    seed = null,                // Seed for preimages and the node key (default: setSeed() or crypto)
+    network = 'regtest',        // Invoice prefix: 'mainnet' | 'testnet' | 'signet' | 'regtest'
+    nodeKey = null,             // Node secret key (hex) that signs invoices
+    lightning = null,           // Mock Lightning network to join (see lightning.cjs)
+    fees = null,                // Routing fees off-network: { baseMsats, ppm }
+    maxFeeSats = null,          // Default fee limit for payments (null: none)
+    paymentTimeoutMs = null     // Give up on routed payments still held after this long
   } = opts;
 
   let balance = initialBalance;
   const invoices = new Map();     // paymentHash → invoice
   const payments = new Map();     // paymentHash → payment record
-  const waiters = new Map();      // paymentHash → [resolve, reject]
+  const waiters = new Map();      // paymentHash → [{ resolve, reject }]
+  const htlcs = new Map();        // paymentHash → [{ resolve, reject }] for routed payments being held
   const history = [];             // All operations
+  let random = resolveRandom(seed);
+  let routes = null;              // The Lightning network this wallet belongs to
+  let defaultLatency = latencyMs;
+  const latencyOverrides = new Map(); // method → ms
+  const calls = new Map();        // method → number of calls so far
+  let failRules = [];             // failNext() and failWhen() rules, in order
+  let scripted = [];              // [{ methods, outcome }] queued by script()
+  const liquidity = new Map();    // destination (node pubkey or address) → outbound msats
+  const nodeSecretKey = nodeKey || generateNodeKey();
+  const nodePubkey = Buffer.from(secp256k1.getPublicKey(nodeSecretKey, true)).toString('hex');
+
+  function generateNodeKey() {
+    let key;
+    do {
+      key = random.hex(32);
+    } while (!secp256k1.utils.isValidPrivateKey(key));
+    return key;
+  }
 
   /**
-   * Generate a deterministic preimage and payment hash
+   * Generate a preimage and payment hash (reproducible with a seed)
    */
   function generatePaymentPair() {
-    const preimage = crypto.randomBytes(32);
+    const preimage = random.bytes(32);
     const paymentHash = crypto.createHash('sha256').update(preimage).digest('hex');
     return { preimage: preimage.toString('hex'), paymentHash };
   }
 
   /**
-   * Create a mock bolt11 invoice string
+   * Simulate latency on the wallet's clock if configured (per-method
+   * overrides win)
+   */
+  async function delay(method, ms = latencyOverrides.get(method) ?? defaultLatency) {
+    if (ms > 0) {
+      await new Promise(r => clock.setTimeout(r, ms));
+    }
+  }
+
+  // ── Failure Scripting ─────────────────────────────────
+
+  /**
+   * Count a scriptable call
+   */
+  function begin(method) {
+    const attempt = (calls.get(method) || 0) + 1;
+    calls.set(method, attempt);
+    return { method, attempt };
+  }
+
+  /**
+   * The error an injected failure throws: a PAYMENT_FAILURES code, a
+   * message or an Error
+   */
+  function injectedError(method, reason) {
+    if (reason instanceof Error) return reason;
+    if (reason === undefined || reason === null) {
+      if (!PAYMENT_METHODS.includes(method)) return new Error(`${method} failed (injected)`);
+      reason = 'TEMPORARY_CHANNEL_FAILURE';
+    }
+    if (PAYMENT_FAILURES[reason]) return paymentError(reason, `${method} failed: ${reason} (injected)`);
+    return new Error(String(reason));
+  }
+
+  /**
+   * Take the next scripted outcome queued for `method`, if any
+   */
+  function takeStep(method) {
+    const index = scripted.findIndex(entry => entry.methods.includes(method));
+    return index === -1 ? null : scripted.splice(index, 1)[0].outcome;
+  }
+
+  function latencyOf(method, step) {
+    if (step && step.latencyMs !== undefined) return step.latencyMs;
+    return latencyOverrides.get(method) ?? defaultLatency;
+  }
+
+  /**
+   * Apply the script, failNext() and failWhen() to a call whose input is
+   * valid: takes its scripted outcome, if one is queued, and waits out its
+   * latency. Records and returns the error to throw, or null to go ahead.
+   */
+  async function injected(call, info = {}) {
+    const step = takeStep(call.method);
+    await delay(call.method, latencyOf(call.method, step));
+    return failureOf(call, step, info);
+  }
+
+  /**
+   * The injected failure for a call given its scripted step (see injected())
+   */
+  function failureOf(call, step, info = {}) {
+    const { method, attempt } = call;
+    let reason;
+    if (step) {
+      if (!('fail' in step)) return null;
+      reason = step.fail;
+    } else {
+      const context = { method, attempt, ...info };
+      const rule = failRules.find(r => r.methods.includes(method) && (!r.when || r.when(context)));
+      if (!rule) return null;
+      if (rule.remaining !== undefined && --rule.remaining === 0) failRules.splice(failRules.indexOf(rule), 1);
+      reason = rule.reason;
+    }
+
+    const err = injectedError(method, reason);
+    history.push({ type: method, ...info, error: err.message, code: err.code, injected: true, timestamp: clock.now() });
+    return err;
+  }
+
+  function methodsOf(scopeOpts = {}) {
+    const methods = scopeOpts.method === undefined ? PAYMENT_METHODS : [].concat(scopeOpts.method);
+    const unknown = methods.filter(m => !SCRIPTABLE_METHODS.includes(m));
+    if (unknown.length) throw new Error(`Can't script ${unknown.join(', ')}; use ${SCRIPTABLE_METHODS.join(', ')}`);
+    return methods;
+  }
+
+  /**
+   * Fail the next `n` calls (payments unless `opts.method` says otherwise)
+   * with `reason`: a PAYMENT_FAILURES code, a message or an Error
+   */
+  function failNext(n = 1, reason, scopeOpts) {
+    if (n > 0) failRules.push({ methods: methodsOf(scopeOpts), remaining: n, reason });
+    return wallet;
+  }
+
+  /**
+   * Fail calls for which `predicate({ method, attempt, amountMsats, ... })`
+   * is true, until clearFailures()
+   */
+  function failWhen(predicate, reason, scopeOpts) {
+    failRules.push({ methods: methodsOf(scopeOpts), when: predicate, reason });
+    return wallet;
+  }
+
+  /**
+   * Queue outcomes for the next calls, one each, in order: 'ok', a failure
+   * reason, or { fail, latencyMs }. Scripted calls skip failNext/failWhen.
+   */
+  function script(outcomes, scopeOpts) {
+    const methods = methodsOf(scopeOpts);
+    for (const outcome of outcomes) {
+      let step;
+      if (outcome === 'ok' || outcome === null || outcome === undefined) step = {};
+      else if (typeof outcome === 'object' && !(outcome instanceof Error)) step = outcome;
+      else step = { fail: outcome };
+      scripted.push({ methods, outcome: step });
+    }
+    return wallet;
+  }
+
+  /**
+   * Simulated latency for one method, or every method when only `ms` is
+   * given; null drops a method's override
+   */
+  function setLatency(method, ms) {
+    if (typeof method === 'number') defaultLatency = method;
+    else if (ms === null || ms === undefined) latencyOverrides.delete(method);
+    else latencyOverrides.set(method, ms);
+    return wallet;
+  }
+
+  /**
+   * Drop every failNext(), failWhen() and scripted outcome
+   */
+  function clearFailures() {
+    failRules = [];
+    scripted = [];
+    return wallet;
+  }
+
+  // ── Invoice States ────────────────────────────────────
+
+  // History entry for each state change (settling records its own 'settle')
+  const TRANSITIONS = { accepted: 'accept', expired: 'expire', canceled: 'cancel' };
+
+  /**
+   * Move an invoice to `state`, keeping `settled` in step
+   */
+  function transition(inv, state) {
+    inv.state = state;
+    inv.settled = state === 'settled';
+    if (TRANSITIONS[state]) history.push({ type: TRANSITIONS[state], paymentHash: inv.paymentHash, timestamp: clock.now() });
+  }
+
+  /**
+   * Expire an open invoice whose expiry has passed (accepted ones are held)
    */
-  function mockBolt11(amountSats, paymentHash) {
-    return `lnbcrt${amountSats}n1mock${paymentHash.slice(0, 32)}`;
+  function refresh(inv) {
+    if (inv.state === 'open' && clock.now() >= inv.expiresAt) transition(inv, 'expired');
+    return inv;
+  }
+
+  function findInvoice(paymentHash) {
+    const inv = invoices.get(paymentHash);
+    if (!inv) throw new Error(`Invoice not found: ${paymentHash}`);
+    return refresh(inv);
+  }
+
+  function notify(paymentHash, outcome) {
+    const list = waiters.get(paymentHash) || [];
+    waiters.delete(paymentHash);
+    for (const waiter of list) {
+      if (outcome instanceof Error) waiter.reject(outcome);
+      else waiter.resolve(outcome);
+    }
+
+    // Held payments finish once the invoice settles or is canceled
+    if (outcome && outcome.state === 'accepted') return;
+    const held = htlcs.get(paymentHash) || [];
+    htlcs.delete(paymentHash);
+    for (const htlc of held) {
+      if (outcome instanceof Error) htlc.reject(paymentError('INCORRECT_PAYMENT_DETAILS', outcome.message));
+      else htlc.resolve(outcome.preimage);
+    }
   }
 
   /**
-   * Simulate latency if configured
+   * What waitForPayment settles with for an invoice in its current state
    */
-  async function delay() {
-    if (latencyMs > 0) {
-      await new Promise(r => setTimeout(r, latencyMs));
+  function outcomeOf(inv) {
+    switch (inv.state) {
+      case 'settled': return { preimage: inv.preimage, settled: true, state: 'settled' };
+      case 'accepted': return { preimage: null, settled: false, state: 'accepted' };
+      case 'canceled': return new Error(`Invoice canceled: ${inv.paymentHash}`);
+      case 'expired': return new Error(`Invoice expired: ${inv.paymentHash}`);
+      default: return null;
     }
   }
 
   // ── Wallet Interface ──────────────────────────────────
 
   async function getBalance() {
-    await delay();
+    const failure = await injected(begin('getBalance'));
+    if (failure) throw failure;
     const sats = Math.floor(balance / 1000);
-    history.push({ type: 'getBalance', balance: sats, timestamp: Date.now() });
+    history.push({ type: 'getBalance', balance: sats, timestamp: clock.now() });
     return { balance: sats, currency: 'sats' };
   }
 
-  async function createInvoice(amountMsats, description = '') {
-    await delay();
-    const amountSats = Math.ceil(amountMsats / 1000);
+  /**
+   * Create an invoice for `amountMsats` (0 or null for any amount).
+   * `opts.expiry` (seconds) and `opts.descriptionHash` go into the bolt11.
+   */
+  async function createInvoice(amountMsats, description = '', opts = {}) {
+    const failure = await injected(begin('createInvoice'), { amountMsats, amountSats: amountMsats ? Math.ceil(amountMsats / 1000) : null, description });
+    if (failure) throw failure;
     const { preimage, paymentHash } = generatePaymentPair();
-    const bolt11 = mockBolt11(amountSats, paymentHash);
+    return addInvoice({ paymentHash, preimage, amountMsats, description, expiry: opts.expiry, descriptionHash: opts.descriptionHash });
+  }
+
+  /**
+   * Create a hold invoice for a payment hash whose preimage only the caller
+   * knows. Paying it leaves it `accepted` until settleHold(preimage).
+   */
+  async function createHoldInvoice(paymentHash, amountMsats, description = '', opts = {}) {
+    await delay('createHoldInvoice');
+    if (!/^[0-9a-f]{64}$/.test(paymentHash || '')) throw new Error('createHoldInvoice needs a 32-byte hex payment hash');
+    if (invoices.has(paymentHash)) throw new Error(`Invoice already exists: ${paymentHash}`);
+    return addInvoice({
+      paymentHash, preimage: null, amountMsats, description, hold: true, expiry: opts.expiry, descriptionHash: opts.descriptionHash
+    });
+  }
+
+  /**
+   * Sign and record an invoice
+   */
+  function addInvoice({ paymentHash, preimage, amountMsats, description, hold = false, expiry = 3600, descriptionHash = null }) {
+    const amount = amountMsats || null;
+    const amountSats = amount === null ? null : Math.ceil(amount / 1000);
+    const createdAt = clock.now();
+    const bolt11 = encodeBolt11({
+      network,
+      amountMsats: amount,
+      timestamp: Math.floor(createdAt / 1000),
+      paymentHash,
+      paymentSecret: random.hex(32),
+      description,
+      descriptionHash,
+      expiry
+    }, nodeSecretKey);
 
     const invoice = {
       invoice: bolt11,
@@ -77,168 +385,361 @@ function createMockWallet(opts = {}) {
       payment_hash: paymentHash,
       paymentHash,
       preimage,
-      amount: amountMsats,
+      amount,
       amountSats,
       description,
+      descriptionHash,
+      expiry,
+      hold,
+      amountReceived: null, // msats, once paid
+      state: 'open',
       settled: false,
-      created_at: Date.now()
+      created_at: createdAt,
+      expiresAt: createdAt + expiry * 1000 // ms on the wallet's clock
     };
 
     invoices.set(paymentHash, invoice);
-    history.push({ type: 'createInvoice', amountSats, paymentHash, timestamp: Date.now() });
+    if (preimage) knownPreimages.set(paymentHash, preimage);
+    history.push({ type: hold ? 'createHoldInvoice' : 'createInvoice', amountSats, paymentHash, timestamp: clock.now() });
 
     return invoice;
   }
 
-  async function payInvoice(bolt11) {
-    await delay();
+  /**
+   * Routing fee for a payment: the network's when we belong to one,
+   * otherwise our own `fees`
+   */
+  function routeFee(destination, amountMsats) {
+    return routes ? routes.quote(destination, amountMsats) : routingFee(fees, amountMsats);
+  }
 
-    if (failPayments) {
-      const err = new Error('Payment failed (mock: failPayments=true)');
-      history.push({ type: 'payInvoice', bolt11, error: err.message, timestamp: Date.now() });
+  /**
+   * Checks and bookkeeping shared by payInvoice and payAddress: the fee
+   * limit, channel liquidity and balance, then route() for the preimage.
+   * Funds are locked while the payment is in flight and returned if it fails.
+   */
+  async function send({ destinations, amountMsats, feeMsats, maxFee, route }) {
+    if (maxFee !== null && maxFee !== undefined && feeMsats > maxFee * 1000) {
+      throw paymentError('NO_ROUTE', `No route within maxFeeSats ${maxFee}: the fee is ${feeMsats} msats`);
+    }
+    const channel = destinations.find(d => liquidity.has(d));
+    if (channel !== undefined && liquidity.get(channel) < amountMsats) {
+      throw paymentError('TEMPORARY_CHANNEL_FAILURE', `Not enough liquidity to ${channel}: ${liquidity.get(channel)} msats, need ${amountMsats}`);
+    }
+    const total = amountMsats + feeMsats;
+    if (balance < total) {
+      throw paymentError('INSUFFICIENT_BALANCE', `Insufficient balance: have ${Math.floor(balance / 1000)} sats, need ${Math.ceil(total / 1000)}`);
+    }
+
+    balance -= total;
+    if (channel !== undefined) liquidity.set(channel, liquidity.get(channel) - amountMsats);
+    try {
+      return await route();
+    } catch (err) {
+      balance += total;
+      if (channel !== undefined) liquidity.set(channel, liquidity.get(channel) + amountMsats);
       throw err;
     }
+  }
 
-    // Extract amount from mock bolt11 or use a default
-    const amountMatch = bolt11.match(/lnbcrt?(\d+)n/);
-    const amountSats = amountMatch ? parseInt(amountMatch[1], 10) : 100;
-    const amountMsats = amountSats * 1000;
+  /**
+   * Pay a BOLT11 invoice; `opts.amountMsats` is needed for any-amount
+   * invoices. `opts.maxFeeSats` and `opts.timeoutMs` override the wallet's.
+   */
+  async function payInvoice(bolt11, opts = {}) {
+    const call = begin('payInvoice');
 
-    if (balance < amountMsats) {
-      const err = new Error(`Insufficient balance: have ${Math.floor(balance / 1000)} sats, need ${amountSats}`);
-      history.push({ type: 'payInvoice', bolt11, error: err.message, timestamp: Date.now() });
-      throw err;
+    const fail = (err) => {
+      history.push({ type: 'payInvoice', bolt11, error: err.message, code: err.code, timestamp: clock.now() });
+      return err;
+    };
+
+    if (failPayments) throw fail(paymentError('FAILED', 'Payment failed (mock: failPayments=true)'));
+
+    let decoded;
+    try {
+      decoded = decodeBolt11(bolt11);
+    } catch (err) {
+      throw fail(paymentError('INVALID_INVOICE', err.message));
     }
 
-    balance -= amountMsats;
+    const amountMsats = decoded.amountMsats ?? opts.amountMsats;
+    if (!amountMsats) throw fail(paymentError('INVALID_INVOICE', 'Invoice has no amount; pass { amountMsats }'));
+    const amountSats = Math.ceil(amountMsats / 1000);
+    const { paymentHash, payee } = decoded;
+
+    const failure = await injected(call, { bolt11, amountMsats, amountSats, paymentHash, destination: payee });
+    if (failure) throw failure;
 
-    const preimage = crypto.randomBytes(32).toString('hex');
-    const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+    if (clock.now() >= decoded.expiresAt * 1000) {
+      throw fail(paymentError('INCORRECT_PAYMENT_DETAILS', `Invoice expired: ${paymentHash}`));
+    }
+    const own = invoices.get(paymentHash);
+    if (own && refresh(own).state !== 'open') {
+      throw fail(paymentError('INCORRECT_PAYMENT_DETAILS', `Invoice is ${own.state}: ${paymentHash}`));
+    }
+
+    // Only the payee knows the preimage: our own invoices reveal theirs (a
+    // hold invoice once settleHold() releases it) and the network fetches it
+    // from the payee's wallet. Islands can only pay invoices a mock wallet
+    // issued, whose preimage is known without settling them.
+    const feeMsats = own ? 0 : routeFee(payee, amountMsats);
+    let preimage;
+    try {
+      preimage = await send({
+        destinations: [payee],
+        amountMsats,
+        feeMsats,
+        maxFee: opts.maxFeeSats ?? maxFeeSats,
+        route: () => {
+          if (own) return own.hold ? receive(paymentHash, amountMsats) : own.preimage;
+          if (routes) return routes.deliver(nodePubkey, { payee, paymentHash, amountMsats }, { timeoutMs: opts.timeoutMs ?? paymentTimeoutMs, clock });
+          if (knownPreimages.has(paymentHash)) return knownPreimages.get(paymentHash);
+          throw paymentError('INCORRECT_PAYMENT_DETAILS', `Unknown preimage for ${paymentHash}: outside a network, wallets can only pay invoices whose preimage a mock wallet knows`);
+        }
+      });
+    } catch (err) {
+      throw fail(err);
+    }
 
     const payment = {
       preimage,
       paymentHash,
       bolt11,
+      destination: payee,
       amountSats,
       amountMsats,
+      feeMsats,
+      feeSats: Math.ceil(feeMsats / 1000),
+      description: decoded.description,
       settled: true,
-      timestamp: Date.now()
+      timestamp: clock.now()
     };
 
     payments.set(paymentHash, payment);
-    history.push({ type: 'payInvoice', amountSats, paymentHash, timestamp: Date.now() });
+    history.push({ type: 'payInvoice', amountSats, amountMsats, feeMsats, paymentHash, timestamp: clock.now() });
 
-    // If autoSettle, also settle any matching invoice we created
-    if (autoSettle) {
-      for (const [hash, inv] of invoices) {
-        if (inv.bolt11 === bolt11 && !inv.settled) {
-          settle(hash);
-        }
-      }
-    }
+    // If autoSettle, also settle the invoice if we created it
+    if (autoSettle && own) settle(paymentHash);
 
     return payment;
   }
 
-  async function payAddress(address, amountMsats, description = '') {
-    await delay();
+  /**
+   * Pay a Lightning address. `opts.maxFeeSats` and `opts.timeoutMs`
+   * override the wallet's.
+   */
+  async function payAddress(address, amountMsats, description = '', opts = {}) {
+    const call = begin('payAddress');
 
-    if (failPayments) {
-      throw new Error('Payment failed (mock: failPayments=true)');
-    }
+    const fail = (err) => {
+      history.push({ type: 'payAddress', address, error: err.message, code: err.code, timestamp: clock.now() });
+      return err;
+    };
+
+    if (failPayments) throw fail(paymentError('FAILED', 'Payment failed (mock: failPayments=true)'));
 
     const amountSats = Math.ceil(amountMsats / 1000);
 
-    if (balance < amountMsats) {
-      throw new Error(`Insufficient balance: have ${Math.floor(balance / 1000)} sats, need ${amountSats}`);
+    const failure = await injected(call, { address, amountMsats, amountSats, description });
+    if (failure) throw failure;
+
+    // An address on our network resolves to an invoice from its wallet
+    const payee = routes && routes.findWallet(address);
+    const feeMsats = routeFee(payee ? payee.nodePubkey : address, amountMsats);
+    let preimage, paymentHash, bolt11;
+    try {
+      preimage = await send({
+        destinations: payee ? [address, payee.nodePubkey] : [address],
+        amountMsats,
+        feeMsats,
+        maxFee: opts.maxFeeSats ?? maxFeeSats,
+        route: async () => {
+          if (!payee) {
+            const made = random.hex(32);
+            paymentHash = crypto.createHash('sha256').update(Buffer.from(made, 'hex')).digest('hex');
+            return made;
+          }
+          ({ bolt11, paymentHash } = await payee.createInvoice(amountMsats, description));
+          return routes.deliver(nodePubkey, { payee: payee.nodePubkey, paymentHash, amountMsats }, { timeoutMs: opts.timeoutMs ?? paymentTimeoutMs, clock });
+        }
+      });
+    } catch (err) {
+      throw fail(err);
     }
 
-    balance -= amountMsats;
-
-    const preimage = crypto.randomBytes(32).toString('hex');
-    const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
-
     const payment = {
       preimage,
       paymentHash,
+      ...(bolt11 ? { bolt11, destination: payee.nodePubkey } : {}),
       address,
       amountSats,
       amountMsats,
+      feeMsats,
+      feeSats: Math.ceil(feeMsats / 1000),
       description,
       settled: true,
-      timestamp: Date.now()
+      timestamp: clock.now()
     };
 
     payments.set(paymentHash, payment);
-    history.push({ type: 'payAddress', address, amountSats, paymentHash, timestamp: Date.now() });
+    history.push({ type: 'payAddress', address, amountSats, feeMsats, paymentHash, timestamp: clock.now() });
 
     return payment;
   }
 
+  /**
+   * Decode any BOLT11 invoice (see bolt11.cjs); throws on invalid ones
+   */
   async function decodeInvoice(bolt11) {
-    await delay();
-    const amountMatch = bolt11.match(/lnbcrt?(\d+)n/);
-    const hashMatch = bolt11.match(/mock([a-f0-9]{32})/);
+    await delay('decodeInvoice');
+    return decodeBolt11(bolt11);
+  }
 
-    return {
-      bolt11,
-      amountMsats: amountMatch ? parseInt(amountMatch[1], 10) * 1000 : 0,
-      amountSats: amountMatch ? parseInt(amountMatch[1], 10) : 0,
-      paymentHash: hashMatch ? hashMatch[1] : null,
-      description: '',
-      expiry: 3600,
-      timestamp: Math.floor(Date.now() / 1000)
+  /**
+   * Resolve once the invoice is settled (or accepted, for hold invoices);
+   * rejects if it is canceled, expires first, or `timeoutMs` passes
+   */
+  function waitForPayment(paymentHash, timeoutMs = 30000) {
+    const call = begin('waitForPayment');
+    const step = takeStep('waitForPayment');
+    const latency = latencyOf('waitForPayment', step);
+    const wait = () => {
+      try {
+        const failure = failureOf(call, step, { paymentHash });
+        return failure ? Promise.reject(failure) : awaitInvoice(paymentHash, timeoutMs);
+      } catch (err) {
+        return Promise.reject(err);
+      }
     };
+    // Without latency the waiter registers at once, so a virtual clock
+    // advanced right after this call still fires its timeout
+    return latency > 0 ? delay('waitForPayment', latency).then(wait) : wait();
   }
 
-  async function waitForPayment(paymentHash, timeoutMs = 30000) {
-    await delay();
-
-    // Already settled?
+  function awaitInvoice(paymentHash, timeoutMs) {
     const inv = invoices.get(paymentHash);
-    if (inv && inv.settled) {
-      return { preimage: inv.preimage, settled: true };
-    }
+    const outcome = inv ? outcomeOf(refresh(inv)) : null;
+    if (outcome instanceof Error) return Promise.reject(outcome);
+    if (outcome) return Promise.resolve(outcome);
 
-    // Wait for settle()
+    // Wait for settle(), cancelInvoice() or the invoice's expiry
     return new Promise((resolve, reject) => {
-      const timer = setTimeout(() => {
-        waiters.delete(paymentHash);
-        reject(new Error(`Payment timeout: ${paymentHash}`));
-      }, timeoutMs);
-
-      waiters.set(paymentHash, {
-        resolve: (result) => { clearTimeout(timer); resolve(result); },
-        reject: (err) => { clearTimeout(timer); reject(err); }
-      });
+      const expiresIn = inv ? inv.expiresAt - clock.now() : Infinity;
+      const expiring = expiresIn < timeoutMs;
+      const timer = clock.setTimeout(() => {
+        remove();
+        if (expiring && refresh(inv).state === 'expired') reject(new Error(`Invoice expired: ${paymentHash}`));
+        else reject(paymentError('TIMEOUT', `Payment timeout: ${paymentHash}`));
+      }, expiring ? expiresIn : timeoutMs);
+
+      const waiter = {
+        resolve: (result) => { clock.clearTimeout(timer); resolve(result); },
+        reject: (err) => { clock.clearTimeout(timer); reject(err); }
+      };
+      function remove() {
+        const list = waiters.get(paymentHash) || [];
+        if (list.includes(waiter)) list.splice(list.indexOf(waiter), 1);
+        if (list.length === 0) waiters.delete(paymentHash);
+      }
+
+      if (!waiters.has(paymentHash)) waiters.set(paymentHash, []);
+      waiters.get(paymentHash).push(waiter);
     });
   }
 
   // ── Test Control Methods ──────────────────────────────
 
   /**
-   * Settle an invoice (simulate external payment received)
+   * Settle an invoice (simulate external payment received). A hold invoice
+   * is accepted instead, and waits for settleHold(). Any-amount invoices
+   * take the amount received.
    */
-  function settle(paymentHash) {
+  function settle(paymentHash, amountMsats) {
+    const inv = findInvoice(paymentHash);
+    if (inv.state === 'settled' || inv.state === 'accepted') return inv;
+    if (inv.state !== 'open') throw new Error(`Invoice is ${inv.state}: ${paymentHash}`);
+
+    inv.amountReceived = amountMsats ?? inv.amount ?? 0;
+    if (inv.hold) {
+      transition(inv, 'accepted');
+    } else {
+      transition(inv, 'settled');
+      balance += inv.amountReceived;
+      history.push({ type: 'settle', paymentHash, amountSats: inv.amountSats, timestamp: clock.now() });
+    }
+
+    notify(paymentHash, outcomeOf(inv));
+    return inv;
+  }
+
+  /**
+   * Take a payment routed to one of our invoices; resolves with the preimage
+   * once the invoice settles (for hold invoices, after settleHold)
+   */
+  function receive(paymentHash, amountMsats) {
+    const reject = (message) => Promise.reject(paymentError('INCORRECT_PAYMENT_DETAILS', message));
     const inv = invoices.get(paymentHash);
-    if (!inv) throw new Error(`Invoice not found: ${paymentHash}`);
-    if (inv.settled) return inv;
+    if (!inv) return reject(`Unknown payment hash: ${paymentHash}`);
+    if (refresh(inv).state !== 'open') return reject(`Invoice is ${inv.state}: ${paymentHash}`);
+    if (inv.amount && amountMsats < inv.amount) {
+      return reject(`Payment of ${amountMsats} msats is below the invoice amount of ${inv.amount}`);
+    }
 
-    inv.settled = true;
-    balance += inv.amount;
+    const paid = new Promise((resolve, reject) => {
+      if (!htlcs.has(paymentHash)) htlcs.set(paymentHash, []);
+      htlcs.get(paymentHash).push({ resolve, reject });
+    });
+    settle(paymentHash, amountMsats);
+    return paid;
+  }
 
-    history.push({ type: 'settle', paymentHash, amountSats: inv.amountSats, timestamp: Date.now() });
+  /**
+   * Settle an accepted hold invoice by revealing its preimage
+   */
+  function settleHold(preimage) {
+    const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+    const inv = findInvoice(paymentHash);
+    if (!inv.hold) throw new Error(`Not a hold invoice: ${paymentHash}`);
+    if (inv.state === 'settled') return inv;
+    if (inv.state !== 'accepted') throw new Error(`Hold invoice is ${inv.state}, not accepted: ${paymentHash}`);
+
+    inv.preimage = preimage;
+    knownPreimages.set(paymentHash, preimage);
+    transition(inv, 'settled');
+    balance += inv.amountReceived;
+    history.push({ type: 'settle', paymentHash, amountSats: inv.amountSats, timestamp: clock.now() });
+
+    notify(paymentHash, outcomeOf(inv));
+    return inv;
+  }
 
-    // Notify waiters
-    const waiter = waiters.get(paymentHash);
-    if (waiter) {
-      waiter.resolve({ preimage: inv.preimage, settled: true });
-      waiters.delete(paymentHash);
-    }
+  /**
+   * Cancel an open or accepted invoice; its waiters reject
+   */
+  function cancelInvoice(paymentHash) {
+    const inv = findInvoice(paymentHash);
+    if (inv.state === 'canceled') return inv;
+    if (inv.state === 'settled') throw new Error(`Invoice is already settled: ${paymentHash}`);
 
+    if (inv.state !== 'expired') transition(inv, 'canceled');
+    notify(paymentHash, outcomeOf(inv));
     return inv;
   }
 
+  /**
+   * Cap what can be sent to a destination (node pubkey or Lightning address);
+   * payments use it up. null removes the cap.
+   */
+  function setLiquidity(destination, msats) {
+    if (msats === null || msats === undefined) liquidity.delete(destination);
+    else liquidity.set(destination, msats);
+  }
+
+  function getLiquidity(destination) {
+    return liquidity.has(destination) ? liquidity.get(destination) : null;
+  }
+
   /**
    * Set the balance directly
    */
@@ -246,6 +747,13 @@ function createMockWallet(opts = {}) {
     balance = sats * 1000;
   }
 
+  /**
+   * Current balance in sats, without recording a getBalance call
+   */
+  function peekBalance() {
+    return Math.floor(balance / 1000);
+  }
+
   /**
    * Get operation history
    */
@@ -258,7 +766,7 @@ function createMockWallet(opts = {}) {
    * Get all invoices
    */
   function getInvoices() {
-    return Array.from(invoices.values());
+    return Array.from(invoices.values(), refresh);
   }
 
   /**
@@ -273,9 +781,17 @@ function createMockWallet(opts = {}) {
    */
   function reset() {
     balance = initialBalance;
+    random = resolveRandom(seed); // A seeded wallet replays the same preimages
+    if (!nodeKey) generateNodeKey(); // ...from the same point in the stream
     invoices.clear();
     payments.clear();
     waiters.clear();
+    for (const held of htlcs.values()) held.forEach(htlc => htlc.reject(new Error('Payee wallet was reset')));
+    htlcs.clear();
+    clearFailures();
+    calls.clear();
+    latencyOverrides.clear();
+    defaultLatency = latencyMs;
     history.length = 0;
   }
 
@@ -286,10 +802,23 @@ function createMockWallet(opts = {}) {
     // No-op
   }
 
-  return {
+  /**
+   * Route payments through a mock Lightning network (network.join() calls this)
+   */
+  function setLightning(lightningNetwork) {
+    routes = lightningNetwork;
+  }
+
+  const wallet = {
+    /** Node public key (33-byte compressed hex) that signs this wallet's invoices */
+    nodePubkey,
+    network,
+    get lightning() { return routes; },
+
     // lightning-agent compatible interface
     getBalance,
     createInvoice,
+    createHoldInvoice,
     payInvoice,
     payAddress,
     decodeInvoice,
@@ -298,12 +827,27 @@ function createMockWallet(opts = {}) {
 
     // Test control
     settle,
+    receive,
+    settleHold,
+    cancelInvoice,
+    failNext,
+    failWhen,
+    script,
+    clearFailures,
+    setLatency,
     setBalance,
+    setLiquidity,
+    getLiquidity,
+    peekBalance,
     getHistory,
     getInvoices,
     getPayments,
-    reset
+    reset,
+    setLightning
   };
+
+  if (lightning) lightning.join(wallet);
+  return wallet;
 }
 
-module.exports = { createMockWallet };
+module.exports = { createMockWallet, PAYMENT_FAILURES, paymentError, routingFee };
@@ -1,17 +1,91 @@
 'use strict';
 
-const { describe, it, before, after } = require('node:test');
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert/strict');
 const { WebSocket } = require('ws');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 const {
-  createMockRelay, createMockWallet,
-  generateKeypair, createEvent, textNote, dm, dvmRequest, dvmResult,
+  createMockRelay, createRelayNetwork, createMockWallet, createMockLightningNetwork, PAYMENT_FAILURES, createTestClient, createClock, setSeed, createRandom, namedKeypair,
+  generateKeypair, getPublicKey, getEventHash, verifyEvent, createEvent, textNote, dm, dvmRequest, dvmResult,
+  nip44Event, decryptDm, nip04Encrypt, nip04Decrypt, nip44Encrypt, nip44Decrypt, nip44EncryptWithKey,
+  nip44DecryptWithKey, getConversationKey, calcPaddedLength,
+  chatMessage, seal, giftWrap, privateDirectMessage, unwrap, dmRelayList,
   zapReceipt, reaction, trustAttestation,
-  marketplaceTask, marketplaceBid, marketplaceDelivery, serviceAnnouncement,
-  basicScenario, dvmScenario, marketplaceScenario, trustScenario, notificationScenario
+  marketplaceTask, marketplaceBid, marketplaceDelivery, serviceAnnouncement, authEvent,
+  deletionRequest, rateLimit, allowKinds, denyKinds, blockPubkeys,
+  basicScenario, dvmScenario, marketplaceScenario, trustScenario, notificationScenario,
+  assertPublished, assertNotPublished, assertPaid, assertBalance, assertInvoiceSettled, matchers, registerMatchers,
+  validateEvent, encodeBolt11, decodeBolt11
 } = require('../src/index.cjs');
 
+/**
+ * Open a socket and collect every message it receives.
+ * `waitFor(pred)` resolves with the first received message matching `pred`.
+ */
+function connectClient(url) {
+  const ws = new WebSocket(url);
+  const messages = [];
+  const waiting = [];
+  ws.on('message', (data) => {
+    const msg = JSON.parse(data);
+    messages.push(msg);
+    for (const w of [...waiting]) {
+      if (w.pred(msg)) {
+        waiting.splice(waiting.indexOf(w), 1);
+        w.resolve(msg);
+      }
+    }
+  });
+  const opened = new Promise((resolve, reject) => {
+    ws.on('open', resolve);
+    ws.on('error', reject);
+  });
+  return {
+    ws,
+    messages,
+    opened,
+    send: (msg) => ws.send(JSON.stringify(msg)),
+    waitFor(pred, timeoutMs = 5000) {
+      const seen = messages.find(pred);
+      if (seen) return Promise.resolve(seen);
+      return new Promise((resolve, reject) => {
+        const w = {
+          pred,
+          resolve: (msg) => { clearTimeout(timer); resolve(msg); }
+        };
+        const timer = setTimeout(() => {
+          waiting.splice(waiting.indexOf(w), 1);
+          reject(new Error('timeout'));
+        }, timeoutMs);
+        waiting.push(w);
+      });
+    },
+    close: () => ws.close()
+  };
+}
+
+/**
+ * Open a socket, send each message once connected, and collect replies
+ * until `done(msg, replies)` returns true.
+ */
+async function exchange(url, messages, done) {
+  const client = connectClient(url);
+  await client.opened;
+  const replies = [];
+  const finished = client.waitFor(msg => { replies.push(msg); return done(msg, replies); });
+  for (const m of messages) client.send(m);
+  try {
+    await finished;
+  } finally {
+    client.close();
+  }
+  return replies;
+}
+
 // ── Mock Relay ──────────────────────────────────────────
 
 describe('Mock Relay', () => {
@@ -110,190 +184,2467 @@ describe('Mock Relay', () => {
       setTimeout(() => { ws.close(); reject(new Error('timeout')); }, 5000);
     });
 
-    assert.equal(received.length, 1);
-    assert.equal(received[0].content, 'ws-test');
+    assert.equal(received.length, 1);
+    assert.equal(received[0].content, 'ws-test');
+  });
+
+  it('broadcasts new events to subscribers', async () => {
+    relay.clear();
+    const url = relay.status().url;
+    const ws = new WebSocket(url);
+
+    const received = await new Promise((resolve, reject) => {
+      let gotEose = false;
+      ws.on('open', () => {
+        // Subscribe to ALL kind 1 events (no since filter to avoid timing issues)
+        ws.send(JSON.stringify(['REQ', 'live', { kinds: [1] }]));
+      });
+      ws.on('message', (data) => {
+        const msg = JSON.parse(data);
+        if (msg[0] === 'EOSE' && !gotEose) {
+          gotEose = true;
+          // Inject after EOSE to test live broadcast
+          setTimeout(() => {
+            const event = createEvent({ kind: 1, content: 'live-event' });
+            relay.inject(event);
+          }, 50);
+        }
+        if (msg[0] === 'EVENT' && gotEose && msg[2].content === 'live-event') {
+          ws.close();
+          resolve(msg[2]);
+        }
+      });
+      ws.on('error', reject);
+      setTimeout(() => { ws.close(); reject(new Error('timeout')); }, 5000);
+    });
+
+    assert.equal(received.content, 'live-event');
+  });
+
+  it('handles tag filters', () => {
+    relay.clear();
+    const target = generateKeypair().pubkey;
+    const ev1 = createEvent({ kind: 1, tags: [['p', target]], content: 'tagged' });
+    const ev2 = createEvent({ kind: 1, content: 'not tagged' });
+    relay.inject(ev1);
+    relay.inject(ev2);
+
+    assert.ok(relay.matchesFilter(ev1, { '#p': [target] }));
+    assert.ok(!relay.matchesFilter(ev2, { '#p': [target] }));
+  });
+
+  it('accepts unsigned events unless verification is enabled', async () => {
+    const event = createEvent({ kind: 1, pubkey: generateKeypair().pubkey });
+    const [ok] = await exchange(relay.status().url, [['EVENT', event]], m => m[0] === 'OK');
+    assert.deepEqual(ok, ['OK', event.id, true, '']);
+  });
+
+  it('clears all events', () => {
+    relay.inject(createEvent({ kind: 1, content: 'will be cleared' }));
+    assert.ok(relay.getEvents().length > 0);
+    relay.clear();
+    assert.equal(relay.getEvents().length, 0);
+  });
+});
+
+describe('Mock Relay (NIP-09 deletion)', () => {
+  let relay;
+  const alice = generateKeypair();
+  const bob = generateKeypair();
+
+  before(async () => {
+    relay = createMockRelay();
+    await relay.start();
+  });
+
+  after(async () => {
+    await relay.stop();
+  });
+
+  it('removes events referenced by e tags from the same author', () => {
+    relay.clear();
+    const bid = marketplaceBid('task1', bob.pubkey, 100, 'a@ln.com', { secretKey: alice.secretKey });
+    const other = textNote('not mine', { secretKey: bob.secretKey });
+    relay.inject(bid);
+    relay.inject(other);
+
+    const deletion = deletionRequest([bid, other.id], 'retracted', { secretKey: alice.secretKey });
+    relay.inject(deletion);
+
+    assert.equal(relay.getEvents({ ids: [bid.id] }).length, 0);
+    assert.equal(relay.getEvents({ ids: [other.id] }).length, 1);
+    assert.equal(relay.getEvents({ kinds: [5] }).length, 1);
+    assert.deepEqual(relay.getDeleted().map(e => e.id), [bid.id]);
+  });
+
+  it('refuses to re-store deleted events', async () => {
+    relay.clear();
+    const note = textNote('oops', { secretKey: alice.secretKey });
+    relay.inject(note);
+    relay.inject(deletionRequest([note], '', { secretKey: alice.secretKey }));
+
+    assert.equal(relay.inject(note), false);
+    const [ok] = await exchange(relay.status().url, [['EVENT', note]], m => m[0] === 'OK');
+    assert.deepEqual(ok, ['OK', note.id, false, 'blocked: event has been deleted']);
+    assert.equal(relay.getEvents({ ids: [note.id] }).length, 0);
+  });
+
+  it('removes addressable events up to the deletion created_at', () => {
+    relay.clear();
+    const v1 = serviceAnnouncement('Bot', ['x'], { secretKey: alice.secretKey, created_at: 1000 });
+    relay.inject(v1);
+    const coordinate = `38990:${alice.pubkey}:bot`;
+    relay.inject(deletionRequest([coordinate], '', { secretKey: alice.secretKey, created_at: 2000 }));
+    assert.equal(relay.getEvents({ kinds: [38990] }).length, 0);
+
+    // Older versions stay deleted, newer ones are accepted
+    const stale = serviceAnnouncement('Bot', ['y'], { secretKey: alice.secretKey, created_at: 1500 });
+    const fresh = serviceAnnouncement('Bot', ['z'], { secretKey: alice.secretKey, created_at: 3000 });
+    assert.equal(relay.inject(stale), false);
+    assert.equal(relay.inject(fresh), true);
+    assert.deepEqual(relay.getEvents({ kinds: [38990] }).map(e => e.id), [fresh.id]);
+  });
+
+  it('ignores a tags for other authors and deletions of deletions', () => {
+    relay.clear();
+    const task = marketplaceTask('Job', 10, { secretKey: bob.secretKey, taskId: 't1' });
+    relay.inject(task);
+    relay.inject(deletionRequest([`30950:${bob.pubkey}:t1`], '', { secretKey: alice.secretKey }));
+    assert.equal(relay.getEvents({ kinds: [30950] }).length, 1);
+
+    const note = textNote('keep?', { secretKey: alice.secretKey });
+    relay.inject(note);
+    const deletion = deletionRequest([note], '', { secretKey: alice.secretKey });
+    relay.inject(deletion);
+    relay.inject(deletionRequest([deletion], '', { secretKey: alice.secretKey }));
+    assert.equal(relay.getEvents({ kinds: [5] }).length, 3);
+    assert.equal(relay.getDeleted({ kinds: [5] }).length, 0);
+  });
+});
+
+describe('Mock Relay (NIP-40 expiration, ephemeral events)', () => {
+  let relay;
+  let nowMs = 1700000000000;
+
+  before(async () => {
+    relay = createMockRelay({ now: () => nowMs });
+    await relay.start();
+  });
+
+  after(async () => {
+    await relay.stop();
+  });
+
+  it('broadcasts ephemeral events without storing them', async () => {
+    relay.clear();
+    const client = connectClient(relay.status().url);
+    try {
+      await client.opened;
+      client.send(['REQ', 'typing', { kinds: [20001] }]);
+      await client.waitFor(m => m[0] === 'EOSE');
+
+      const typing = createEvent({ kind: 20001, content: 'typing' });
+      client.send(['EVENT', typing]);
+      const [ok, live] = await Promise.all([
+        client.waitFor(m => m[0] === 'OK'),
+        client.waitFor(m => m[0] === 'EVENT')
+      ]);
+      assert.equal(ok[2], true);
+      assert.equal(live[2].id, typing.id);
+      assert.equal(relay.inject(createEvent({ kind: 25000 })), true);
+      assert.equal(relay.getEvents().length, 0);
+
+      const replies = await exchange(relay.status().url, [['REQ', 'again', { kinds: [20001] }]], m => m[0] === 'EOSE');
+      assert.equal(replies.filter(m => m[0] === 'EVENT').length, 0);
+    } finally {
+      client.close();
+    }
+  });
+
+  it('rejects events that have already expired', async () => {
+    relay.clear();
+    const expired = createEvent({ kind: 1, tags: [['expiration', String(nowMs / 1000 - 1)]] });
+    const [ok] = await exchange(relay.status().url, [['EVENT', expired]], m => m[0] === 'OK');
+    assert.deepEqual(ok, ['OK', expired.id, false, 'invalid: event has expired']);
+    assert.equal(relay.inject(expired), false);
+  });
+
+  it('rejects a resent event as expired once it expires, not as a duplicate', async () => {
+    relay.clear();
+    const offer = createEvent({ kind: 1, tags: [['expiration', String(nowMs / 1000 + 60)]] });
+    const url = relay.status().url;
+    assert.equal((await exchange(url, [['EVENT', offer]], m => m[0] === 'OK'))[0][2], true);
+
+    nowMs += 60 * 1000; // expired but still in the store until the next purge
+    const [ok] = await exchange(url, [['EVENT', offer]], m => m[0] === 'OK');
+    assert.deepEqual(ok, ['OK', offer.id, false, 'invalid: event has expired']);
+  });
+
+  it('broadcasts a resent ephemeral event only once', async () => {
+    relay.clear();
+    const client = connectClient(relay.status().url);
+    try {
+      await client.opened;
+      client.send(['REQ', 'typing', { kinds: [20001] }]);
+      await client.waitFor(m => m[0] === 'EOSE');
+
+      const typing = createEvent({ kind: 20001, content: 'typing' });
+      await exchange(relay.status().url, [['EVENT', typing]], m => m[0] === 'OK');
+      await exchange(relay.status().url, [['EVENT', typing]], m => m[0] === 'OK');
+      assert.equal(relay.inject(typing), false);
+      // Broadcasts go out before the OK, so they arrive ahead of this EOSE
+      client.send(['REQ', 'sync', { ids: [typing.id] }]);
+      await client.waitFor(m => m[0] === 'EOSE' && m[1] === 'sync');
+
+      assert.equal(client.messages.filter(m => m[0] === 'EVENT').length, 1);
+    } finally {
+      client.close();
+    }
+  });
+
+  it('drops events from query results once they expire', async () => {
+    relay.clear();
+    const offer = createEvent({ kind: 1, content: 'offer', tags: [['expiration', String(nowMs / 1000 + 60)]] });
+    relay.inject(offer);
+    relay.inject(createEvent({ kind: 1, content: 'forever' }));
+    assert.equal(relay.getEvents().length, 2);
+
+    nowMs += 60 * 1000;
+    assert.deepEqual(relay.getEvents().map(e => e.content), ['forever']);
+    assert.equal(relay.status().events, 1);
+    const replies = await exchange(relay.status().url, [['REQ', 's', { kinds: [1] }]], m => m[0] === 'EOSE');
+    assert.deepEqual(replies.filter(m => m[0] === 'EVENT').map(m => m[2].content), ['forever']);
+  });
+});
+
+describe('Mock Relay (NIP-45 COUNT, NIP-50 search)', () => {
+  let relay;
+
+  before(async () => {
+    relay = createMockRelay({ search: { tags: ['title'] } });
+    await relay.start();
+    relay.inject(textNote('Lightning payments for agents', { created_at: 100 }));
+    relay.inject(textNote('Nostr relays and lightning, lightning, LIGHTNING', { created_at: 50 }));
+    relay.inject(textNote('Unrelated cooking note', { created_at: 200 }));
+    relay.inject(marketplaceTask('Lightning invoice parser', 100, { created_at: 300 }));
+  });
+
+  after(async () => {
+    await relay.stop();
+  });
+
+  it('answers COUNT across filters', async () => {
+    const [reply] = await exchange(relay.status().url,
+      [['COUNT', 'c1', { kinds: [1] }, { kinds: [30950] }]], m => m[0] === 'COUNT');
+    assert.deepEqual(reply, ['COUNT', 'c1', { count: 4 }]);
+
+    const [none] = await exchange(relay.status().url,
+      [['COUNT', 'c2', { kinds: [7] }]], m => m[0] === 'COUNT');
+    assert.deepEqual(none[2], { count: 0 });
+  });
+
+  it('matches search terms case-insensitively in content and selected tags', () => {
+    const found = relay.getEvents({ search: 'LIGHTNING' });
+    assert.equal(found.length, 3);
+    // Ranked by number of hits, not by created_at
+    assert.match(found[0].content, /^Nostr relays/);
+
+    assert.equal(relay.getEvents({ search: 'invoice parser' }).length, 1);
+    assert.equal(relay.getEvents({ search: 'lightning cooking' }).length, 0);
+    assert.equal(relay.getEvents({ kinds: [1], search: 'lightning language:en' }).length, 2);
+  });
+
+  it('applies search to REQ and COUNT', async () => {
+    const replies = await exchange(relay.status().url,
+      [['REQ', 's', { search: 'lightning', limit: 2 }], ['COUNT', 'c', { search: 'cooking' }]],
+      (m, all) => all.some(r => r[0] === 'EOSE') && all.some(r => r[0] === 'COUNT'));
+    const contents = replies.filter(m => m[0] === 'EVENT').map(m => m[2].content);
+    assert.equal(contents.length, 2);
+    assert.match(contents[0], /^Nostr relays/);
+    assert.deepEqual(replies.find(m => m[0] === 'COUNT')[2], { count: 1 });
+  });
+
+  it('accepts a pluggable scoring function', () => {
+    const custom = createMockRelay({
+      search: { score: (event, query) => event.content.startsWith(query) ? event.content.length : 0 }
+    });
+    custom.inject(textNote('ab'));
+    custom.inject(textNote('abcd'));
+    custom.inject(textNote('xab'));
+    assert.deepEqual(custom.getEvents({ search: 'ab' }).map(e => e.content), ['abcd', 'ab']);
+  });
+});
+
+describe('Mock Relay (NIP-11 information, limitations)', () => {
+  let relay;
+  let url;
+
+  before(async () => {
+    relay = createMockRelay({
+      info: {
+        name: 'test relay',
+        pubkey: 'ab'.repeat(32),
+        fees: { publication: [{ amount: 1000, unit: 'msats' }] },
+        limitation: {
+          max_subscriptions: 2,
+          max_filters: 2,
+          max_limit: 2,
+          max_message_length: 2000,
+          min_pow_difficulty: 8
+        }
+      }
+    });
+    ({ url } = await relay.start());
+    for (let i = 0; i < 5; i++) relay.inject(createEvent({ kind: 1, content: `n${i}` }));
+  });
+
+  after(async () => {
+    await relay.stop();
+  });
+
+  it('serves the NIP-11 document over HTTP', async () => {
+    const res = await fetch(url.replace('ws://', 'http://'), { headers: { Accept: 'application/nostr+json' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('access-control-allow-origin'), '*');
+    const doc = await res.json();
+    assert.equal(doc.name, 'test relay');
+    assert.equal(doc.pubkey, 'ab'.repeat(32));
+    assert.ok(doc.supported_nips.includes(11));
+    assert.equal(doc.limitation.max_filters, 2);
+    assert.equal(doc.limitation.auth_required, false);
+    assert.deepEqual(doc.fees, relay.getInfo().fees);
+
+    const plain = await fetch(url.replace('ws://', 'http://'));
+    assert.equal(plain.status, 426);
+  });
+
+  it('clamps limits and rejects too many filters or subscriptions', async () => {
+    const client = connectClient(url);
+    try {
+      await client.opened;
+      client.send(['REQ', 'a', { kinds: [1], limit: 100 }]);
+      await client.waitFor(m => m[0] === 'EOSE' && m[1] === 'a');
+      assert.equal(client.messages.filter(m => m[0] === 'EVENT' && m[1] === 'a').length, 2);
+
+      client.send(['REQ', 'b', { kinds: [1] }, { kinds: [2] }, { kinds: [3] }]);
+      assert.match((await client.waitFor(m => m[0] === 'CLOSED' && m[1] === 'b'))[2], /^invalid: too many filters/);
+
+      client.send(['REQ', 'c', { kinds: [1] }]);
+      await client.waitFor(m => m[0] === 'EOSE' && m[1] === 'c');
+      client.send(['REQ', 'd', { kinds: [1] }]);
+      assert.match((await client.waitFor(m => m[0] === 'CLOSED' && m[1] === 'd'))[2], /^error: too many subscriptions/);
+
+      // Replacing an existing subscription is still allowed
+      client.send(['REQ', 'a', { kinds: [1] }]);
+      await client.waitFor(m => m[0] === 'EOSE' && m[1] === 'a' && client.messages.filter(x => x[0] === 'EOSE' && x[1] === 'a').length === 2);
+    } finally {
+      client.close();
+    }
+  });
+
+  it('enforces max_message_length and min_pow_difficulty', async () => {
+    const big = createEvent({ kind: 1, content: 'x'.repeat(3000) });
+    const [tooBig] = await exchange(url, [['EVENT', big]], m => m[0] === 'OK');
+    assert.equal(tooBig[2], false);
+    assert.match(tooBig[3], /^invalid: message is too large/);
+
+    // An id whose first bit is set has difficulty 0
+    let weak;
+    do {
+      weak = createEvent({ kind: 1, tags: [['nonce', '0', '8']], created_at: 1 });
+    } while (!/^[89a-f]/.test(weak.id));
+    const [ok] = await exchange(url, [['EVENT', weak]], m => m[0] === 'OK');
+    assert.match(ok[3], /^pow: difficulty 0 is less than 8/);
+
+    // Mine an id with 8 leading zero bits
+    const { pubkey } = generateKeypair();
+    let mined;
+    for (let nonce = 0; !mined || !mined.id.startsWith('00'); nonce++) {
+      mined = createEvent({ kind: 1, pubkey, tags: [['nonce', String(nonce), '8']], created_at: 1 });
+    }
+    const [accepted] = await exchange(url, [['EVENT', mined]], m => m[0] === 'OK');
+    assert.deepEqual(accepted, ['OK', mined.id, true, '']);
+  });
+});
+
+describe('Mock Relay (policies)', () => {
+  it('answers duplicate events with a duplicate: message', async () => {
+    const relay = createMockRelay();
+    const { url } = await relay.start();
+    try {
+      const event = createEvent({ kind: 1 });
+      const replies = await exchange(url, [['EVENT', event], ['EVENT', event]],
+        (m, all) => all.filter(r => r[0] === 'OK').length === 2);
+      assert.deepEqual(replies[0], ['OK', event.id, true, '']);
+      assert.deepEqual(replies[1], ['OK', event.id, true, 'duplicate: already have this event']);
+    } finally {
+      await relay.stop();
+    }
+  });
+
+  it('answers a duplicate that arrives while an async policy runs', async () => {
+    const relay = createMockRelay({
+      policy: { event: () => new Promise(r => setTimeout(() => r(true), 10)) }
+    });
+    const { url } = await relay.start();
+    try {
+      const event = createEvent({ kind: 1 });
+      const [first, second] = await Promise.all([
+        exchange(url, [['EVENT', event]], m => m[0] === 'OK'),
+        exchange(url, [['EVENT', event]], m => m[0] === 'OK')
+      ]);
+      const reasons = [first[0][3], second[0][3]].sort();
+      assert.deepEqual(reasons, ['', 'duplicate: already have this event']);
+      assert.equal(relay.getEvents().length, 1);
+    } finally {
+      await relay.stop();
+    }
+  });
+
+  it('runs async event and req hooks with connection context', async () => {
+    const alice = generateKeypair();
+    const seen = [];
+    const relay = createMockRelay({
+      auth: 'optional',
+      policy: {
+        async event(event, ctx) {
+          seen.push(ctx);
+          await new Promise(r => setTimeout(r, 10));
+          return event.content === 'spam' ? { accept: false, reason: 'blocked: no spam' } : true;
+        },
+        req: (filters, ctx) => ctx.subId !== 'forbidden' || 'restricted: not for you'
+      }
+    });
+    const { url } = await relay.start();
+    const client = connectClient(url);
+    try {
+      const [, challenge] = await client.waitFor(m => m[0] === 'AUTH');
+      client.send(['AUTH', authEvent(challenge, url, { secretKey: alice.secretKey })]);
+      await client.waitFor(m => m[0] === 'OK');
+
+      const spam = createEvent({ kind: 1, content: 'spam' });
+      const ham = createEvent({ kind: 1, content: 'ham' });
+      client.send(['EVENT', spam]);
+      client.send(['EVENT', ham]);
+      client.send(['REQ', 'forbidden', {}]);
+      client.send(['REQ', 'fine', { ids: [ham.id] }]);
+
+      assert.deepEqual(await client.waitFor(m => m[1] === spam.id), ['OK', spam.id, false, 'blocked: no spam']);
+      assert.deepEqual(await client.waitFor(m => m[0] === 'OK' && m[1] === ham.id), ['OK', ham.id, true, '']);
+      assert.deepEqual(await client.waitFor(m => m[0] === 'CLOSED'), ['CLOSED', 'forbidden', 'restricted: not for you']);
+      // Messages are handled in order, so the REQ sees the stored event
+      await client.waitFor(m => m[0] === 'EOSE' && m[1] === 'fine');
+      assert.ok(client.messages.some(m => m[0] === 'EVENT' && m[1] === 'fine' && m[2].id === ham.id));
+
+      assert.equal(seen[0].pubkey, alice.pubkey);
+      assert.match(seen[0].connection.id, /^conn-/);
+    } finally {
+      client.close();
+      await relay.stop();
+    }
+  });
+
+  it('still broadcasts an event whose sender left during a slow policy', async () => {
+    let release;
+    const gate = new Promise(r => { release = r; });
+    const relay = createMockRelay({ policy: async () => { await gate; return true; } });
+    const { url } = await relay.start();
+    const watcher = connectClient(url);
+    const sender = connectClient(url);
+    try {
+      await Promise.all([watcher.opened, sender.opened]);
+      watcher.send(['REQ', 'all', {}]);
+      await watcher.waitFor(m => m[0] === 'EOSE');
+
+      const event = createEvent({ kind: 1, content: 'parting words' });
+      let emitted = null;
+      relay.on('event', (e, meta) => { emitted = meta; });
+      const left = new Promise(r => relay.on('disconnect', r));
+      sender.send(['EVENT', event]);
+      sender.send(['REQ', 'late', {}]);
+      sender.close();
+      await left;
+      release();
+
+      await watcher.waitFor(m => m[0] === 'EVENT' && m[2].id === event.id);
+      assert.match(emitted.clientId, /^conn-/);
+      assert.equal(relay.getEvents({ ids: [event.id] }).length, 1);
+      await new Promise(r => setTimeout(r, 20));
+      assert.equal(relay.status().subscriptions, 1); // 'late' was never opened
+    } finally {
+      watcher.close();
+      await relay.stop();
+    }
+  });
+
+  it('provides rate limiting, kind lists and pubkey blocklists', async () => {
+    const spammer = generateKeypair();
+    const banned = generateKeypair();
+    let nowMs = 0;
+    const relay = createMockRelay({
+      policy: [
+        blockPubkeys([banned.pubkey]),
+        denyKinds([4]),
+        allowKinds([1, 4, 7]),
+        rateLimit({ max: 2, windowMs: 1000, now: () => nowMs })
+      ]
+    });
+    const { url } = await relay.start();
+    try {
+      const send = async (event) => (await exchange(url, [['EVENT', event]], m => m[0] === 'OK'))[0][3];
+
+      assert.equal(await send(createEvent({ kind: 1, secretKey: banned.secretKey })), 'blocked: pubkey is banned');
+      assert.equal(await send(createEvent({ kind: 4 })), 'restricted: kind 4 is not accepted');
+      assert.equal(await send(createEvent({ kind: 30023 })), 'restricted: kind 30023 is not accepted');
+
+      assert.equal(await send(createEvent({ kind: 1, content: '1', secretKey: spammer.secretKey })), '');
+      assert.equal(await send(createEvent({ kind: 1, content: '2', secretKey: spammer.secretKey })), '');
+      assert.match(await send(createEvent({ kind: 1, content: '3', secretKey: spammer.secretKey })), /^rate-limited:/);
+      assert.equal(await send(createEvent({ kind: 7 })), '');
+
+      nowMs += 1000;
+      assert.equal(await send(createEvent({ kind: 1, content: '4', secretKey: spammer.secretKey })), '');
+    } finally {
+      await relay.stop();
+    }
+  });
+});
+
+describe('Mock Relay (fault injection)', () => {
+  let relay;
+  let url;
+
+  before(async () => {
+    relay = createMockRelay({ faults: { seed: 7 } });
+    ({ url } = await relay.start());
+  });
+
+  afterEach(() => {
+    relay.faults.reset();
+    relay.clear();
+  });
+
+  after(async () => {
+    await relay.stop();
+  });
+
+  it('drops specific and random clients', async () => {
+    const a = connectClient(url);
+    const b = connectClient(url);
+    await Promise.all([a.opened, b.opened]);
+    const closed = (client) => new Promise(r => client.ws.on('close', r));
+
+    const [first, second] = relay.getConnections().map(c => c.id);
+    const aClosed = closed(a);
+    assert.equal(relay.faults.dropClient(first), first);
+    await aClosed;
+
+    const bClosed = closed(b);
+    assert.equal(relay.faults.dropClient(), second);
+    await bClosed;
+    assert.equal(relay.faults.dropClient(), null);
+    assert.deepEqual(relay.faults.getLog('drop-client').map(f => f.clientId), [first, second]);
+  });
+
+  it('delays outgoing messages without reordering them', async () => {
+    for (let i = 0; i < 3; i++) relay.inject(createEvent({ kind: 1, content: String(i), created_at: 10 - i }));
+    relay.faults.delay({ min: 5, max: 60 });
+    const started = Date.now();
+    const replies = await exchange(url, [['REQ', 's', { kinds: [1] }]], m => m[0] === 'EOSE');
+    assert.ok(Date.now() - started >= 5);
+    assert.deepEqual(replies.map(m => m[0]), ['EVENT', 'EVENT', 'EVENT', 'EOSE']);
+    assert.deepEqual(replies.slice(0, 3).map(m => m[2].content), ['0', '1', '2']);
+    assert.equal(relay.faults.getLog('delay').length, 4);
+  });
+
+  it('keeps delayed messages in order when their timers come due together', async () => {
+    // Time moves on between sends, so a message held back behind an earlier,
+    // longer delay gets a shorter timer that fires first
+    let ticks = 0;
+    const clock = { ...createClock(0), now: () => ticks++, setTimeout, clearTimeout };
+    const slow = createMockRelay({ clock, faults: { seed: 11, delay: { min: 1, max: 40 } } });
+    for (let i = 0; i < 10; i++) slow.inject(createEvent({ kind: 1, content: String(i), created_at: 100 - i }));
+    const started = await slow.start();
+    try {
+      const replies = await exchange(started.url, [['REQ', 's', { kinds: [1] }]], m => m[0] === 'EOSE');
+      assert.deepEqual(replies.map(m => m[2]?.content ?? m[0]), ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', 'EOSE']);
+    } finally {
+      await slow.stop();
+    }
+  });
+
+  it('drops and duplicates event deliveries', async () => {
+    relay.inject(createEvent({ kind: 1 }));
+    relay.faults.dropEvents(1);
+    let replies = await exchange(url, [['REQ', 's', { kinds: [1] }]], m => m[0] === 'EOSE');
+    assert.deepEqual(replies.map(m => m[0]), ['EOSE']);
+    assert.equal(relay.faults.getLog('drop-event').length, 1);
+
+    relay.faults.dropEvents(0).duplicateEvents(1);
+    replies = await exchange(url, [['REQ', 's', { kinds: [1] }]], m => m[0] === 'EOSE');
+    assert.deepEqual(replies.map(m => m[0]), ['EVENT', 'EVENT', 'EOSE']);
+    assert.equal(replies[0][2].id, replies[1][2].id);
+  });
+
+  it('reorders stored events reproducibly for a given seed', async () => {
+    for (let i = 0; i < 8; i++) relay.inject(createEvent({ kind: 1, content: String(i), created_at: 100 - i }));
+    const order = async () => {
+      const replies = await exchange(url, [['REQ', 's', { kinds: [1] }]], m => m[0] === 'EOSE');
+      return replies.filter(m => m[0] === 'EVENT').map(m => m[2].content).join('');
+    };
+
+    relay.faults.seed(42).reorder();
+    const first = await order();
+    relay.faults.seed(42);
+    assert.equal(await order(), first);
+    assert.notEqual(first, '01234567');
+    assert.equal(relay.faults.getLog('reorder').length, 2);
+  });
+
+  it('reorders live events broadcast in the same tick', async () => {
+    const client = connectClient(url);
+    try {
+      await client.opened;
+      client.send(['REQ', 'live', { kinds: [7] }]);
+      await client.waitFor(m => m[0] === 'EOSE');
+
+      relay.faults.seed(42).reorder();
+      for (let i = 0; i < 8; i++) relay.inject(createEvent({ kind: 7, content: String(i) }));
+      await client.waitFor(() => client.messages.filter(m => m[0] === 'EVENT').length === 8);
+      const order = client.messages.filter(m => m[0] === 'EVENT').map(m => m[2].content).join('');
+      assert.notEqual(order, '01234567');
+      assert.deepEqual([...order].sort().join(''), '01234567');
+      assert.deepEqual(relay.faults.getLog('reorder').map(f => [f.subId, f.count]), [['live', 8]]);
+    } finally {
+      client.close();
+    }
+  });
+
+  it('seeds faults from string seeds', async () => {
+    const events = Array.from({ length: 16 }, (_, i) => createEvent({ kind: 1, content: String(i), created_at: 100 - i }));
+    const dropped = async (seed) => {
+      const seededRelay = createMockRelay({ seed, faults: { dropEvents: 0.5 } });
+      for (const event of events) seededRelay.inject(event);
+      const started = await seededRelay.start();
+      try {
+        await exchange(started.url, [['REQ', 's', { kinds: [1] }]], m => m[0] === 'EOSE');
+        return seededRelay.faults.getLog('drop-event').map(f => f.eventId);
+      } finally {
+        await seededRelay.stop();
+      }
+    };
+
+    const first = await dropped('run-1:relay');
+    assert.ok(first.length > 0 && first.length < 16);
+    assert.deepEqual(await dropped('run-1:relay'), first);
+    assert.notDeepEqual(await dropped('run-2:relay'), first);
+  });
+
+  it('withholds EOSE', async () => {
+    relay.faults.withholdEose();
+    const client = connectClient(url);
+    try {
+      await client.opened;
+      client.send(['REQ', 's', {}]);
+      client.send(['COUNT', 'c', {}]);
+      await client.waitFor(m => m[0] === 'COUNT');
+      assert.ok(!client.messages.some(m => m[0] === 'EOSE'));
+      assert.deepEqual(relay.faults.getLog('withhold-eose').map(f => f.subId), ['s']);
+    } finally {
+      client.close();
+    }
+  });
+
+  it('refuses new connections for a window', async () => {
+    relay.faults.refuseConnections(60000);
+    const client = connectClient(url);
+    await assert.rejects(client.opened, /503/);
+    assert.equal(relay.faults.getLog('refuse-connection').length, 1);
+
+    relay.faults.refuseConnections(0);
+    const again = connectClient(url);
+    await again.opened;
+    again.close();
+  });
+});
+
+describe('Mock Relay (snapshots, fixtures)', () => {
+  const alice = generateKeypair();
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-test-kit-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('restores a snapshot, including deletions', () => {
+    const relay = createMockRelay();
+    const note = textNote('keep', { secretKey: alice.secretKey });
+    const gone = textNote('gone', { secretKey: alice.secretKey });
+    relay.inject(note);
+    relay.inject(gone);
+    relay.inject(deletionRequest([gone], '', { secretKey: alice.secretKey }));
+
+    const snap = relay.snapshot();
+    assert.doesNotThrow(() => JSON.parse(JSON.stringify(snap)));
+
+    relay.clear();
+    relay.inject(textNote('noise'));
+    relay.restore(JSON.parse(JSON.stringify(snap)));
+
+    assert.deepEqual(relay.getEvents({ kinds: [1] }).map(e => e.id), [note.id]);
+    assert.deepEqual(relay.getDeleted().map(e => e.id), [gone.id]);
+    assert.equal(relay.inject(gone), false);
+  });
+
+  it('keeps snapshots apart from the live store', () => {
+    const relay = createMockRelay();
+    const note = textNote('original', { secretKey: alice.secretKey });
+    relay.inject(note);
+
+    const snap = relay.snapshot();
+    note.content = 'edited';
+    note.tags.push(['t', 'edited']);
+    assert.equal(snap.events[0].content, 'original');
+    assert.deepEqual(snap.events[0].tags, []);
+
+    relay.restore(snap);
+    snap.events[0].content = 'edited after restore';
+    assert.equal(relay.getEvents()[0].content, 'original');
+  });
+
+  it('loads JSONL fixtures through the normal store path', () => {
+    const v1 = marketplaceTask('Job', 100, { secretKey: alice.secretKey, taskId: 't', created_at: 100 });
+    const v2 = marketplaceTask('Job', 200, { secretKey: alice.secretKey, taskId: 't', created_at: 200 });
+    const note = textNote('retracted', { secretKey: alice.secretKey, created_at: 150 });
+    const deletion = deletionRequest([note], '', { secretKey: alice.secretKey, created_at: 300 });
+    const file = path.join(dir, 'fixtures.jsonl');
+    fs.writeFileSync(file, [v2, v1, deletion, note].map(e => JSON.stringify(e)).join('\n') + '\n\n');
+
+    const relay = createMockRelay();
+    assert.deepEqual(relay.loadFixtures(file), { stored: 2, skipped: 2 });
+    assert.deepEqual(relay.getEvents({ kinds: [30950] }).map(e => e.id), [v2.id]);
+    assert.equal(relay.getEvents({ kinds: [1] }).length, 0);
+  });
+
+  it('exports JSONL that loads back into another relay', () => {
+    const relay = createMockRelay();
+    relay.inject(textNote('one', { created_at: 2 }));
+    relay.inject(textNote('two', { created_at: 1 }));
+    relay.inject(reaction('x'.repeat(64), alice.pubkey, '+', { created_at: 3 }));
+
+    const file = path.join(dir, 'export.jsonl');
+    assert.equal(relay.exportJsonl(file, { kinds: [1] }), 2);
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(lines.map(e => e.content), ['two', 'one']);
+
+    relay.exportJsonl(file);
+    const copy = createMockRelay();
+    copy.loadFixtures(file);
+    assert.deepEqual(copy.getEvents({}).map(e => e.id), relay.getEvents({}).map(e => e.id));
+  });
+
+  it('reports the line of invalid JSONL', () => {
+    const file = path.join(dir, 'broken.jsonl');
+    fs.writeFileSync(file, JSON.stringify(textNote('ok')) + '\n{nope\n');
+    const relay = createMockRelay();
+    assert.throws(() => relay.loadFixtures(file), /line 2/);
+    assert.equal(relay.getEvents().length, 0);
+  });
+
+  it('names fixtures that are not valid events', () => {
+    const file = path.join(dir, 'invalid.jsonl');
+    const { tags, ...untagged } = textNote('no tags');
+    fs.writeFileSync(file, [textNote('ok'), untagged].map(e => JSON.stringify(e)).join('\n\n'));
+    const relay = createMockRelay();
+    assert.throws(() => relay.loadFixtures(file), /^Error: Invalid fixture 1 \(line 3 of .*invalid\.jsonl\): tags must be an array/);
+    assert.equal(relay.getEvents().length, 0); // the valid line before it isn't loaded either
+
+    const { id, ...anonymous } = textNote('no id');
+    fs.writeFileSync(file, JSON.stringify(anonymous));
+    assert.throws(() => createMockRelay().loadFixtures(file), /Invalid fixture 0 \(line 1 .*\): id must be 64/);
+  });
+});
+
+describe('Mock Relay (traffic recording, replay)', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-test-kit-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Publish a note and subscribe, waiting for the EOSE
+   */
+  async function session(url, note, subId) {
+    const client = connectClient(url);
+    await client.opened;
+    client.send(['EVENT', note]);
+    await client.waitFor(m => m[0] === 'OK');
+    client.send(['REQ', subId, { kinds: [1] }]);
+    await client.waitFor(m => m[0] === 'EOSE');
+    client.close();
+    return client.messages;
+  }
+
+  it('records inbound and outbound frames per connection', async () => {
+    const relay = createMockRelay({ recordTraffic: true });
+    const { url } = await relay.start();
+    try {
+      const note = textNote('recorded');
+      await session(url, note, 'sub');
+      const clientId = relay.getTraffic()[0].clientId;
+
+      const inbound = relay.getTraffic({ clientId, direction: 'in' });
+      assert.deepEqual(inbound.map(f => f.type), ['EVENT', 'REQ']);
+      assert.deepEqual(inbound[0].message, ['EVENT', note]);
+
+      const outbound = relay.getTraffic({ direction: 'out' });
+      assert.deepEqual(outbound.map(f => f.type), ['OK', 'EVENT', 'EOSE']);
+      assert.ok(outbound.every(f => typeof f.timestamp === 'number' && f.clientId === clientId));
+      assert.deepEqual(relay.getTraffic({ type: 'EOSE' }).map(f => f.message), [['EOSE', 'sub']]);
+
+      relay.clearTraffic();
+      assert.equal(relay.getTraffic().length, 0);
+    } finally {
+      await relay.stop();
+    }
+  });
+
+  it('records invalid frames and leaves dropped frames out', async () => {
+    const relay = createMockRelay({ recordTraffic: true, faults: { seed: 1, dropEvents: 1 } });
+    relay.inject(textNote('hidden'));
+    const { url } = await relay.start();
+    try {
+      await exchange(url, [['REQ', 's', {}], 'not json'], m => m[0] === 'NOTICE');
+      assert.deepEqual(relay.getTraffic({ direction: 'in' }).map(f => f.type), ['REQ', 'INVALID']);
+      assert.equal(relay.getTraffic({ direction: 'in', type: 'INVALID' })[0].message, 'not json');
+      assert.deepEqual(relay.getTraffic({ direction: 'out' }).map(f => f.type), ['EOSE', 'NOTICE']);
+    } finally {
+      await relay.stop();
+    }
+  });
+
+  it('does not record unless recordTraffic is set', async () => {
+    const relay = createMockRelay();
+    const { url } = await relay.start();
+    try {
+      await exchange(url, [['REQ', 's', {}]], m => m[0] === 'EOSE');
+      assert.equal(relay.getTraffic().length, 0);
+    } finally {
+      await relay.stop();
+    }
+  });
+
+  it('replays a saved cassette with the client\'s ids', async () => {
+    const recorder = createMockRelay({ recordTraffic: true });
+    recorder.inject(textNote('stored'));
+    const { url } = await recorder.start();
+    const file = path.join(dir, 'cassette.json');
+    let recorded;
+    try {
+      recorded = await session(url, textNote('first run'), 'a');
+      const cassette = recorder.saveCassette(file);
+      assert.equal(cassette.connections.length, 1);
+      assert.equal(cassette.connections[0].frames[0].offsetMs, 0);
+    } finally {
+      await recorder.stop();
+    }
+
+    const replay = createMockRelay({ replay: file });
+    const replayed = await replay.start();
+    try {
+      const note = textNote('second run');
+      const messages = await session(replayed.url, note, 'b');
+      assert.deepEqual(messages.map(m => m[0]), recorded.map(m => m[0]));
+      assert.deepEqual(messages[0], ['OK', note.id, true, '']);
+      assert.deepEqual(messages.slice(1).map(m => m[1]), ['b', 'b', 'b']);
+      assert.deepEqual(messages.slice(1, 3).map(m => m[2].content).sort(), ['first run', 'stored']);
+      assert.equal(replay.getEvents().length, 0);
+
+      // The cassette holds one connection; a second client is told so
+      const [notice] = await exchange(replayed.url, [], m => m[0] === 'NOTICE');
+      assert.deepEqual(notice, ['NOTICE', 'replay: no more recorded connections']);
+    } finally {
+      await replay.stop();
+    }
+  });
+
+  it('reports frames that do not match the cassette', async () => {
+    const cassette = {
+      version: 1,
+      connections: [{
+        clientId: 'conn-1',
+        frames: [
+          { direction: 'out', message: ['AUTH', 'challenge'], offsetMs: 0 },
+          { direction: 'in', message: ['REQ', 'x', {}], offsetMs: 5 },
+          { direction: 'out', message: ['EOSE', 'x'], offsetMs: 30 }
+        ]
+      }]
+    };
+    const relay = createMockRelay({ replay: { cassette, preserveTiming: true } });
+    const { url } = await relay.start();
+    try {
+      const client = connectClient(url);
+      await client.opened;
+      assert.deepEqual(await client.waitFor(m => m[0] === 'AUTH'), ['AUTH', 'challenge']);
+      client.send(['COUNT', 'y', {}]);
+      assert.deepEqual(await client.waitFor(m => m[0] === 'NOTICE'), ['NOTICE', 'replay: expected REQ, got COUNT']);
+
+      const sentAt = Date.now();
+      client.send(['REQ', 'mine', {}]);
+      assert.deepEqual(await client.waitFor(m => m[0] === 'EOSE'), ['EOSE', 'mine']);
+      assert.ok(Date.now() - sentAt >= 20);
+      client.close();
+    } finally {
+      await relay.stop();
+    }
+  });
+});
+
+describe('Mock Relay (observation)', () => {
+  let relay;
+  let url;
+
+  before(async () => {
+    relay = createMockRelay();
+    ({ url } = await relay.start());
+  });
+
+  after(async () => {
+    await relay.stop();
+  });
+
+  afterEach(() => {
+    relay.clear();
+  });
+
+  it('emits connect, event, req, close and disconnect', async () => {
+    const seen = [];
+    const listeners = {
+      connect: (c) => seen.push(['connect', c.id]),
+      event: (e, { clientId }) => seen.push(['event', e.content, clientId]),
+      req: (subId, filters, { clientId }) => seen.push(['req', subId, filters, clientId]),
+      close: (subId) => seen.push(['close', subId]),
+      disconnect: (c) => seen.push(['disconnect', c.id])
+    };
+    for (const [name, fn] of Object.entries(listeners)) relay.on(name, fn);
+
+    try {
+      relay.inject(textNote('injected'));
+      const client = connectClient(url);
+      await client.opened;
+      client.send(['EVENT', textNote('published')]);
+      client.send(['REQ', 'feed', { kinds: [1] }]);
+      client.send(['CLOSE', 'feed']);
+      await client.waitFor(m => m[0] === 'EOSE');
+      const gone = new Promise(resolve => relay.once('disconnect', resolve));
+      client.close();
+      await gone;
+
+      const id = seen.find(s => s[0] === 'connect')[1];
+      assert.deepEqual(seen, [
+        ['event', 'injected', null],
+        ['connect', id],
+        ['event', 'published', id],
+        ['req', 'feed', [{ kinds: [1] }], id],
+        ['close', 'feed'],
+        ['disconnect', id]
+      ]);
+    } finally {
+      for (const [name, fn] of Object.entries(listeners)) relay.off(name, fn);
+    }
+  });
+
+  it('waitForEvent resolves when a matching event is published', async () => {
+    const note = textNote('hello', { tags: [['t', 'greeting']] });
+    const waiting = relay.waitForEvent({ kinds: [1], '#t': ['greeting'] });
+    relay.inject(textNote('unrelated'));
+    await exchange(url, [['EVENT', note]], m => m[0] === 'OK');
+    assert.equal((await waiting).id, note.id);
+  });
+
+  it('waitForEvent counts stored events and collects `count` matches', async () => {
+    relay.inject(textNote('one', { created_at: 1 }));
+    const waiting = relay.waitForEvent({ kinds: [1] }, { count: 3 });
+    relay.inject(textNote('two', { created_at: 2 }));
+    relay.inject(textNote('three', { created_at: 3 }));
+    assert.deepEqual((await waiting).map(e => e.content), ['one', 'two', 'three']);
+
+    const fresh = relay.waitForEvent({ kinds: [1] }, { existing: false });
+    relay.inject(textNote('four'));
+    assert.equal((await fresh).content, 'four');
+  });
+
+  it('waitForEvent lists near misses on timeout', async () => {
+    const note = textNote('close but no', { tags: [['t', 'other']] });
+    relay.inject(note);
+    relay.inject(reaction('x'.repeat(64), note.pubkey));
+
+    await assert.rejects(
+      relay.waitForEvent({ kinds: [1], '#t': ['wanted'] }, { timeout: 50 }),
+      (err) => {
+        assert.match(err.message, /Timed out after 50ms waiting for 1 event\(s\) matching/);
+        assert.match(err.message, new RegExp(`${note.id.slice(0, 8)} kind 1 .*#t did not match`));
+        assert.deepEqual(err.nearMisses.map(m => m.event.id), [note.id]);
+        return true;
+      }
+    );
+  });
+
+  it('lists near misses among stored events', () => {
+    const note = textNote('close but no', { tags: [['t', 'other']] });
+    const unrelated = reaction('x'.repeat(64), note.pubkey);
+    relay.inject(note);
+    relay.inject(unrelated);
+
+    const filter = { kinds: [1], '#t': ['wanted'] };
+    assert.deepEqual(relay.nearMisses(filter), [{ event: note, mismatched: ['#t'] }]);
+    assert.deepEqual(relay.nearMisses(filter, { all: true }).map(m => m.mismatched), [['#t'], ['kinds', '#t']]);
+    assert.deepEqual(relay.nearMisses(filter, { all: true, max: 1 }).map(m => m.event.id), [note.id]);
+  });
+
+  it('waitForSubscription resolves for a covering REQ', async () => {
+    const waiting = relay.waitForSubscription({ kinds: [5050] });
+    const client = connectClient(url);
+    await client.opened;
+    client.send(['REQ', 'other', { kinds: [1] }]);
+    client.send(['REQ', 'jobs', { kinds: [5050, 5100], limit: 10 }]);
+
+    const sub = await waiting;
+    assert.equal(sub.subId, 'jobs');
+    assert.deepEqual(sub.filters, [{ kinds: [5050, 5100], limit: 10 }]);
+
+    // Already-open subscriptions count
+    assert.equal((await relay.waitForSubscription({ kinds: [1] })).subId, 'other');
+
+    await assert.rejects(
+      relay.waitForSubscription({ kinds: [4] }, { timeout: 50 }),
+      /waiting for a subscription matching \{"kinds":\[4\]\}\nOpen subscriptions:\n.*other/
+    );
+    client.close();
+  });
+});
+
+describe('Mock Relay (verifySignatures)', () => {
+  let relay;
+
+  before(async () => {
+    relay = createMockRelay({ verifySignatures: true });
+    await relay.start();
+  });
+
+  after(async () => {
+    await relay.stop();
+  });
+
+  it('accepts correctly signed events', async () => {
+    const event = createEvent({ kind: 1, content: 'signed', secretKey: generateKeypair().secretKey });
+    const [ok] = await exchange(relay.status().url, [['EVENT', event]], m => m[0] === 'OK');
+    assert.deepEqual(ok, ['OK', event.id, true, '']);
+    assert.equal(relay.getEvents({ ids: [event.id] }).length, 1);
+  });
+
+  it('rejects events whose id does not match', async () => {
+    const event = { ...createEvent({ kind: 1, content: 'original' }), content: 'tampered' };
+    const [ok] = await exchange(relay.status().url, [['EVENT', event]], m => m[0] === 'OK');
+    assert.deepEqual(ok, ['OK', event.id, false, 'invalid: event id does not match']);
+    assert.equal(relay.getEvents({ ids: [event.id] }).length, 0);
+  });
+
+  it('rejects events with a bad signature', async () => {
+    const event = createEvent({ kind: 1, pubkey: generateKeypair().pubkey });
+    const [ok] = await exchange(relay.status().url, [['EVENT', event]], m => m[0] === 'OK');
+    assert.deepEqual(ok, ['OK', event.id, false, 'invalid: bad signature']);
+  });
+});
+
+describe('Mock Relay (NIP-42 auth)', () => {
+  const alice = generateKeypair();
+
+  async function authenticate(client, url, keypair = alice, tamper = {}) {
+    const [, challenge] = await client.waitFor(m => m[0] === 'AUTH');
+    const event = authEvent(challenge, url, { secretKey: keypair.secretKey, ...tamper });
+    client.send(['AUTH', event]);
+    return client.waitFor(m => m[0] === 'OK' && m[1] === event.id);
+  }
+
+  it('sends no challenge by default', async () => {
+    const relay = createMockRelay();
+    const { url } = await relay.start();
+    try {
+      const replies = await exchange(url, [['REQ', 's', {}]], m => m[0] === 'EOSE');
+      assert.ok(!replies.some(m => m[0] === 'AUTH'));
+      assert.equal(relay.getConnections()[0].challenge, null);
+    } finally {
+      await relay.stop();
+    }
+  });
+
+  it('accepts a valid AUTH and tracks the pubkey per connection', async () => {
+    const relay = createMockRelay({ auth: 'optional' });
+    const { url } = await relay.start();
+    const client = connectClient(url);
+    try {
+      const ok = await authenticate(client, url);
+      assert.equal(ok[2], true);
+
+      const [conn] = relay.getConnections();
+      assert.equal(conn.pubkey, alice.pubkey);
+      assert.deepEqual(conn.pubkeys, [alice.pubkey]);
+      assert.equal(relay.getEvents({ kinds: [22242] }).length, 0);
+    } finally {
+      client.close();
+      await relay.stop();
+    }
+  });
+
+  it('rejects AUTH with a wrong challenge, relay tag or timestamp', async () => {
+    const relay = createMockRelay({ auth: 'optional' });
+    const { url } = await relay.start();
+    try {
+      const cases = [
+        [{ tags: [['challenge', 'nope']] }, /^invalid: challenge/],
+        [{ created_at: Math.floor(Date.now() / 1000) - 3600 }, /^invalid: created_at/]
+      ];
+      for (const [tamper, reason] of cases) {
+        const client = connectClient(url);
+        const [, challenge] = await client.waitFor(m => m[0] === 'AUTH');
+        // Extra tags are appended, so override the whole tag list for the challenge case
+        const event = tamper.tags
+          ? { ...authEvent(challenge, url, { secretKey: alice.secretKey }), ...tamper }
+          : authEvent(challenge, url, { secretKey: alice.secretKey, ...tamper });
+        client.send(['AUTH', event]);
+        const ok = await client.waitFor(m => m[0] === 'OK');
+        assert.equal(ok[2], false);
+        assert.match(ok[3], reason);
+        client.close();
+      }
+
+      const client = connectClient(url);
+      const [, challenge] = await client.waitFor(m => m[0] === 'AUTH');
+      client.send(['AUTH', authEvent(challenge, 'wss://elsewhere.example', { secretKey: alice.secretKey })]);
+      const ok = await client.waitFor(m => m[0] === 'OK');
+      assert.equal(ok[3], 'invalid: relay tag does not match');
+      assert.equal(relay.getConnections().every(c => c.pubkey === null), true);
+      client.close();
+    } finally {
+      await relay.stop();
+    }
+  });
+
+  it('requires auth for EVENT and REQ in required mode', async () => {
+    const relay = createMockRelay({ auth: 'required' });
+    const { url } = await relay.start();
+    const client = connectClient(url);
+    try {
+      await client.opened;
+      const event = createEvent({ kind: 1, secretKey: alice.secretKey });
+      client.send(['EVENT', event]);
+      client.send(['REQ', 'feed', { kinds: [1] }]);
+      const ok = await client.waitFor(m => m[0] === 'OK');
+      const closed = await client.waitFor(m => m[0] === 'CLOSED');
+      assert.deepEqual(ok, ['OK', event.id, false, 'auth-required: this relay requires authentication']);
+      assert.equal(closed[1], 'feed');
+      assert.match(closed[2], /^auth-required:/);
+
+      await authenticate(client, url);
+      client.send(['EVENT', event]);
+      const accepted = await client.waitFor(m => m[0] === 'OK' && m[1] === event.id && m[2] === true);
+      assert.equal(accepted[3], '');
+      assert.equal(relay.status().subscriptions, 0);
+    } finally {
+      client.close();
+      await relay.stop();
+    }
+  });
+
+  it('applies per-kind and per-filter auth rules', async () => {
+    const relay = createMockRelay({ auth: { kinds: [4], filters: [{ kinds: [5050], '#p': [alice.pubkey] }] } });
+    const { url } = await relay.start();
+    const client = connectClient(url);
+    try {
+      await client.opened;
+      const note = createEvent({ kind: 1 });
+      const dmEvent = createEvent({ kind: 4 });
+      const job = createEvent({ kind: 5050, tags: [['p', alice.pubkey]] });
+      const otherJob = createEvent({ kind: 5050, tags: [['p', generateKeypair().pubkey]] });
+      for (const e of [note, dmEvent, job, otherJob]) client.send(['EVENT', e]);
+      const results = await Promise.all([note, dmEvent, job, otherJob].map(e =>
+        client.waitFor(m => m[0] === 'OK' && m[1] === e.id)));
+      assert.deepEqual(results.map(r => r[2]), [true, false, false, true]);
+
+      client.send(['REQ', 'notes', { kinds: [1] }]);
+      client.send(['REQ', 'dms', { kinds: [4], '#p': [alice.pubkey] }]);
+      await client.waitFor(m => m[0] === 'EOSE' && m[1] === 'notes');
+      await client.waitFor(m => m[0] === 'CLOSED' && m[1] === 'dms');
+      assert.ok(!client.messages.some(m => m[0] === 'EOSE' && m[1] === 'dms'));
+    } finally {
+      client.close();
+      await relay.stop();
+    }
+  });
+});
+
+// ── Mock Wallet ─────────────────────────────────────────
+
+describe('Relay Network', () => {
+  let network;
+
+  afterEach(async () => {
+    if (network) await network.stop();
+    network = null;
+  });
+
+  it('replicates published events across a mesh', async () => {
+    network = createRelayNetwork({ relays: 3 });
+    const urls = await network.start();
+    assert.equal(new Set(urls).size, 3);
+
+    const note = textNote('everywhere');
+    const [ok] = await exchange(urls[0], [['EVENT', note]], m => m[0] === 'OK');
+    assert.equal(ok[2], true);
+    await network.settle();
+    assert.deepEqual(network.whoHas(note.id), [0, 1, 2]);
+  });
+
+  it('gossips along multi-hop links with per-link delays', async () => {
+    network = createRelayNetwork({ relays: 3, topology: [[0, 1]] });
+    network.link(1, 2, { delayMs: 40 });
+    await network.start();
+
+    const note = textNote('hop');
+    network.relay(0).inject(note);
+    assert.deepEqual(network.whoHas(note.id), [0]);
+    await network.relay(1).waitForEvent({ ids: [note.id] });
+    assert.deepEqual(network.whoHas(note.id), [0, 1]);
+    await network.relay(2).waitForEvent({ ids: [note.id] }, { timeout: 1000 });
+    assert.deepEqual(network.whoHas(note.id), [0, 1, 2]);
+  });
+
+  it('holds replication across a partition until it heals', async () => {
+    network = createRelayNetwork({ relays: 3 });
+    await network.start();
+    network.partition([0, 1], [2]);
+
+    const note = textNote('split');
+    network.relay(0).inject(note);
+    await network.settle();
+    assert.deepEqual(network.whoHas(note.id), [0, 1]);
+
+    network.heal();
+    await network.settle();
+    assert.deepEqual(network.whoHas(note.id), [0, 1, 2]);
+  });
+
+  it('delivers to an offline relay once it is back, on the same URL', async () => {
+    network = createRelayNetwork({ relays: 2 });
+    const urls = await network.start();
+    await network.offline(1);
+    assert.equal(network.isOnline(1), false);
+    await assert.rejects(connectClient(urls[1]).opened);
+
+    const note = textNote('missed');
+    network.relay(0).inject(note);
+    await network.settle();
+    assert.deepEqual(network.whoHas(note.id), [0]);
+
+    await network.online(1);
+    await network.settle();
+    const replies = await exchange(urls[1], [['REQ', 's', { ids: [note.id] }]], m => m[0] === 'EOSE');
+    assert.deepEqual(replies.map(m => m[0]), ['EVENT', 'EOSE']);
+  });
+
+  it('lags a relay and broadcasts ephemeral events to each relay once', async () => {
+    network = createRelayNetwork({ relays: 3 });
+    const urls = await network.start();
+    network.lag(2, 30);
+
+    const client = connectClient(urls[2]);
+    await client.opened;
+    client.send(['REQ', 'live', { kinds: [20001] }]);
+    await client.waitFor(m => m[0] === 'EOSE');
+
+    const sent = Date.now();
+    network.relay(0).inject(createEvent({ kind: 20001, content: 'typing' }));
+    await client.waitFor(m => m[0] === 'EVENT');
+    assert.ok(Date.now() - sent >= 25);
+    await network.settle();
+    assert.equal(client.messages.filter(m => m[0] === 'EVENT').length, 1);
+    client.close();
+  });
+
+  it('unlinks relays and rejects unknown indexes', async () => {
+    network = createRelayNetwork({ relays: 2, delayMs: 5 });
+    assert.deepEqual(network.getLinks(), [{ from: 0, to: 1, delayMs: 5 }, { from: 1, to: 0, delayMs: 5 }]);
+    network.unlink(0, 1, { oneWay: true });
+    assert.deepEqual(network.getLinks(), [{ from: 1, to: 0, delayMs: 5 }]);
+    assert.throws(() => network.lag(5, 10), /No relay 5 in a network of 2/);
+  });
+});
+
+describe('Test Client', () => {
+  const alice = namedKeypair('alice');
+  let relay;
+  let url;
+  let clients;
+
+  async function setup(relayOpts) {
+    relay = createMockRelay(relayOpts);
+    ({ url } = await relay.start());
+  }
+
+  function connect(opts) {
+    const client = createTestClient(url, opts);
+    clients.push(client);
+    return client;
+  }
+
+  beforeEach(() => { clients = []; });
+
+  afterEach(async () => {
+    await Promise.all(clients.map(c => c.close()));
+    await relay.stop();
+  });
+
+  it('publishes and resolves with the OK reason', async () => {
+    await setup({ policy: denyKinds([7]) });
+    const client = connect();
+    const note = textNote('hi', { secretKey: alice.secretKey });
+
+    assert.deepEqual(await client.publish(note), { id: note.id, ok: true, reason: '' });
+    assert.deepEqual(await client.publish(note), { id: note.id, ok: true, reason: 'duplicate: already have this event' });
+    const rejected = await client.publish(reaction(note.id, alice.pubkey, '+', { secretKey: alice.secretKey }));
+    assert.equal(rejected.ok, false);
+    assert.equal(rejected.reason, 'restricted: kind 7 is not accepted');
+    assert.equal(relay.getEvents().length, 1);
+  });
+
+  it('subscribes with untilEose() and iterates live events', async () => {
+    await setup();
+    relay.inject(textNote('stored', { secretKey: alice.secretKey }));
+    const client = connect();
+    const sub = client.subscribe({ kinds: [1] });
+
+    const stored = await sub.untilEose();
+    assert.deepEqual(stored.map(e => e.content), ['stored']);
+
+    const unsubscribed = new Promise(resolve => relay.once('close', resolve));
+    const live = (async () => {
+      const seen = [];
+      for await (const event of sub) {
+        seen.push(event.content);
+        if (seen.length === 3) break;
+      }
+      return seen;
+    })();
+    await client.publish(textNote('one', { secretKey: alice.secretKey }));
+    relay.inject(textNote('two', { secretKey: alice.secretKey }));
+
+    assert.deepEqual(await live, ['stored', 'one', 'two']);
+    assert.equal(sub.closed, true);
+    assert.equal(await unsubscribed, sub.id);
+    assert.equal(relay.status().subscriptions, 0);
+  });
+
+  it('collects until EOSE or for a time window, and counts', async () => {
+    await setup();
+    for (const content of ['a', 'b']) relay.inject(textNote(content, { secretKey: alice.secretKey }));
+    const client = connect();
+
+    assert.equal((await client.collect({ kinds: [1] })).length, 2);
+    const windowed = client.collect([{ kinds: [1] }], 100);
+    relay.inject(textNote('c', { secretKey: alice.secretKey }));
+    assert.equal((await windowed).length, 3);
+    assert.equal(await client.count({ kinds: [1] }), 3);
+    assert.equal(await client.count({ kinds: [7] }), 0);
+  });
+
+  it('clears the collect window when the relay ends it early', async () => {
+    await setup({ policy: { req: () => 'restricted: no reads' } });
+    const clock = createClock(0);
+    const client = connect({ clock });
+    await assert.rejects(client.collect({ kinds: [1] }, 60000), /restricted: no reads/);
+    assert.equal(clock.pendingTimers(), 0);
+  });
+
+  it('reports subscriptions the relay closes', async () => {
+    await setup({ auth: 'required' });
+    const client = connect();
+    const sub = client.subscribe({ kinds: [1] });
+    await assert.rejects(sub.untilEose(), /Relay closed subscription sub1: auth-required:/);
+    assert.match(sub.reason, /^auth-required:/);
+    await assert.rejects(async () => { for await (const e of sub) assert.fail(e); }, /auth-required/);
+    await assert.rejects(client.count({ kinds: [1] }), /Relay closed COUNT/);
+  });
+
+  it('authenticates automatically when the relay asks', async () => {
+    await setup({ auth: 'required' });
+    const client = connect({ keypair: alice });
+    const note = textNote('hi', { secretKey: alice.secretKey });
+
+    assert.equal((await client.publish(note)).ok, true);
+    assert.deepEqual(client.authenticatedAs, [alice.pubkey]);
+    assert.deepEqual((await client.collect({ kinds: [1] })).map(e => e.id), [note.id]);
+    assert.equal(await client.count({ kinds: [1] }), 1);
+    assert.equal(relay.getConnections()[0].pubkey, alice.pubkey);
+  });
+
+  it('can leave auth to the test', async () => {
+    await setup({ auth: 'required' });
+    const client = connect({ keypair: alice, autoAuth: false });
+    const note = textNote('hi', { secretKey: alice.secretKey });
+
+    assert.match((await client.publish(note)).reason, /^auth-required:/);
+    assert.equal((await client.auth()).ok, true);
+    assert.equal((await client.publish(note)).ok, true);
+    await assert.rejects(connect().auth(), /AUTH needs a keypair/);
+  });
+
+  it('times out waiting for replies on a virtual clock', async () => {
+    await setup({ faults: { withholdEose: true } });
+    const clock = createClock();
+    const client = connect({ clock, timeout: 1000 });
+    const pending = client.subscribe({ kinds: [1] }).untilEose();
+    await relay.waitForSubscription({ kinds: [1] });
+    clock.advance(1000);
+    await assert.rejects(pending, /Timed out after 1000ms waiting for EOSE on sub1/);
+  });
+
+  it('closes cleanly', async () => {
+    await setup();
+    const client = connect();
+    const sub = client.subscribe({ kinds: [1] });
+    await sub.untilEose();
+    await client.close();
+    assert.equal(sub.closed, true);
+    assert.equal(sub.reason, null);
+    assert.equal(client.ws.readyState, client.ws.CLOSED);
+  });
+});
+
+describe('Mock Wallet', () => {
+  it('starts with configured balance', async () => {
+    const wallet = createMockWallet({ initialBalance: 50000000 });
+    const { balance } = await wallet.getBalance();
+    assert.equal(balance, 50000); // 50k sats
+  });
+
+  it('creates invoices', async () => {
+    const wallet = createMockWallet();
+    const inv = await wallet.createInvoice(21000, 'test payment');
+    assert.ok(inv.invoice);
+    assert.ok(inv.paymentHash);
+    assert.ok(inv.preimage);
+    assert.equal(inv.amountSats, 21);
+    assert.equal(inv.settled, false);
+  });
+
+  it('pays invoices and deducts balance', async () => {
+    const wallet = createMockWallet({ initialBalance: 100000000 });
+    const payee = createMockWallet();
+    const { bolt11 } = await payee.createInvoice(1000000);
+    const result = await wallet.payInvoice(bolt11);
+    assert.equal(result.preimage, payee.getInvoices()[0].preimage);
+    assert.equal(crypto.createHash('sha256').update(Buffer.from(result.preimage, 'hex')).digest('hex'), result.paymentHash);
+    assert.equal(result.amountSats, 1000);
+    assert.equal(result.destination, payee.nodePubkey);
+
+    const { balance } = await wallet.getBalance();
+    assert.equal(balance, 99000); // 100k - 1k
+  });
+
+  it('pays Lightning addresses', async () => {
+    const wallet = createMockWallet({ initialBalance: 100000000 });
+    const result = await wallet.payAddress('test@getalby.com', 500000, 'tip');
+    assert.ok(result.preimage);
+    assert.equal(result.amountSats, 500);
+    assert.equal(result.address, 'test@getalby.com');
+  });
+
+  it('rejects payments with insufficient balance', async () => {
+    const wallet = createMockWallet({ initialBalance: 1000 }); // 1 sat
+    const { bolt11 } = await createMockWallet().createInvoice(1000000);
+    await assert.rejects(
+      () => wallet.payInvoice(bolt11),
+      /Insufficient balance/
+    );
+  });
+
+  it('simulates payment failures when configured', async () => {
+    const wallet = createMockWallet({ failPayments: true });
+    await assert.rejects(
+      () => wallet.payInvoice('lnbcrt100n1mock' + 'a'.repeat(32)),
+      /Payment failed/
+    );
+  });
+
+  it('settles invoices and credits balance', async () => {
+    const wallet = createMockWallet({ initialBalance: 0 });
+    const inv = await wallet.createInvoice(21000, 'receive');
+    assert.equal(inv.settled, false);
+
+    wallet.settle(inv.paymentHash);
+
+    const { balance } = await wallet.getBalance();
+    assert.equal(balance, 21); // received 21 sats
+  });
+
+  it('resolves waitForPayment on settle', async () => {
+    const wallet = createMockWallet();
+    const inv = await wallet.createInvoice(5000, 'wait test');
+
+    // Settle after a short delay
+    setTimeout(() => wallet.settle(inv.paymentHash), 50);
+
+    const result = await wallet.waitForPayment(inv.paymentHash, 5000);
+    assert.equal(result.settled, true);
+    assert.ok(result.preimage);
+  });
+
+  it('times out waitForPayment', async () => {
+    const wallet = createMockWallet();
+    const inv = await wallet.createInvoice(1000, 'timeout test');
+
+    await assert.rejects(
+      () => wallet.waitForPayment(inv.paymentHash, 100),
+      /Payment timeout/
+    );
+  });
+
+  it('decodes its own invoices', async () => {
+    const wallet = createMockWallet();
+    const inv = await wallet.createInvoice(42000, 'decode test');
+    const decoded = await wallet.decodeInvoice(inv.bolt11);
+    assert.equal(decoded.amountSats, 42);
+    assert.equal(decoded.amountMsats, 42000);
+    assert.equal(decoded.network, 'regtest');
+    assert.equal(decoded.paymentHash, inv.paymentHash);
+    assert.equal(decoded.description, 'decode test');
+    assert.equal(decoded.payee, wallet.nodePubkey);
+    assert.match(inv.bolt11, /^lnbcrt420n1/);
+  });
+
+  it('tracks operation history', async () => {
+    const wallet = createMockWallet();
+    await wallet.getBalance();
+    await wallet.createInvoice(1000, 'test');
+    const history = wallet.getHistory();
+    assert.equal(history.length, 2);
+    assert.equal(history[0].type, 'getBalance');
+    assert.equal(history[1].type, 'createInvoice');
+  });
+
+  it('resets to initial state', async () => {
+    const wallet = createMockWallet({ initialBalance: 50000000 });
+    const { bolt11 } = await createMockWallet().createInvoice(100000);
+    await wallet.payInvoice(bolt11);
+    wallet.reset();
+    const { balance } = await wallet.getBalance();
+    assert.equal(balance, 50000);
+    assert.equal(wallet.getHistory().length, 1); // just the getBalance
+  });
+
+  it('sets balance directly', async () => {
+    const wallet = createMockWallet();
+    wallet.setBalance(999);
+    const { balance } = await wallet.getBalance();
+    assert.equal(balance, 999);
+  });
+});
+
+describe('Mock Wallet (invoice states, hold invoices)', () => {
+  const hashOf = (preimage) => crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+
+  it('moves invoices from open to settled', async () => {
+    const wallet = createMockWallet();
+    const inv = await wallet.createInvoice(1000);
+    assert.equal(inv.state, 'open');
+    wallet.settle(inv.paymentHash);
+    assert.equal(inv.state, 'settled');
+    assert.equal(inv.settled, true);
+  });
+
+  it('expires open invoices on the wallet clock', async () => {
+    const clock = createClock(1700000000000);
+    const wallet = createMockWallet({ clock, initialBalance: 0 });
+    const inv = await wallet.createInvoice(1000, 'short', { expiry: 60 });
+    assert.equal(inv.expiresAt, 1700000060000);
+    assert.equal(decodeBolt11(inv.bolt11).expiry, 60);
+
+    clock.advance(60000);
+    assert.equal(wallet.getInvoices()[0].state, 'expired');
+    assert.throws(() => wallet.settle(inv.paymentHash), /Invoice is expired/);
+    await assert.rejects(() => wallet.waitForPayment(inv.paymentHash), /Invoice expired/);
+    assert.equal(wallet.peekBalance(), 0);
+    assert.equal(wallet.getHistory('expire').length, 1);
+  });
+
+  it('rejects waitForPayment when the invoice expires first', async () => {
+    const clock = createClock(1700000000000);
+    const wallet = createMockWallet({ clock });
+    const inv = await wallet.createInvoice(1000, '', { expiry: 30 });
+    const waiting = wallet.waitForPayment(inv.paymentHash, 60000);
+    clock.advance(30000);
+    await assert.rejects(waiting, new RegExp(`Invoice expired: ${inv.paymentHash}`));
+  });
+
+  it('refuses to pay expired invoices', async () => {
+    const clock = createClock(1700000000000);
+    const payee = createMockWallet({ clock });
+    const { bolt11 } = await payee.createInvoice(1000, '', { expiry: 10 });
+    const payer = createMockWallet({ clock });
+    clock.advance(10000);
+    await assert.rejects(() => payer.payInvoice(bolt11), /Invoice expired/);
+    assert.equal(payer.getPayments().length, 0);
+    assert.equal(payer.getHistory('payInvoice')[0].error.startsWith('Invoice expired'), true);
+  });
+
+  it('cancels invoices and rejects their waiters', async () => {
+    const wallet = createMockWallet({ initialBalance: 0 });
+    const inv = await wallet.createInvoice(1000);
+    const waiting = wallet.waitForPayment(inv.paymentHash, 5000);
+    wallet.cancelInvoice(inv.paymentHash);
+    await assert.rejects(waiting, /Invoice canceled/);
+    assert.equal(inv.state, 'canceled');
+    assert.throws(() => wallet.settle(inv.paymentHash), /Invoice is canceled/);
+    await assert.rejects(() => wallet.payInvoice(inv.bolt11), /Invoice is canceled/);
+    assert.equal(wallet.peekBalance(), 0);
+
+    const paid = await wallet.createInvoice(1000);
+    wallet.settle(paid.paymentHash);
+    assert.throws(() => wallet.cancelInvoice(paid.paymentHash), /already settled/);
+  });
+
+  it('holds payments to hold invoices until settleHold', async () => {
+    const wallet = createMockWallet({ initialBalance: 0 });
+    const preimage = 'ab'.repeat(32);
+    const inv = await wallet.createHoldInvoice(hashOf(preimage), 21000, 'escrow');
+    assert.equal(inv.hold, true);
+    assert.equal(inv.preimage, null);
+    assert.equal(decodeBolt11(inv.bolt11).paymentHash, hashOf(preimage));
+    assert.throws(() => wallet.settleHold(preimage), /Hold invoice is open, not accepted/);
+
+    const waiting = wallet.waitForPayment(inv.paymentHash, 5000);
+    wallet.settle(inv.paymentHash); // the payment arrives
+    assert.deepEqual(await waiting, { preimage: null, settled: false, state: 'accepted' });
+    assert.equal(wallet.peekBalance(), 0);
+
+    wallet.settleHold(preimage);
+    assert.equal(inv.state, 'settled');
+    assert.equal(inv.preimage, preimage);
+    assert.equal(wallet.peekBalance(), 21);
+    assert.deepEqual(await wallet.waitForPayment(inv.paymentHash), { preimage, settled: true, state: 'settled' });
+  });
+
+  it('cancels accepted hold invoices without crediting them', async () => {
+    const clock = createClock(1700000000000);
+    const wallet = createMockWallet({ clock, initialBalance: 0 });
+    const preimage = 'cd'.repeat(32);
+    const inv = await wallet.createHoldInvoice(hashOf(preimage), 5000, '', { expiry: 60 });
+    wallet.settle(inv.paymentHash);
+    clock.advance(120000);
+    assert.equal(wallet.getInvoices()[0].state, 'accepted'); // held payments do not expire
+    wallet.cancelInvoice(inv.paymentHash);
+    assert.throws(() => wallet.settleHold(preimage), /Hold invoice is canceled/);
+    assert.equal(wallet.peekBalance(), 0);
+    assert.deepEqual(wallet.getHistory().map(h => h.type), ['createHoldInvoice', 'accept', 'cancel']);
+  });
+
+  it('validates hold invoice hashes', async () => {
+    const wallet = createMockWallet();
+    await assert.rejects(() => wallet.createHoldInvoice('nope', 1000), /32-byte hex payment hash/);
+    const inv = await wallet.createInvoice(1000);
+    await assert.rejects(() => wallet.createHoldInvoice(inv.paymentHash, 1000), /Invoice already exists/);
+    assert.throws(() => wallet.settleHold(inv.preimage), /Not a hold invoice/);
+  });
+
+  it('keeps a payment to the wallet\'s own hold invoice pending until settleHold', async () => {
+    const wallet = createMockWallet({ initialBalance: 100000 });
+    const preimage = 'ef'.repeat(32);
+    const inv = await wallet.createHoldInvoice(hashOf(preimage), 21000);
+    let payment = null;
+    const paying = wallet.payInvoice(inv.bolt11).then(p => { payment = p; });
+    await new Promise(r => setImmediate(r));
+    assert.equal(payment, null);
+    assert.equal(inv.state, 'accepted');
+    assert.equal(wallet.peekBalance(), 79);
+
+    wallet.settleHold(preimage);
+    await paying;
+    assert.equal(payment.preimage, preimage);
+    assert.equal(hashOf(payment.preimage), payment.paymentHash);
+    assert.equal(wallet.peekBalance(), 100);
+  });
+
+  it('pays another wallet\'s hold invoice outside a network only once its preimage is revealed', async () => {
+    const payee = createMockWallet();
+    const payer = createMockWallet({ initialBalance: 100000 });
+    const preimage = '12'.repeat(32);
+    const inv = await payee.createHoldInvoice(hashOf(preimage), 1000);
+    await assert.rejects(() => payer.payInvoice(inv.bolt11), (err) => err.code === 'INCORRECT_PAYMENT_DETAILS' && /Unknown preimage/.test(err.message));
+    assert.equal(payer.peekBalance(), 100);
+
+    payee.settle(inv.paymentHash);
+    payee.settleHold(preimage);
+    const other = await createMockWallet().createInvoice(1000);
+    assert.equal(hashOf((await payer.payInvoice(other.bolt11)).preimage), other.paymentHash);
+  });
+});
+
+describe('Mock Lightning Network', () => {
+  const hashOf = (preimage) => crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+
+  it('routes payments to the wallet that issued the invoice', async () => {
+    const ln = createMockLightningNetwork();
+    const alice = ln.createWallet({ initialBalance: 100000 });
+    const bob = ln.createWallet({ initialBalance: 0 });
+    const inv = await bob.createInvoice(21000, 'job');
+
+    const payment = await alice.payInvoice(inv.bolt11);
+    assert.equal(payment.preimage, inv.preimage);
+    assert.equal(hashOf(payment.preimage), inv.paymentHash);
+    assert.equal(payment.destination, bob.nodePubkey);
+    assert.equal(inv.state, 'settled');
+    assert.equal(inv.amountReceived, 21000);
+    assert.equal(alice.peekBalance(), 79);
+    assert.equal(bob.peekBalance(), 21);
+    assert.deepEqual(await bob.waitForPayment(inv.paymentHash), { preimage: inv.preimage, settled: true, state: 'settled' });
+    assert.deepEqual(ln.getPayments().map(p => [p.from, p.to, p.status]), [[alice.nodePubkey, bob.nodePubkey, 'succeeded']]);
+  });
+
+  it('joins existing wallets and credits any-amount invoices with what was paid', async () => {
+    const alice = createMockWallet({ initialBalance: 100000 });
+    const bob = createMockWallet({ initialBalance: 0 });
+    const ln = createMockLightningNetwork({ wallets: [alice, bob] });
+    assert.equal(alice.lightning, ln);
+    assert.deepEqual(ln.wallets, [alice, bob]);
+
+    const inv = await bob.createInvoice(null, 'tip jar');
+    await alice.payInvoice(inv.bolt11, { amountMsats: 5000 });
+    assert.equal(bob.peekBalance(), 5);
+  });
+
+  it('fails with no route for payees outside the network and refunds the payer', async () => {
+    const ln = createMockLightningNetwork();
+    const alice = ln.createWallet({ initialBalance: 100000 });
+    const stranger = createMockWallet();
+    const { bolt11 } = await stranger.createInvoice(1000);
+
+    await assert.rejects(() => alice.payInvoice(bolt11), new RegExp(`No route to ${stranger.nodePubkey}`));
+    assert.equal(alice.peekBalance(), 100);
+    assert.equal(alice.getPayments().length, 0);
+    assert.match(alice.getHistory('payInvoice')[0].error, /No route/);
+    assert.equal(ln.getPayments('failed').length, 1);
+
+    const bob = ln.createWallet();
+    const inv = await bob.createInvoice(1000);
+    ln.leave(bob);
+    assert.equal(bob.lightning, null);
+    await assert.rejects(() => alice.payInvoice(inv.bolt11), /No route/);
+  });
+
+  it('rejects payments the payee cannot accept', async () => {
+    const ln = createMockLightningNetwork();
+    const alice = ln.createWallet({ initialBalance: 100000 });
+    const bob = ln.createWallet();
+    const inv = await bob.createInvoice(1000);
+    await alice.payInvoice(inv.bolt11);
+    await assert.rejects(() => alice.payInvoice(inv.bolt11), /Invoice is settled/);
+
+    const canceled = await bob.createInvoice(1000);
+    bob.cancelInvoice(canceled.paymentHash);
+    await assert.rejects(() => alice.payInvoice(canceled.bolt11), /Invoice is canceled/);
+    assert.equal(alice.peekBalance(), 99);
+  });
+
+  it('keeps payments to hold invoices in flight until the payee decides', async () => {
+    const ln = createMockLightningNetwork();
+    const alice = ln.createWallet({ initialBalance: 100000 });
+    const bob = ln.createWallet({ initialBalance: 0 });
+    const preimage = 'ef'.repeat(32);
+    const escrow = await bob.createHoldInvoice(hashOf(preimage), 10000, 'escrow');
+
+    let paid = null;
+    const paying = alice.payInvoice(escrow.bolt11).then(p => { paid = p; });
+    assert.equal((await bob.waitForPayment(escrow.paymentHash)).state, 'accepted');
+    assert.equal(paid, null);
+    assert.equal(alice.peekBalance(), 90); // locked in the payment
+    assert.equal(bob.peekBalance(), 0);
+
+    bob.settleHold(preimage);
+    await paying;
+    assert.equal(paid.preimage, preimage);
+    assert.equal(bob.peekBalance(), 10);
+
+    const refund = await bob.createHoldInvoice(hashOf('01'.repeat(32)), 10000);
+    const failing = alice.payInvoice(refund.bolt11);
+    await bob.waitForPayment(refund.paymentHash);
+    bob.cancelInvoice(refund.paymentHash);
+    await assert.rejects(failing, /Invoice canceled/);
+    assert.equal(alice.peekBalance(), 90); // refunded
+  });
+
+  it('pays Lightning addresses of network members', async () => {
+    const ln = createMockLightningNetwork();
+    const alice = ln.createWallet({ initialBalance: 100000 });
+    const bob = ln.createWallet({ initialBalance: 0, address: 'bob@mock.test' });
+    assert.equal(ln.findWallet('bob@mock.test'), bob);
+
+    const payment = await alice.payAddress('bob@mock.test', 3000, 'thanks');
+    assert.equal(payment.destination, bob.nodePubkey);
+    assert.equal(bob.getInvoices()[0].description, 'thanks');
+    assert.equal(bob.getInvoices()[0].preimage, payment.preimage);
+    assert.equal(bob.peekBalance(), 3);
+
+    // Unknown addresses still behave as before
+    assert.ok((await alice.payAddress('someone@elsewhere.test', 1000)).preimage);
+  });
+
+  it('gives scenario agents wallets on one network', async () => {
+    const scenario = await marketplaceScenario({ lightning: true, balance: 1000000 });
+    try {
+      const { alice, bob } = scenario.agents;
+      assert.equal(scenario.wallet, alice.wallet);
+      const address = scenario.bid.tags.find(t => t[0] === 'ln')[1];
+      await alice.wallet.payAddress(address, 400000);
+      assert.equal(bob.wallet.peekBalance(), 1400);
+      assert.equal(scenario.lightning.getPayments('succeeded').length, 1);
+    } finally {
+      await scenario.cleanup();
+    }
+  });
+});
+
+describe('Mock Lightning Network (fees, liquidity, failures)', () => {
+  const hashOf = (preimage) => crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+  const codeOf = (promise) => promise.then(() => null, err => err.code);
+
+  it('charges base and proportional routing fees on top of the amount', async () => {
+    const ln = createMockLightningNetwork({ fees: { baseMsats: 1000, ppm: 5000 } });
+    const alice = ln.createWallet({ initialBalance: 1000000 });
+    const bob = ln.createWallet({ initialBalance: 0 });
+    const { bolt11 } = await bob.createInvoice(200000);
+
+    const payment = await alice.payInvoice(bolt11);
+    assert.equal(payment.feeMsats, 2000); // 1000 + 200000 * 0.5%
+    assert.equal(payment.feeSats, 2);
+    assert.equal(alice.peekBalance(), 798);
+    assert.equal(bob.peekBalance(), 200);
+    assert.equal(alice.getHistory('payInvoice')[0].feeMsats, 2000);
+    assert.equal(ln.quote(bob.nodePubkey, 200000), 2000);
+  });
+
+  it('uses per-destination fees, and wallet fees off-network', async () => {
+    const ln = createMockLightningNetwork();
+    const alice = ln.createWallet({ initialBalance: 1000000 });
+    const bob = ln.createWallet({ address: 'bob@mock.test' });
+    ln.setFees('bob@mock.test', { baseMsats: 3000 });
+    assert.equal((await alice.payAddress('bob@mock.test', 10000)).feeMsats, 3000);
+    ln.setFees(bob.nodePubkey, null);
+    assert.equal((await alice.payAddress('bob@mock.test', 10000)).feeMsats, 0);
+
+    const island = createMockWallet({ fees: { ppm: 10000 } });
+    assert.equal((await island.payAddress('tip@example.com', 100000)).feeMsats, 1000);
+  });
+
+  it('fails with NO_ROUTE when the fee is above maxFeeSats', async () => {
+    const ln = createMockLightningNetwork({ fees: { baseMsats: 5000 } });
+    const alice = ln.createWallet({ initialBalance: 1000000, maxFeeSats: 10 });
+    const bob = ln.createWallet();
+    const { bolt11 } = await bob.createInvoice(1000);
+
+    const err = await alice.payInvoice(bolt11, { maxFeeSats: 4 }).catch(e => e);
+    assert.equal(err.code, 'NO_ROUTE');
+    assert.match(err.message, /maxFeeSats 4: the fee is 5000 msats/);
+    assert.equal(alice.peekBalance(), 1000);
+    assert.equal(alice.getHistory('payInvoice')[0].code, 'NO_ROUTE');
+    assert.equal((await alice.payInvoice(bolt11)).feeSats, 5); // within the wallet's 10
+  });
+
+  it('fails with TEMPORARY_CHANNEL_FAILURE beyond a destination\'s liquidity', async () => {
+    const ln = createMockLightningNetwork();
+    const alice = ln.createWallet({ initialBalance: 1000000 });
+    const bob = ln.createWallet();
+    alice.setLiquidity(bob.nodePubkey, 15000);
+
+    await alice.payInvoice((await bob.createInvoice(10000)).bolt11);
+    assert.equal(alice.getLiquidity(bob.nodePubkey), 5000);
+    const { bolt11 } = await bob.createInvoice(10000);
+    assert.equal(await codeOf(alice.payInvoice(bolt11)), 'TEMPORARY_CHANNEL_FAILURE');
+    assert.equal(alice.peekBalance(), 990);
+
+    alice.setLiquidity(bob.nodePubkey, null);
+    await alice.payInvoice(bolt11);
+    assert.equal(alice.getLiquidity(bob.nodePubkey), null);
+  });
+
+  it('types every failure reason', async () => {
+    const ln = createMockLightningNetwork();
+    const alice = ln.createWallet({ initialBalance: 5000 });
+    const bob = ln.createWallet();
+    const stranger = createMockWallet();
+
+    assert.equal(await codeOf(alice.payInvoice((await stranger.createInvoice(1000)).bolt11)), 'NO_ROUTE');
+    assert.equal(await codeOf(alice.payInvoice((await bob.createInvoice(9000)).bolt11)), 'INSUFFICIENT_BALANCE');
+
+    const canceled = await bob.createInvoice(1000);
+    bob.cancelInvoice(canceled.paymentHash);
+    assert.equal(await codeOf(alice.payInvoice(canceled.bolt11)), 'INCORRECT_PAYMENT_DETAILS');
+
+    const unknown = { ...(await bob.createInvoice(1000)) };
+    bob.reset(); // bob no longer knows the payment hash
+    assert.equal(await codeOf(alice.payInvoice(unknown.bolt11)), 'INCORRECT_PAYMENT_DETAILS');
+
+    assert.deepEqual(Object.keys(PAYMENT_FAILURES), [
+      'NO_ROUTE', 'INSUFFICIENT_BALANCE', 'TEMPORARY_CHANNEL_FAILURE', 'INCORRECT_PAYMENT_DETAILS', 'TIMEOUT', 'INVALID_INVOICE', 'FAILED'
+    ]);
+    assert.deepEqual(ln.getPayments('failed').map(p => p.code), ['NO_ROUTE', 'INCORRECT_PAYMENT_DETAILS', 'INCORRECT_PAYMENT_DETAILS']);
+  });
+
+  it('codes invalid invoices and failPayments', async () => {
+    const wallet = createMockWallet();
+    const { bolt11 } = await createMockWallet().createInvoice(0);
+    assert.equal(await codeOf(wallet.payInvoice('lnbcrt1notaninvoice')), 'INVALID_INVOICE');
+    assert.equal(await codeOf(wallet.payInvoice(bolt11)), 'INVALID_INVOICE');
+    assert.deepEqual(wallet.getHistory('payInvoice').map(h => h.code), ['INVALID_INVOICE', 'INVALID_INVOICE']);
+
+    const failing = createMockWallet({ failPayments: true });
+    assert.equal(await codeOf(failing.payInvoice(bolt11, { amountMsats: 1000 })), 'FAILED');
+    assert.equal(await codeOf(failing.payAddress('tip@example.com', 1000)), 'FAILED');
+    assert.deepEqual(failing.getHistory().map(h => [h.type, h.code]), [['payInvoice', 'FAILED'], ['payAddress', 'FAILED']]);
+  });
+
+  it('times out held payments, refunding the payer and canceling the invoice', async () => {
+    const clock = createClock(1700000000000);
+    const ln = createMockLightningNetwork();
+    const alice = ln.createWallet({ clock, initialBalance: 100000, paymentTimeoutMs: 30000 });
+    const bob = ln.createWallet({ clock });
+    const escrow = await bob.createHoldInvoice(hashOf('aa'.repeat(32)), 10000);
+
+    const paying = codeOf(alice.payInvoice(escrow.bolt11));
+    await bob.waitForPayment(escrow.paymentHash);
+    assert.equal(alice.peekBalance(), 90);
+    clock.advance(30000);
+    assert.equal(await paying, 'TIMEOUT');
+    assert.equal(alice.peekBalance(), 100);
+    assert.equal(escrow.state, 'canceled');
+    assert.equal(ln.getPayments()[0].code, 'TIMEOUT');
+  });
+
+  it('tags waitForPayment timeouts too', async () => {
+    const clock = createClock(1700000000000);
+    const wallet = createMockWallet({ clock });
+    const inv = await wallet.createInvoice(1000);
+    const waiting = codeOf(wallet.waitForPayment(inv.paymentHash, 1000));
+    clock.advance(1000);
+    assert.equal(await waiting, 'TIMEOUT');
+  });
+});
+
+describe('Mock Wallet (failure scripting)', () => {
+  const codeOf = (promise) => promise.then(() => null, err => err.code || err.message);
+
+  async function pair() {
+    const ln = createMockLightningNetwork();
+    const payer = ln.createWallet({ initialBalance: 1000000 });
+    const payee = ln.createWallet({ initialBalance: 0, address: 'payee@mock.test' });
+    return { payer, payee };
+  }
+
+  it('fails the next n payments, then lets the retry through', async () => {
+    const { payer, payee } = await pair();
+    const { bolt11 } = await payee.createInvoice(1000);
+    payer.failNext(2, 'TEMPORARY_CHANNEL_FAILURE');
+
+    assert.equal(await codeOf(payer.payInvoice(bolt11)), 'TEMPORARY_CHANNEL_FAILURE');
+    assert.equal(await codeOf(payer.payAddress('payee@mock.test', 1000)), 'TEMPORARY_CHANNEL_FAILURE');
+    assert.ok((await payer.payInvoice(bolt11)).preimage);
+    assert.equal(payee.peekBalance(), 1);
+    assert.equal(payer.peekBalance(), 999);
+
+    const injected = payer.getHistory().filter(h => h.injected);
+    assert.deepEqual(injected.map(h => [h.type, h.code]), [['payInvoice', 'TEMPORARY_CHANNEL_FAILURE'], ['payAddress', 'TEMPORARY_CHANNEL_FAILURE']]);
+    assert.equal(injected[0].bolt11, bolt11);
+  });
+
+  it('fails payments matching a predicate', async () => {
+    const { payer, payee } = await pair();
+    payer.failWhen(({ amountSats }) => amountSats > 10, 'NO_ROUTE');
+
+    assert.ok(await payer.payInvoice((await payee.createInvoice(10000)).bolt11));
+    const err = await payer.payInvoice((await payee.createInvoice(11000)).bolt11).catch(e => e);
+    assert.equal(err.code, 'NO_ROUTE');
+    assert.match(err.message, /payInvoice failed: NO_ROUTE \(injected\)/);
+    assert.equal(await codeOf(payer.payAddress('payee@mock.test', 11000)), 'NO_ROUTE');
+
+    payer.clearFailures();
+    assert.ok(await payer.payAddress('payee@mock.test', 11000));
+  });
+
+  it('passes the attempt number and call details to predicates', async () => {
+    const { payer, payee } = await pair();
+    const seen = [];
+    payer.failWhen((call) => { seen.push(call); return call.attempt === 1; }, 'Route flapped');
+    const { bolt11, paymentHash } = await payee.createInvoice(2000);
+
+    await assert.rejects(() => payer.payInvoice(bolt11), /^Error: Route flapped$/);
+    await payer.payInvoice(bolt11);
+    assert.deepEqual(seen.map(c => [c.method, c.attempt, c.amountMsats, c.paymentHash, c.destination]), [
+      ['payInvoice', 1, 2000, paymentHash, payee.nodePubkey],
+      ['payInvoice', 2, 2000, paymentHash, payee.nodePubkey]
+    ]);
+  });
+
+  it('runs a queued script of outcomes', async () => {
+    const { payer, payee } = await pair();
+    const { bolt11 } = await payee.createInvoice(1000);
+    payer.script(['TIMEOUT', new Error('socket hang up'), 'ok']).failNext(5);
+
+    assert.equal(await codeOf(payer.payInvoice(bolt11)), 'TIMEOUT');
+    assert.equal(await codeOf(payer.payInvoice(bolt11)), 'socket hang up');
+    assert.ok(await payer.payInvoice(bolt11)); // scripted 'ok' skips failNext
+    await assert.rejects(() => payer.payAddress('payee@mock.test', 1000), /TEMPORARY_CHANNEL_FAILURE/);
+  });
+
+  it('applies to createInvoice, getBalance and waitForPayment when asked', async () => {
+    const wallet = createMockWallet();
+    wallet.failNext(1, 'Node offline', { method: ['createInvoice', 'getBalance'] });
+    wallet.script(['TIMEOUT'], { method: 'waitForPayment' });
+
+    await assert.rejects(() => wallet.getBalance(), /Node offline/);
+    assert.ok(await wallet.getBalance());
+    const inv = await wallet.createInvoice(1000);
+    assert.equal(await codeOf(wallet.waitForPayment(inv.paymentHash, 5000)), 'TIMEOUT');
+
+    wallet.failWhen(() => true, undefined, { method: 'createInvoice' });
+    await assert.rejects(() => wallet.createInvoice(1000), /createInvoice failed \(injected\)/);
+    assert.deepEqual(wallet.getHistory().filter(h => h.injected).map(h => h.type), ['getBalance', 'waitForPayment', 'createInvoice']);
+    assert.throws(() => wallet.failNext(1, 'x', { method: 'settle' }), /Can't script settle/);
+  });
+
+  it('overrides latency per method and per scripted call', async () => {
+    const wallet = createMockWallet({ latencyMs: 0 });
+    wallet.setLatency('getBalance', 40);
+    let started = Date.now();
+    await wallet.getBalance();
+    assert.ok(Date.now() - started >= 35);
+
+    wallet.setLatency('getBalance', null).script([{ latencyMs: 40 }], { method: 'getBalance' });
+    started = Date.now();
+    await wallet.getBalance();
+    assert.ok(Date.now() - started >= 35);
+  });
+
+  it('keeps scripted outcomes for valid calls', async () => {
+    const { payer, payee } = await pair();
+    const { bolt11 } = await payee.createInvoice(1000);
+    payer.script(['NO_ROUTE']);
+
+    assert.equal(await codeOf(payer.payInvoice('lnbcrt1notaninvoice')), 'INVALID_INVOICE');
+    assert.equal(await codeOf(payer.payInvoice((await payee.createInvoice(0)).bolt11)), 'INVALID_INVOICE');
+    assert.equal(await codeOf(payer.payInvoice(bolt11)), 'NO_ROUTE');
+    assert.ok(await payer.payInvoice(bolt11));
   });
 
-  it('broadcasts new events to subscribers', async () => {
-    relay.clear();
-    const url = relay.status().url;
-    const ws = new WebSocket(url);
+  it('waits out latency on a virtual clock', async () => {
+    const clock = createClock(1700000000000);
+    const wallet = createMockWallet({ clock });
+    wallet.setLatency('getBalance', 60000).script([{ latencyMs: 30000 }], { method: 'getBalance' });
+
+    let done = false;
+    const first = wallet.getBalance().then(() => { done = true; });
+    await new Promise(r => setImmediate(r));
+    clock.advance(29999);
+    await new Promise(r => setImmediate(r));
+    assert.equal(done, false);
+    clock.advance(1);
+    await first;
+
+    const second = wallet.getBalance();
+    await new Promise(r => setImmediate(r));
+    clock.advance(60000);
+    assert.deepEqual(await second, { balance: 100000, currency: 'sats' });
+  });
 
-    const received = await new Promise((resolve, reject) => {
-      let gotEose = false;
-      ws.on('open', () => {
-        // Subscribe to ALL kind 1 events (no since filter to avoid timing issues)
-        ws.send(JSON.stringify(['REQ', 'live', { kinds: [1] }]));
-      });
-      ws.on('message', (data) => {
-        const msg = JSON.parse(data);
-        if (msg[0] === 'EOSE' && !gotEose) {
-          gotEose = true;
-          // Inject after EOSE to test live broadcast
-          setTimeout(() => {
-            const event = createEvent({ kind: 1, content: 'live-event' });
-            relay.inject(event);
-          }, 50);
-        }
-        if (msg[0] === 'EVENT' && gotEose && msg[2].content === 'live-event') {
-          ws.close();
-          resolve(msg[2]);
-        }
-      });
-      ws.on('error', reject);
-      setTimeout(() => { ws.close(); reject(new Error('timeout')); }, 5000);
-    });
+  it('reset() clears scripted failures', async () => {
+    const wallet = createMockWallet();
+    wallet.failNext(3, 'x', { method: 'getBalance' }).script(['NO_ROUTE']);
+    wallet.reset();
+    assert.ok(await wallet.getBalance());
+    const { bolt11 } = await createMockWallet().createInvoice(1000);
+    assert.ok(await wallet.payInvoice(bolt11));
+  });
+});
 
-    assert.equal(received.content, 'live-event');
+describe('BOLT11', () => {
+  // From the BOLT11 spec: 2000000 msat, description hash, signed with the spec key
+  const SPEC_INVOICE = 'lnbc20u1pvjluezhp58yjmdan79s6qqdhdzgynm4zwqd5d7xmw5fk98klysy043l2ahrqspp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqfppqw508d6qejxtdg4y5r3zarvary0c5xw7kxqrrsssp5m6kmam774klwlh4dhmhaatd7al02m0h0m6kmam774klwlh4dhmhs9qypqqqcqpf3cwux5979a8j28d4ydwahx00saa68wq3az7v9jdgzkghtxnkf3z5t7q5suyq2dl9tqwsap8j0wptc82cpyvey9gf6zyylzrm60qtcqsq7egtsq';
+  const SPEC_KEY = 'e126f68f7eafcc8b74f54d269fe206be715000f94dac067d1c04a8ca3b2db734';
+  const SPEC_PAYEE = '03e7156ae33b0a208d0744199163177e909e80176e55d97a2f221ede0f934dd9ad';
+  const fields = {
+    timestamp: 1700000000,
+    paymentHash: '0001020304050607080900010203040506070809000102030405060708090102'
+  };
+
+  it('decodes the spec test vector', () => {
+    const decoded = decodeBolt11(SPEC_INVOICE);
+    assert.equal(decoded.network, 'mainnet');
+    assert.equal(decoded.amountMsats, 2000000);
+    assert.equal(decoded.amountSats, 2000);
+    assert.equal(decoded.timestamp, 1496314658);
+    assert.equal(decoded.paymentHash, fields.paymentHash);
+    assert.equal(decoded.descriptionHash, '3925b6f67e2c340036ed12093dd44e0368df1b6ea26c53dbe4811f58fd5db8c1');
+    assert.equal(decoded.minFinalCltvExpiry, 9);
+    assert.equal(decoded.payee, SPEC_PAYEE);
+    assert.equal(decoded.expiresAt, 1496314658 + 3600);
   });
 
-  it('handles tag filters', () => {
-    relay.clear();
-    const target = generateKeypair().pubkey;
-    const ev1 = createEvent({ kind: 1, tags: [['p', target]], content: 'tagged' });
-    const ev2 = createEvent({ kind: 1, content: 'not tagged' });
-    relay.inject(ev1);
-    relay.inject(ev2);
+  it('round-trips every field', () => {
+    const bolt11 = encodeBolt11({
+      ...fields,
+      network: 'signet',
+      amountMsats: 1234567,
+      paymentSecret: 'ab'.repeat(32),
+      description: 'coffee',
+      expiry: 600,
+      minFinalCltvExpiry: 40
+    }, SPEC_KEY);
+    assert.match(bolt11, /^lntbs12345670p1/);
+    const decoded = decodeBolt11(bolt11);
+    assert.equal(decoded.network, 'signet');
+    assert.equal(decoded.amountMsats, 1234567);
+    assert.equal(decoded.amountSats, 1235);
+    assert.equal(decoded.paymentSecret, 'ab'.repeat(32));
+    assert.equal(decoded.description, 'coffee');
+    assert.equal(decoded.expiry, 600);
+    assert.equal(decoded.minFinalCltvExpiry, 40);
+    assert.equal(decoded.expiresAt, 1700000600);
+    assert.equal(decoded.payee, SPEC_PAYEE);
+  });
 
-    assert.ok(relay.matchesFilter(ev1, { '#p': [target] }));
-    assert.ok(!relay.matchesFilter(ev2, { '#p': [target] }));
+  it('uses the shortest amount multiplier, down to msats', () => {
+    const prefix = (amountMsats) => {
+      const bolt11 = encodeBolt11({ ...fields, amountMsats }, SPEC_KEY);
+      return bolt11.slice('lnbc'.length, bolt11.lastIndexOf('1'));
+    };
+    assert.equal(prefix(1), '10p');
+    assert.equal(prefix(1500), '15n');
+    assert.equal(prefix(250000), '2500n');
+    assert.equal(prefix(2000000), '20u');
+    assert.equal(prefix(100000000), '1m');
+    assert.equal(prefix(100000000000), '1');
+    assert.equal(prefix(null), '');
+    assert.equal(decodeBolt11(encodeBolt11({ ...fields, amountMsats: 1 }, SPEC_KEY)).amountMsats, 1);
+    assert.equal(decodeBolt11(encodeBolt11(fields, SPEC_KEY)).amountMsats, null);
   });
 
-  it('clears all events', () => {
-    relay.inject(createEvent({ kind: 1, content: 'will be cleared' }));
-    assert.ok(relay.getEvents().length > 0);
-    relay.clear();
-    assert.equal(relay.getEvents().length, 0);
+  it('accepts a lightning: prefix and upper case', () => {
+    const bolt11 = encodeBolt11({ ...fields, amountMsats: 1000 }, SPEC_KEY);
+    assert.equal(decodeBolt11(`lightning:${bolt11.toUpperCase()}`).paymentHash, fields.paymentHash);
   });
-});
 
-// ── Mock Wallet ─────────────────────────────────────────
+  it('rejects corrupted invoices', () => {
+    const bolt11 = encodeBolt11({ ...fields, amountMsats: 1000 }, SPEC_KEY);
+    const flipped = bolt11.slice(0, 20) + (bolt11[20] === 'q' ? 'p' : 'q') + bolt11.slice(21);
+    assert.throws(() => decodeBolt11(flipped), /Invalid invoice: bad checksum/);
+    assert.throws(() => decodeBolt11('lnbc1mock'), /Invalid invoice/);
+    assert.throws(() => decodeBolt11(SPEC_INVOICE.slice(0, 8).toUpperCase() + SPEC_INVOICE.slice(8)), /Invalid invoice: mixed case/);
+  });
 
-describe('Mock Wallet', () => {
-  it('starts with configured balance', async () => {
-    const wallet = createMockWallet({ initialBalance: 50000000 });
-    const { balance } = await wallet.getBalance();
-    assert.equal(balance, 50000); // 50k sats
+  it('wallets sign their invoices and honour description hashes', async () => {
+    const wallet = createMockWallet({ network: 'testnet' });
+    const descriptionHash = 'cd'.repeat(32);
+    const inv = await wallet.createInvoice(5000, '', { descriptionHash, expiry: 60 });
+    const decoded = decodeBolt11(inv.bolt11);
+    assert.match(inv.bolt11, /^lntb50n1/);
+    assert.equal(decoded.payee, wallet.nodePubkey);
+    assert.equal(decoded.descriptionHash, descriptionHash);
+    assert.equal(decoded.expiry, 60);
+    assert.equal(decoded.paymentSecret.length, 64);
   });
 
-  it('creates invoices', async () => {
-    const wallet = createMockWallet();
-    const inv = await wallet.createInvoice(21000, 'test payment');
-    assert.ok(inv.invoice);
-    assert.ok(inv.paymentHash);
-    assert.ok(inv.preimage);
-    assert.equal(inv.amountSats, 21);
-    assert.equal(inv.settled, false);
+  it('wallets pay invoices for the exact msat amount', async () => {
+    const wallet = createMockWallet({ initialBalance: 10000000 });
+    const payee = createMockWallet();
+    const inv = await payee.createInvoice(1500, 'tip');
+    const payment = await wallet.payInvoice(inv.bolt11);
+    assert.equal(payment.amountMsats, 1500);
+    assert.equal(payment.amountSats, 2);
+    assert.equal(payment.paymentHash, inv.paymentHash);
+    assert.equal(payment.preimage, inv.preimage);
+    assert.equal(payment.destination, payee.nodePubkey);
+    assert.equal(payment.description, 'tip');
+    assert.equal(wallet.peekBalance(), 9998); // 10000000 - 1500 msats
   });
 
-  it('pays invoices and deducts balance', async () => {
-    const wallet = createMockWallet({ initialBalance: 100000000 });
-    const result = await wallet.payInvoice('lnbcrt1000n1mock' + 'a'.repeat(32));
-    assert.ok(result.preimage);
-    assert.equal(result.amountSats, 1000);
+  it('wallets refuse foreign invoices whose preimage no mock wallet knows', async () => {
+    const wallet = createMockWallet({ initialBalance: 10000000, clock: createClock(fields.timestamp * 1000) });
+    const bolt11 = encodeBolt11({ ...fields, amountMsats: 1500, description: 'tip' }, SPEC_KEY);
+    await assert.rejects(() => wallet.payInvoice(bolt11), {
+      code: 'INCORRECT_PAYMENT_DETAILS',
+      message: `Unknown preimage for ${fields.paymentHash}: outside a network, wallets can only pay invoices whose preimage a mock wallet knows`
+    });
+    assert.equal(wallet.peekBalance(), 10000);
+    assert.equal(wallet.getHistory('payInvoice')[0].code, 'INCORRECT_PAYMENT_DETAILS');
+  });
 
-    const { balance } = await wallet.getBalance();
-    assert.equal(balance, 99000); // 100k - 1k
+  it('wallets need an amount for any-amount invoices and reject bad ones', async () => {
+    const wallet = createMockWallet({ initialBalance: 10000000 });
+    const { bolt11, paymentHash } = await createMockWallet().createInvoice(0);
+    await assert.rejects(() => wallet.payInvoice(bolt11), /Invoice has no amount/);
+    const payment = await wallet.payInvoice(bolt11, { amountMsats: 21000 });
+    assert.equal(payment.amountSats, 21);
+    assert.equal(crypto.createHash('sha256').update(Buffer.from(payment.preimage, 'hex')).digest('hex'), paymentHash);
+    await assert.rejects(() => wallet.payInvoice('lnbcrt1000n1mock'), /Invalid invoice/);
+    assert.equal(wallet.getHistory('payInvoice').filter(h => h.error).length, 2);
   });
 
-  it('pays Lightning addresses', async () => {
-    const wallet = createMockWallet({ initialBalance: 100000000 });
-    const result = await wallet.payAddress('test@getalby.com', 500000, 'tip');
-    assert.ok(result.preimage);
-    assert.equal(result.amountSats, 500);
-    assert.equal(result.address, 'test@getalby.com');
+  it('paying a wallet\'s own invoice reveals its preimage', async () => {
+    const wallet = createMockWallet({ autoSettle: true });
+    const inv = await wallet.createInvoice(21000);
+    const payment = await wallet.payInvoice(inv.bolt11);
+    assert.equal(payment.preimage, inv.preimage);
+    assert.equal(wallet.getInvoices()[0].settled, true);
   });
+});
 
-  it('rejects payments with insufficient balance', async () => {
-    const wallet = createMockWallet({ initialBalance: 1000 }); // 1 sat
-    await assert.rejects(
-      () => wallet.payInvoice('lnbcrt1000n1mock' + 'a'.repeat(32)),
-      /Insufficient balance/
-    );
+// ── Event Factories ─────────────────────────────────────
+
+describe('Clock', () => {
+  it('only moves when advanced or set, firing timers in order', () => {
+    const clock = createClock(new Date('2025-01-01T00:00:00Z'));
+    const start = clock.now();
+    const fired = [];
+    clock.setTimeout(() => fired.push(['b', clock.now() - start]), 200);
+    clock.setTimeout(() => {
+      fired.push(['a', clock.now() - start]);
+      clock.setTimeout(() => fired.push(['nested', clock.now() - start]), 50);
+    }, 100);
+    const cancelled = clock.setTimeout(() => fired.push(['cancelled']), 10);
+    clock.clearTimeout(cancelled);
+
+    assert.equal(clock.now(), start);
+    assert.equal(clock.advance(120), start + 120);
+    assert.deepEqual(fired, [['a', 100]]);
+    clock.advance(1000);
+    assert.deepEqual(fired, [['a', 100], ['nested', 150], ['b', 200]]);
+    assert.equal(clock.pendingTimers(), 0);
+
+    clock.set(start);
+    assert.equal(clock.now(), start);
+    assert.throws(() => clock.advance(-1), /backwards/);
   });
 
-  it('simulates payment failures when configured', async () => {
-    const wallet = createMockWallet({ failPayments: true });
-    await assert.rejects(
-      () => wallet.payInvoice('lnbcrt100n1mock' + 'a'.repeat(32)),
-      /Payment failed/
-    );
+  it('repeats intervals and runs all pending timeouts', () => {
+    const clock = createClock(0);
+    let ticks = 0;
+    const interval = clock.setInterval(() => ticks++, 10);
+    let done = false;
+    clock.setTimeout(() => { done = true; }, 35);
+    assert.equal(clock.runAll(), 35);
+    assert.equal(done, true);
+    assert.equal(ticks, 3);
+    clock.clearInterval(interval);
+    assert.equal(clock.pendingTimers(), 0);
   });
 
-  it('settles invoices and credits balance', async () => {
-    const wallet = createMockWallet({ initialBalance: 0 });
-    const inv = await wallet.createInvoice(21000, 'receive');
-    assert.equal(inv.settled, false);
+  it('drives event created_at, relay expiry and waitForEvent timeouts', async () => {
+    const clock = createClock(1700000000000);
+    const note = textNote('then', { clock });
+    assert.equal(note.created_at, 1700000000);
 
-    wallet.settle(inv.paymentHash);
+    const relay = createMockRelay({ clock });
+    relay.inject(textNote('soon gone', { clock, tags: [['expiration', '1700000060']] }));
+    assert.equal(relay.getEvents().length, 1);
+    clock.advance(60000);
+    assert.equal(relay.getEvents().length, 0);
 
-    const { balance } = await wallet.getBalance();
-    assert.equal(balance, 21); // received 21 sats
+    const waiting = relay.waitForEvent({ kinds: [7] }, { timeout: 30000 });
+    clock.advance(30000);
+    await assert.rejects(waiting, /Timed out after 30000ms/);
   });
 
-  it('resolves waitForPayment on settle', async () => {
-    const wallet = createMockWallet();
-    const inv = await wallet.createInvoice(5000, 'wait test');
+  it('drives relay fault delays, replication and rate limits', async () => {
+    const clock = createClock(1700000000000);
+    const relay = createMockRelay({ clock, faults: { seed: 3, delay: { min: 10000, max: 10000 } } });
+    const { url } = await relay.start();
+    const client = connectClient(url);
+    try {
+      await client.opened;
+      client.send(['REQ', 's', {}]);
+      await relay.waitForSubscription({});
+      await new Promise(r => setTimeout(r, 20));
+      assert.equal(client.messages.length, 0);
+      clock.advance(10000);
+      await client.waitFor(m => m[0] === 'EOSE', 1000);
+    } finally {
+      client.close();
+      await relay.stop();
+    }
 
-    // Settle after a short delay
-    setTimeout(() => wallet.settle(inv.paymentHash), 50);
+    const network = createRelayNetwork({ relays: 2, delayMs: 5000, relay: { clock } });
+    const note = textNote('later', { clock });
+    network.relay(0).inject(note);
+    clock.advance(4999);
+    assert.deepEqual(network.whoHas(note.id), [0]);
+    clock.advance(1);
+    assert.deepEqual(network.whoHas(note.id), [0, 1]);
+
+    const limit = rateLimit({ max: 1, windowMs: 1000, clock });
+    assert.equal(limit.event(note), true);
+    assert.match(limit.event(note), /^rate-limited:/);
+    clock.advance(1000);
+    assert.equal(limit.event(note), true);
+  });
 
-    const result = await wallet.waitForPayment(inv.paymentHash, 5000);
-    assert.equal(result.settled, true);
-    assert.ok(result.preimage);
+  it('drives wallet timestamps and waitForPayment timeouts', async () => {
+    const clock = createClock(5000);
+    const wallet = createMockWallet({ clock });
+    const invoice = await wallet.createInvoice(1000);
+    assert.equal(invoice.created_at, 5000);
+
+    const waiting = wallet.waitForPayment(invoice.paymentHash, 60000);
+    clock.advance(60000);
+    await assert.rejects(waiting, /Payment timeout/);
+    assert.ok(wallet.getHistory().every(h => h.timestamp === 5000));
   });
 
-  it('times out waitForPayment', async () => {
-    const wallet = createMockWallet();
-    const inv = await wallet.createInvoice(1000, 'timeout test');
+  it('is shared by scenarios', async () => {
+    const clock = createClock(1600000000000);
+    const scenario = await dvmScenario({ clock });
+    try {
+      assert.equal(scenario.clock, clock);
+      assert.equal(scenario.request.created_at, 1600000000);
+      clock.advance(5000);
+      assert.equal(scenario.createResult('done').created_at, 1600000005);
+    } finally {
+      await scenario.cleanup();
+    }
+  });
+});
 
-    await assert.rejects(
-      () => wallet.waitForPayment(inv.paymentHash, 100),
-      /Payment timeout/
-    );
+describe('Deterministic mode', () => {
+  afterEach(() => {
+    setSeed(null);
   });
 
-  it('decodes mock invoices', async () => {
-    const wallet = createMockWallet();
-    const inv = await wallet.createInvoice(42000, 'decode test');
-    const decoded = await wallet.decodeInvoice(inv.bolt11);
-    assert.equal(decoded.amountSats, 42);
+  function generateAll() {
+    const keypair = generateKeypair();
+    const note = createEvent({ kind: 1, content: 'x', created_at: 1 });
+    const task = marketplaceTask('Job', 10, { secretKey: keypair.secretKey, created_at: 1 });
+    return { keypair, note, task };
+  }
+
+  it('setSeed makes keys, signatures and task ids reproducible', () => {
+    setSeed(42);
+    const first = generateAll();
+    setSeed(42);
+    const second = generateAll();
+    assert.deepEqual(second, first);
+    assert.equal(verifyEvent(first.note), true);
+    assert.match(first.task.tags.find(t => t[0] === 'd')[1], /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+
+    setSeed(43);
+    assert.notEqual(generateAll().keypair.secretKey, first.keypair.secretKey);
+    setSeed(null);
+    assert.notEqual(generateAll().keypair.secretKey, generateAll().keypair.secretKey);
   });
 
-  it('tracks operation history', async () => {
-    const wallet = createMockWallet();
-    await wallet.getBalance();
-    await wallet.createInvoice(1000, 'test');
-    const history = wallet.getHistory();
-    assert.equal(history.length, 2);
-    assert.equal(history[0].type, 'getBalance');
-    assert.equal(history[1].type, 'createInvoice');
+  it('seeded random sources are independent streams', () => {
+    const a = createRandom('s');
+    const b = createRandom('s');
+    assert.deepEqual([a.hex(8), a.uuid()], [b.hex(8), b.uuid()]);
+    assert.equal(generateKeypair({ random: createRandom(1) }).pubkey, generateKeypair({ random: createRandom(1) }).pubkey);
   });
 
-  it('resets to initial state', async () => {
-    const wallet = createMockWallet({ initialBalance: 50000000 });
-    await wallet.payInvoice('lnbcrt100n1mock' + 'a'.repeat(32));
+  it('namedKeypair returns the same identity for a name', () => {
+    const alice = namedKeypair('alice');
+    assert.deepEqual(namedKeypair('alice'), alice);
+    assert.notEqual(namedKeypair('bob').pubkey, alice.pubkey);
+    assert.equal(getPublicKey(alice.secretKey), alice.pubkey);
+  });
+
+  it('seeded wallets produce the same preimages and bolt11s, also after reset', async () => {
+    const run = async (wallet) => {
+      const invoice = await wallet.createInvoice(21000);
+      const payment = await wallet.payInvoice(invoice.bolt11);
+      return [invoice.preimage, invoice.paymentHash, invoice.bolt11, payment.preimage];
+    };
+    const clock = createClock(1700000000000); // bolt11s carry a timestamp
+    const wallet = createMockWallet({ seed: 7, clock });
+    const first = await run(wallet);
+    assert.deepEqual(await run(createMockWallet({ seed: 7, clock })), first);
     wallet.reset();
-    const { balance } = await wallet.getBalance();
-    assert.equal(balance, 50000);
-    assert.equal(wallet.getHistory().length, 1); // just the getBalance
+    assert.deepEqual(await run(wallet), first);
+    assert.notDeepEqual(await run(createMockWallet({ seed: 8, clock })), first);
   });
 
-  it('sets balance directly', async () => {
-    const wallet = createMockWallet();
-    wallet.setBalance(999);
-    const { balance } = await wallet.getBalance();
-    assert.equal(balance, 999);
+  it('seeded relays send the same AUTH challenges', async () => {
+    const challenges = [];
+    for (let i = 0; i < 2; i++) {
+      const relay = createMockRelay({ auth: 'optional', seed: 'auth' });
+      const { url } = await relay.start();
+      try {
+        const [msg] = await exchange(url, [], m => m[0] === 'AUTH');
+        challenges.push(msg[1]);
+      } finally {
+        await relay.stop();
+      }
+    }
+    assert.equal(challenges[0], challenges[1]);
   });
-});
 
-// ── Event Factories ─────────────────────────────────────
+  it('scenarios use named agents and reproduce events with a seed and clock', async () => {
+    const run = async () => {
+      const scenario = await notificationScenario({ seed: 1, clock: createClock(1700000000000) });
+      await scenario.cleanup();
+      return scenario;
+    };
+    const first = await run();
+    const second = await run();
+    assert.equal(first.agents.alice.pubkey, namedKeypair('alice').pubkey);
+    assert.deepEqual(second.events, first.events);
+  });
+});
 
 describe('Event Factories', () => {
   it('generates keypairs', () => {
     const kp = generateKeypair();
     assert.equal(kp.secretKey.length, 64);
     assert.equal(kp.pubkey.length, 64);
+    assert.equal(getPublicKey(kp.secretKey), kp.pubkey);
+  });
+
+  it('derives BIP-340 public keys', () => {
+    // BIP-340 test vector 0
+    const sk = '0000000000000000000000000000000000000000000000000000000000000003';
+    assert.equal(getPublicKey(sk), 'f9308a019258c31049344f85f89d5229b531c845836f99b08601f113bce036f9');
+  });
+
+  it('signs events that verify', () => {
+    const kp = generateKeypair();
+    const event = createEvent({ kind: 1, content: 'hi', secretKey: kp.secretKey });
+    assert.equal(event.pubkey, kp.pubkey);
+    assert.equal(event.id, getEventHash(event));
+    assert.equal(verifyEvent(event), true);
+    assert.equal(verifyEvent({ ...event, content: 'bye' }), false);
+    assert.equal(verifyEvent({ ...event, pubkey: generateKeypair().pubkey }), false);
+  });
+
+  it('signs factory events with opts.secretKey', () => {
+    const kp = generateKeypair();
+    const note = textNote('signed note', { secretKey: kp.secretKey });
+    assert.equal(note.pubkey, kp.pubkey);
+    assert.equal(verifyEvent(note), true);
+    assert.equal(verifyEvent(createEvent({ kind: 1 })), true);
   });
 
   it('creates valid event structure', () => {
@@ -396,6 +2747,322 @@ describe('Event Factories', () => {
 
 // ── Scenarios ───────────────────────────────────────────
 
+describe('Event validation', () => {
+  const alice = namedKeypair('alice');
+  const bob = namedKeypair('bob');
+  const opts = { secretKey: alice.secretKey };
+
+  /** Re-hash an edited event so only the edit is wrong */
+  function edit(event, changes) {
+    const edited = { ...event, ...changes };
+    return { ...edited, id: getEventHash(edited) };
+  }
+
+  it('accepts every factory event in strict mode', () => {
+    const request = dvmRequest(50, 'Translate', bob.pubkey, opts);
+    const task = marketplaceTask('Build', 1000, { ...opts, capabilities: ['code'] });
+    const events = [
+      textNote('hi', { ...opts, mention: bob.pubkey }),
+      dm('psst', bob.pubkey, opts),
+      request,
+      dvmResult(50, 'Traduire', bob.pubkey, { ...opts, tags: [['e', request.id]] }),
+      zapReceipt(bob.pubkey, 21000, { ...opts, tags: [['e', request.id]] }),
+      reaction(request.id, bob.pubkey, '+', opts),
+      trustAttestation(bob.pubkey, 'general-trust', 'Reliable', opts),
+      task,
+      marketplaceBid(task.id, alice.pubkey, 500, 'bob@getalby.com', opts),
+      marketplaceDelivery(task.id, alice.pubkey, 'done', opts),
+      serviceAnnouncement('Bot', ['translation'], { ...opts, price: 21 }),
+      deletionRequest([task], 'gone', opts),
+      authEvent('challenge', 'ws://localhost:1', opts),
+      dmRelayList(['wss://inbox.example'], opts)
+    ];
+    for (const event of events) assert.deepEqual(validateEvent(event, { strict: true }), [], `kind ${event.kind}`);
+  });
+
+  it('keeps factory tags when extra tags are given', () => {
+    const zap = zapReceipt(bob.pubkey, 1000, { ...opts, tags: [['e', 'e'.repeat(64)]] });
+    assert.deepEqual(zap.tags.map(t => t[0]), ['p', 'bolt11', 'description', 'e']);
+    assert.deepEqual(textNote('hi', { mention: bob.pubkey, tags: [['t', 'x']] }).tags, [['t', 'x'], ['p', bob.pubkey]]);
+  });
+
+  it('lets factory options override the fields a factory fills in', () => {
+    assert.equal(reaction('e'.repeat(64), bob.pubkey, '+', { ...opts, content: '-' }).content, '-');
+    assert.equal(dvmRequest(50, 'in', bob.pubkey, { ...opts, kind: 5999 }).kind, 5999);
+    assert.equal(textNote('hi', { ...opts, content: 'bye' }).content, 'bye');
+  });
+
+  it('reports NIP-01 shape problems and a wrong id', () => {
+    const note = textNote('hi', opts);
+    assert.deepEqual(validateEvent(note), []);
+    assert.deepEqual(validateEvent(null), ['event must be an object']);
+    assert.deepEqual(validateEvent({ ...note, tags: undefined, kind: '1' }), [
+      'kind must be an integer from 0 to 65535',
+      'tags must be an array of string arrays'
+    ]);
+    assert.deepEqual(validateEvent({ ...note, id: 'xyz', sig: 'ab' }), [
+      'id must be 64 lowercase hex characters',
+      'sig must be 128 lowercase hex characters'
+    ]);
+    assert.deepEqual(validateEvent({ ...note, tags: [['t', 1]] }), ['tags must be an array of string arrays']);
+    assert.deepEqual(validateEvent({ ...note, created_at: 1.5 }), ['created_at must be a non-negative integer (seconds)']);
+    assert.deepEqual(validateEvent({ ...note, content: 'tampered' }), ['event id does not match']);
+    assert.throws(() => createEvent({ kind: '1' }), /^Error: Invalid event: kind must be an integer/);
+  });
+
+  it('applies per-kind rules in strict mode', () => {
+    const zap = zapReceipt(bob.pubkey, 1000, opts);
+    const noBolt11 = edit(zap, { tags: zap.tags.filter(t => t[0] !== 'bolt11') });
+    assert.deepEqual(validateEvent(noBolt11), []);
+    assert.deepEqual(validateEvent(noBolt11, { strict: true }), ['zap receipt needs a bolt11 tag']);
+    assert.deepEqual(validateEvent(edit(zap, { tags: [['p', bob.pubkey], ['bolt11', 'lnbc1'], ['description', '{}']] }), { strict: true }),
+      ['zap receipt description must be a JSON kind 9734 zap request']);
+
+    const result = dvmResult(50, 'out', bob.pubkey, opts);
+    assert.deepEqual(validateEvent(result, { strict: true }), ['DVM result needs an e tag']);
+    const request = dvmRequest(50, '', bob.pubkey, { ...opts, tags: [['i', 'https://x.example', 'file']] });
+    assert.deepEqual(validateEvent(request, { strict: true }), ['DVM request i tag needs a value and a type (url, event, job, text)']);
+
+    const label = trustAttestation(bob.pubkey, 'general-trust', '', { ...opts, tags: [['l', 'spam', 'other.ns']] });
+    assert.deepEqual(validateEvent(label, { strict: true }), ['label "spam" uses namespace "other.ns" without a matching L tag']);
+    assert.deepEqual(validateEvent(createEvent({ ...opts, kind: 1985, tags: [['L', 'x']] }), { strict: true }),
+      ['label needs at least one l tag', 'label needs a target: an e, p, a, r or t tag']);
+
+    const task = marketplaceTask('Build', 'lots', opts);
+    assert.deepEqual(validateEvent(task, { strict: true }), ['marketplace task budget tag must be a whole number']);
+    const announcement = createEvent({ ...opts, kind: 38990, tags: [['d', 'bot'], ['price', '1.5']] });
+    assert.deepEqual(validateEvent(announcement, { strict: true }), [
+      'service announcement needs a title tag',
+      'service announcement price tag must be a whole number'
+    ]);
+    assert.deepEqual(validateEvent(textNote('hi', { ...opts, mention: 'bob' }), { strict: true }),
+      ['p tag must hold a 64-character hex pubkey']);
+  });
+
+  it('makes the relay reject malformed events with invalid: reasons', async () => {
+    const relay = createMockRelay();
+    const strictRelay = createMockRelay({ strictValidation: true });
+    const clients = [];
+    try {
+      const { url } = await relay.start();
+      const { url: strictUrl } = await strictRelay.start();
+      const client = createTestClient(url);
+      const strictClient = createTestClient(strictUrl);
+      clients.push(client, strictClient);
+
+      const note = textNote('hi', opts);
+      const cases = [
+        [{ ...note, kind: '1' }, 'invalid: kind must be an integer from 0 to 65535'],
+        [{ ...note, tags: undefined }, 'invalid: tags must be an array of string arrays'],
+        [{ ...note, id: 'not-hex' }, 'invalid: id must be 64 lowercase hex characters'],
+        [{ ...note, content: 'tampered' }, 'invalid: event id does not match']
+      ];
+      for (const [event, reason] of cases) {
+        const result = await client.publish(event);
+        assert.equal(result.ok, false);
+        assert.equal(result.reason, reason);
+      }
+      assert.equal(relay.getEvents().length, 0);
+
+      const zap = zapReceipt(bob.pubkey, 1000, opts);
+      const noBolt11 = edit(zap, { tags: zap.tags.filter(t => t[0] !== 'bolt11') });
+      assert.equal((await client.publish(noBolt11)).ok, true);
+      assert.deepEqual(await strictClient.publish(noBolt11), {
+        id: noBolt11.id, ok: false, reason: 'invalid: zap receipt needs a bolt11 tag'
+      });
+      assert.equal((await strictClient.publish(zap)).ok, true);
+    } finally {
+      await Promise.all(clients.map(c => c.close()));
+      await relay.stop();
+      await strictRelay.stop();
+    }
+  });
+});
+
+describe('Encryption (NIP-04, NIP-44)', () => {
+  // Keys 1 and 2; the conversation key matches the official NIP-44 vector set,
+  // and every payload below was cross-checked against nostr-tools
+  const sec1 = '0000000000000000000000000000000000000000000000000000000000000001';
+  const sec2 = '0000000000000000000000000000000000000000000000000000000000000002';
+  const pub1 = getPublicKey(sec1);
+  const pub2 = getPublicKey(sec2);
+  const conversationKey = 'c41c775356fd92eadc63ff5a0dc1da211b268cbea22316767095b2871ea1412d';
+
+  const nip44Vectors = [
+    {
+      nonce: '0000000000000000000000000000000000000000000000000000000000000001',
+      plaintext: 'a',
+      payload: 'AgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABee0G5VSK0/9YypIObAtDKfYEAjD35uVkHyB0F4DwrcNaCXlCWZKaArsGrY6M9wnuTMxWfp1RTN9Xga8no+kF5Vsb'
+    },
+    {
+      nonce: 'f00000000000000000000000000000f00000000000000000000000000000000f',
+      plaintext: '🍕🫃',
+      payload: 'AvAAAAAAAAAAAAAAAAAAAPAAAAAAAAAAAAAAAAAAAAAPSKSK6is9ngkX2+cSq85Th16oRTISAOfhStnixqZziKMDvB0QQzgFZdjLTPicCJaV8nDITO+QfaQ61+KbWQIOO2Yj'
+    }
+  ];
+
+  it('derives the NIP-44 conversation key from either side', () => {
+    assert.equal(getConversationKey(sec1, pub2), conversationKey);
+    assert.equal(getConversationKey(sec2, pub1), conversationKey);
+  });
+
+  it('matches the NIP-44 v2 known-answer vectors', () => {
+    for (const { nonce, plaintext, payload } of nip44Vectors) {
+      assert.equal(nip44EncryptWithKey(conversationKey, plaintext, { nonce }), payload);
+      assert.equal(nip44DecryptWithKey(conversationKey, payload), plaintext);
+    }
+  });
+
+  it('pads NIP-44 plaintexts as the spec describes', () => {
+    const table = [[16, 32], [32, 32], [33, 64], [37, 64], [45, 64], [49, 64], [64, 64], [65, 96],
+      [100, 128], [111, 128], [200, 224], [250, 256], [320, 320], [383, 384], [384, 384], [400, 448],
+      [500, 512], [512, 512], [515, 640], [700, 768], [800, 896], [900, 1024], [1020, 1024], [65536, 65536]];
+    for (const [length, padded] of table) assert.equal(calcPaddedLength(length), padded, String(length));
+  });
+
+  it('rejects tampered, empty and oversized NIP-44 payloads', () => {
+    const { payload } = nip44Vectors[0];
+    const bytes = Buffer.from(payload, 'base64');
+    bytes[40] ^= 1;
+    assert.throws(() => nip44DecryptWithKey(conversationKey, bytes.toString('base64')), /Invalid NIP-44 MAC/);
+    assert.throws(() => nip44DecryptWithKey(conversationKey, '#' + payload.slice(1)), /Unknown NIP-44 version/);
+    assert.throws(() => nip44Encrypt(sec1, pub2, ''), /plaintext length: 0/);
+    assert.throws(() => nip44Encrypt(sec1, pub2, 'x'.repeat(65536)), /plaintext length: 65536/);
+    assert.equal(nip44Decrypt(sec2, pub1, nip44Encrypt(sec1, pub2, 'x'.repeat(65535))).length, 65535);
+  });
+
+  it('decrypts NIP-04 payloads from other implementations', () => {
+    // Produced by nostr-tools nip04.encrypt(sec1, pub2, 'hello nip04')
+    const payload = 'NhiYqVitxn+jP1qPBWn/2A==?iv=KXILzo8WKP4waB3ve1cD1Q==';
+    assert.equal(nip04Decrypt(sec2, pub1, payload), 'hello nip04');
+    assert.equal(nip04Decrypt(sec1, pub2, payload), 'hello nip04');
+    assert.match(nip04Encrypt(sec1, pub2, 'hi'), /^[A-Za-z0-9+/]+=*\?iv=[A-Za-z0-9+/]{22}==$/);
+  });
+
+  it('dm() encrypts with NIP-04 when given the sender key', () => {
+    const alice = generateKeypair();
+    const bob = generateKeypair();
+    const msg = dm('meet at noon', bob.pubkey, { secretKey: alice.secretKey, tags: [['subject', 'x']] });
+    assert.equal(msg.kind, 4);
+    assert.match(msg.content, /\?iv=/);
+    assert.deepEqual(msg.tags, [['p', bob.pubkey], ['subject', 'x']]);
+    assert.equal(verifyEvent(msg), true);
+    assert.equal(decryptDm(msg, bob.secretKey), 'meet at noon');
+    assert.equal(decryptDm(msg, alice.secretKey), 'meet at noon');
+  });
+
+  it('dm() supports NIP-44 and plaintext modes', () => {
+    const alice = generateKeypair();
+    const bob = generateKeypair();
+    const v2 = dm('hi', bob.pubkey, { secretKey: alice.secretKey, encryption: 'nip44' });
+    assert.equal(Buffer.from(v2.content, 'base64')[0], 2);
+    assert.equal(decryptDm(v2, bob.secretKey), 'hi');
+
+    assert.equal(dm('hi', bob.pubkey, { secretKey: alice.secretKey, encryption: 'none' }).content, 'hi');
+    assert.equal(dm('hi', bob.pubkey, { pubkey: alice.pubkey }).content, 'hi');
+    assert.throws(() => dm('hi', bob.pubkey, { pubkey: alice.pubkey, encryption: 'nip44' }), /needs the sender's secretKey/);
+  });
+
+  it('nip44Event() encrypts any kind', () => {
+    const alice = generateKeypair();
+    const bob = generateKeypair();
+    const event = nip44Event(24133, '{"method":"ping"}', bob.pubkey, { secretKey: alice.secretKey });
+    assert.equal(event.kind, 24133);
+    assert.deepEqual(event.tags, [['p', bob.pubkey]]);
+    assert.equal(decryptDm(event, bob.secretKey), '{"method":"ping"}');
+  });
+
+  it('is reproducible with a seed', () => {
+    setSeed(3);
+    const first = nip44Encrypt(sec1, pub2, 'seeded');
+    setSeed(3);
+    const second = nip44Encrypt(sec1, pub2, 'seeded');
+    setSeed(null);
+    assert.equal(first, second);
+  });
+});
+
+describe('Private messages (NIP-17, NIP-59)', () => {
+  const alice = namedKeypair('alice');
+  const bob = namedKeypair('bob');
+  const carol = namedKeypair('carol');
+
+  it('chatMessage() builds an unsigned kind 14 rumor', () => {
+    const rumor = chatMessage('hello', [bob.pubkey, carol.pubkey], {
+      secretKey: alice.secretKey, subject: 'plans', replyTo: 'e'.repeat(64)
+    });
+    assert.equal(rumor.kind, 14);
+    assert.equal(rumor.pubkey, alice.pubkey);
+    assert.equal(rumor.sig, undefined);
+    assert.equal(rumor.id, getEventHash(rumor));
+    assert.deepEqual(rumor.tags, [['p', bob.pubkey], ['p', carol.pubkey], ['e', 'e'.repeat(64)], ['subject', 'plans']]);
+  });
+
+  it('seals and gift wraps with an ephemeral key and randomized timestamps', () => {
+    const clock = createClock(1700000000000);
+    const rumor = chatMessage('hello', bob.pubkey, { secretKey: alice.secretKey, clock });
+    const sealed = seal(rumor, alice.secretKey, bob.pubkey, { clock });
+    assert.equal(sealed.kind, 13);
+    assert.deepEqual(sealed.tags, []);
+    assert.equal(sealed.pubkey, alice.pubkey);
+    assert.equal(verifyEvent(sealed), true);
+
+    const wrap = giftWrap(sealed, bob.pubkey, { clock });
+    const other = giftWrap(sealed, bob.pubkey, { clock });
+    assert.equal(wrap.kind, 1059);
+    assert.deepEqual(wrap.tags, [['p', bob.pubkey]]);
+    assert.notEqual(wrap.pubkey, alice.pubkey);
+    assert.notEqual(wrap.pubkey, other.pubkey);
+    assert.equal(verifyEvent(wrap), true);
+
+    const now = 1700000000;
+    for (const event of [sealed, wrap]) {
+      assert.ok(event.created_at <= now && event.created_at > now - 2 * 24 * 60 * 60);
+    }
+  });
+
+  it('privateDirectMessage() wraps for every recipient and the sender', () => {
+    const { rumor, wraps } = privateDirectMessage('group hi', [bob.pubkey, carol.pubkey], { secretKey: alice.secretKey });
+    assert.deepEqual(wraps.map(w => w.tags[0][1]), [bob.pubkey, carol.pubkey, alice.pubkey]);
+
+    for (const [wrap, key] of [[wraps[0], bob], [wraps[1], carol], [wraps[2], alice]]) {
+      const opened = unwrap(wrap, key.secretKey);
+      assert.equal(opened.sender, alice.pubkey);
+      assert.deepEqual(opened.rumor, rumor);
+      assert.equal(opened.seal.kind, 13);
+    }
+
+    const { wraps: only } = privateDirectMessage('hi', bob.pubkey, { secretKey: alice.secretKey, wrapForSender: false });
+    assert.equal(only.length, 1);
+    assert.throws(() => privateDirectMessage('hi', bob.pubkey, { pubkey: alice.pubkey }), /secretKey/);
+  });
+
+  it('unwrap() rejects wrong keys and forged seals', () => {
+    const { wraps } = privateDirectMessage('hi', bob.pubkey, { secretKey: alice.secretKey });
+    assert.throws(() => unwrap(wraps[0], carol.secretKey), /Invalid NIP-44 MAC/);
+    assert.throws(() => unwrap(textNote('x', { secretKey: bob.secretKey }), bob.secretKey), /Not a gift wrap/);
+
+    // A seal signed by carol around a rumor claiming to be from alice
+    const rumor = chatMessage('impersonated', bob.pubkey, { secretKey: alice.secretKey });
+    const forged = giftWrap(seal(rumor, carol.secretKey, bob.pubkey), bob.pubkey);
+    assert.throws(() => unwrap(forged, bob.secretKey), /Rumor author does not match the seal/);
+  });
+
+  it('dmRelayList() lists relays in a kind 10050 event', () => {
+    const list = dmRelayList(['wss://a.example', 'wss://b.example'], { secretKey: alice.secretKey });
+    assert.equal(list.kind, 10050);
+    assert.deepEqual(list.tags, [['relay', 'wss://a.example'], ['relay', 'wss://b.example']]);
+  });
+
+  it('is reproducible with a seed', () => {
+    const clock = createClock(1700000000000);
+    const build = () => privateDirectMessage('hi', bob.pubkey, {
+      secretKey: alice.secretKey, clock, random: createRandom('nip17')
+    });
+    assert.deepEqual(build(), build());
+  });
+});
+
 describe('Scenarios', () => {
   it('basic scenario provides relay + wallet + agents', async () => {
     const s = await basicScenario();
@@ -474,8 +3141,165 @@ describe('Scenarios', () => {
       assert.ok(types.includes('zap'));
       assert.ok(types.includes('dvm_request'));
       assert.ok(types.includes('trust'));
+
+      const directMsg = s.events.find(e => e.type === 'dm').event;
+      assert.equal(decryptDm(directMsg, s.agents.alice.secretKey), 'Secret message');
+    } finally {
+      await s.cleanup();
+    }
+  });
+
+  it('notification scenario can deliver DMs the NIP-17 way', async () => {
+    const s = await notificationScenario({ dms: 'nip17' });
+    try {
+      const { event, rumor, wraps } = s.events.find(e => e.type === 'dm');
+      assert.equal(event.kind, 1059);
+      assert.deepEqual(event.tags, [['p', s.agents.alice.pubkey]]);
+      assert.equal(wraps.length, 2);
+
+      const opened = unwrap(event, s.agents.alice.secretKey);
+      assert.equal(opened.sender, s.agents.bob.pubkey);
+      assert.equal(opened.rumor.content, 'Secret message');
+      assert.equal(rumor.id, opened.rumor.id);
+
+      const stored = s.relay.getEvents();
+      const relayList = stored.find(e => e.kind === 10050);
+      assert.deepEqual(relayList.tags, [['relay', s.relayUrl]]);
+      assert.equal(stored.filter(e => e.kind === 1059).length, 2);
+      assert.equal(stored.some(e => e.kind === 4), false);
     } finally {
       await s.cleanup();
     }
   });
 });
+
+describe('Assertions', () => {
+  const alice = namedKeypair('alice');
+  const bob = namedKeypair('bob');
+
+  it('assertPublished() checks stored events and explains the closest misses', () => {
+    const relay = createMockRelay();
+    const note = textNote('gm', { secretKey: alice.secretKey, tags: [['t', 'bitcoin']] });
+    relay.inject(note);
+    relay.inject(reaction(note.id, alice.pubkey, '+', { secretKey: bob.secretKey }));
+
+    assert.deepEqual(assertPublished(relay, { kinds: [1] }), [note]);
+    assertPublished(relay, {}, { count: 2 });
+
+    try {
+      assertPublished(relay, { kinds: [1], '#t': ['nostr'] });
+      assert.fail('should have thrown');
+    } catch (e) {
+      assert.ok(e instanceof assert.AssertionError);
+      assert.equal(e.message, [
+        'Expected at least 1 event matching {"kinds":[1],"#t":["nostr"]}, found 0',
+        'Closest events:',
+        `  ${note.id.slice(0, 8)} kind 1 by ${alice.pubkey.slice(0, 8)}`,
+        '    #t: expected one of ["nostr"], got ["bitcoin"]',
+        `  ${relay.getEvents({ kinds: [7] })[0].id.slice(0, 8)} kind 7 by ${bob.pubkey.slice(0, 8)}`,
+        '    kind: expected one of [1], got 7',
+        '    #t: expected one of ["nostr"], got no such tag'
+      ].join('\n'));
+    }
+    assert.throws(() => assertPublished(relay, { kinds: [1] }, { count: 2 }), /Expected 2 event\(s\) matching \{"kinds":\[1\]\}, found 1/);
+  });
+
+  it('assertPublished() waits with `within`', async () => {
+    const relay = createMockRelay();
+    const pending = assertPublished(relay, { kinds: [1] }, { within: 1000 });
+    relay.inject(textNote('late', { secretKey: alice.secretKey }));
+    assert.equal((await pending).length, 1);
+
+    const clock = createClock();
+    const slow = createMockRelay({ clock });
+    const never = assertPublished(slow, { kinds: [1] }, { within: 50 });
+    clock.advance(50);
+    await assert.rejects(never, /found 0\nThe relay has no other events/);
+  });
+
+  it('assertPublished() checks `count: 0` at once even with `within`', async () => {
+    const clock = createClock();
+    const relay = createMockRelay({ clock });
+    const none = assertPublished(relay, { kinds: [1] }, { count: 0, within: 50 });
+    const result = await Promise.race([none, new Promise(r => setImmediate(() => r('still waiting')))]);
+    assert.deepEqual(result, []);
+
+    relay.inject(textNote('oops', { secretKey: alice.secretKey }));
+    await assert.rejects(assertPublished(relay, { kinds: [1] }, { count: 0, within: 50 }), /Expected 0 event\(s\) matching \{"kinds":\[1\]\}, found 1/);
+  });
+
+  it('assertNotPublished() lists unexpected events', async () => {
+    const relay = createMockRelay();
+    assertNotPublished(relay, { kinds: [1] });
+    const note = textNote('oops', { secretKey: alice.secretKey });
+    relay.inject(note);
+    assert.throws(() => assertNotPublished(relay, { kinds: [1] }),
+      new RegExp(`Expected no events matching \\{"kinds":\\[1\\]\\}, found 1:\n  ${note.id.slice(0, 8)} kind 1`));
+
+    const clock = createClock();
+    const quiet = createMockRelay({ clock });
+    const waiting = assertNotPublished(quiet, { kinds: [7] }, { within: 100 });
+    clock.advance(100);
+    await waiting;
+
+    const noisy = assertNotPublished(quiet, { kinds: [7] }, { within: 100 });
+    quiet.inject(reaction(note.id, alice.pubkey, '+', { secretKey: bob.secretKey }));
+    await assert.rejects(noisy, /Expected no events matching/);
+  });
+
+  it('assertPaid(), assertBalance() and assertInvoiceSettled() check the wallet', async () => {
+    const wallet = createMockWallet({ initialBalance: 10000000 });
+    await wallet.payAddress('bob@getalby.com', 400000);
+    const invoice = await wallet.createInvoice(2000000, 'job');
+
+    assert.equal(assertPaid(wallet, { amountSats: 400, to: 'bob@getalby.com' }).amountMsats, 400000);
+    assert.throws(() => assertPaid(wallet, { amountSats: 500, to: 'bob@getalby.com' }), (e) => {
+      assert.match(e.message, /Closest payments:\n  [0-9a-f]{8} 400 sats to bob@getalby.com\n    amountSats: expected 500, got 400$/);
+      return true;
+    });
+    assert.throws(() => assertPaid(createMockWallet(), { amountSats: 1 }), /The wallet has made no payments/);
+    assert.throws(() => assertPaid(wallet, { amount: 1 }), /Unknown payment field\(s\): amount/);
+
+    const payer = createMockWallet();
+    const payee = createMockWallet();
+    const { bolt11 } = await payee.createInvoice(1000);
+    await payer.payInvoice(bolt11);
+    assert.equal(assertPaid(payer, { to: payee.nodePubkey }).bolt11, bolt11);
+    assert.equal(assertPaid(payer, { to: bolt11 }).destination, payee.nodePubkey);
+
+    assertBalance(wallet, 9600);
+    assert.throws(() => assertBalance(wallet, 10000), /Expected a balance of 10000 sats, got 9600 sats \(-400\)/);
+    assert.equal(wallet.getHistory('getBalance').length, 0);
+
+    assert.throws(() => assertInvoiceSettled(wallet, invoice), /to be settled/);
+    wallet.settle(invoice.paymentHash);
+    assert.equal(assertInvoiceSettled(wallet, invoice.bolt11), invoice);
+    assertInvoiceSettled(wallet, invoice.paymentHash);
+    assert.throws(() => assertInvoiceSettled(wallet, 'f'.repeat(64)), /No invoice "ffffffff" in the wallet \(it has 1\)/);
+  });
+
+  it('registers Jest/Vitest matchers', async () => {
+    const extended = {};
+    const expect = { extend: (m) => Object.assign(extended, m) };
+    assert.equal(registerMatchers(expect), matchers);
+    assert.deepEqual(Object.keys(extended), ['toHavePublished', 'toHavePaid', 'toHaveBalance', 'toHaveSettledInvoice']);
+    assert.throws(() => registerMatchers({}), /needs Jest or Vitest's expect/);
+
+    const relay = createMockRelay();
+    const note = textNote('gm', { secretKey: alice.secretKey });
+    relay.inject(note);
+
+    const hit = extended.toHavePublished(relay, { kinds: [1] });
+    assert.equal(hit.pass, true);
+    assert.match(hit.message(), /Expected no events matching/);
+    const miss = extended.toHavePublished(relay, { kinds: [7] });
+    assert.equal(miss.pass, false);
+    assert.match(miss.message(), /kind: expected one of \[7\], got 1/);
+    assert.equal((await extended.toHavePublished(relay, { kinds: [1] }, { within: 10 })).pass, true);
+
+    const wallet = createMockWallet({ initialBalance: 1000 });
+    assert.equal(extended.toHaveBalance(wallet, 1).pass, true);
+    assert.equal(extended.toHaveBalance(wallet, 2).pass, false);
+    assert.throws(() => extended.toHavePaid(wallet, { bogus: 1 }), /Unknown payment field/);
+  });
+});
@@ -0,0 +1,151 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createEventStore, matchesFilter, replaceableKey, compareNewestFirst
+} = require('../src/store.cjs');
+const { createRng } = require('../src/faults.cjs');
+const { createEvent, generateKeypair } = require('../src/events.cjs');
+
+/**
+ * Reference implementation: scan everything, limit each filter, merge
+ */
+function naiveQuery(all, filters) {
+  const merged = new Set();
+  for (const filter of filters) {
+    const matched = all.filter(e => matchesFilter(e, filter)).sort(compareNewestFirst);
+    const limited = typeof filter.limit === 'number' ? matched.slice(0, filter.limit) : matched;
+    for (const event of limited) merged.add(event);
+  }
+  return Array.from(merged).sort(compareNewestFirst);
+}
+
+/**
+ * Reference replaceable semantics: keep only the newest version per key
+ */
+function naiveStored(inserted) {
+  const byKey = new Map();
+  const plain = new Map();
+  for (const event of inserted) {
+    const key = replaceableKey(event);
+    if (!key) { plain.set(event.id, event); continue; }
+    const current = byKey.get(key);
+    if (!current || compareNewestFirst(event, current) < 0) byKey.set(key, event);
+  }
+  return [...plain.values(), ...byKey.values()];
+}
+
+function randomCorpus(seed, count) {
+  const rng = createRng(seed);
+  const pick = (list) => list[Math.floor(rng() * list.length)];
+  const pubkeys = Array.from({ length: 6 }, () => generateKeypair().pubkey);
+  const kinds = [1, 1, 1, 4, 7, 0, 10002, 30023];
+  const events = [];
+  for (let i = 0; i < count; i++) {
+    const tags = [];
+    if (rng() < 0.5) tags.push(['p', pick(pubkeys)]);
+    if (rng() < 0.3) tags.push(['t', pick(['nostr', 'ln', 'ai'])]);
+    if (rng() < 0.2 && events.length) tags.push(['e', pick(events).id]);
+    const kind = pick(kinds);
+    if (kind === 30023) tags.push(['d', pick(['a', 'b'])]);
+    events.push(createEvent({
+      kind,
+      pubkey: pick(pubkeys),
+      content: String(i),
+      tags,
+      created_at: 1000 + Math.floor(rng() * 50) // plenty of created_at ties
+    }));
+  }
+  return { events, pubkeys, pick, rng };
+}
+
+function randomFilter({ events, pubkeys, pick, rng }) {
+  const filter = {};
+  if (rng() < 0.1) filter.ids = [pick(events).id, pick(events).id];
+  if (rng() < 0.4) filter.authors = [pick(pubkeys)];
+  if (rng() < 0.5) filter.kinds = [pick([1, 4, 7, 0, 10002, 30023]), pick([1, 4])];
+  if (rng() < 0.3) filter['#p'] = [pick(pubkeys)];
+  if (rng() < 0.2) filter['#t'] = [pick(['nostr', 'ln', 'ai'])];
+  if (rng() < 0.3) filter.since = 1000 + Math.floor(rng() * 50);
+  if (rng() < 0.3) filter.until = 1000 + Math.floor(rng() * 50);
+  if (rng() < 0.5) filter.limit = Math.floor(rng() * 10);
+  return filter;
+}
+
+describe('Event Store', () => {
+  it('stores the same events as the naive replaceable rules', () => {
+    const corpus = randomCorpus(1, 400);
+    const store = createEventStore();
+    for (const event of corpus.events) store.add(event);
+
+    const expected = naiveStored(corpus.events).map(e => e.id).sort();
+    assert.deepEqual(store.values().map(e => e.id).sort(), expected);
+    assert.equal(store.size, expected.length);
+  });
+
+  it('answers random queries exactly like the naive matcher', () => {
+    const corpus = randomCorpus(2, 400);
+    const store = createEventStore();
+    for (const event of corpus.events) store.add(event);
+    const all = store.values();
+
+    for (let i = 0; i < 300; i++) {
+      const filters = Array.from({ length: 1 + Math.floor(corpus.rng() * 3) }, () => randomFilter(corpus));
+      const expected = naiveQuery(all, filters).map(e => e.id);
+      assert.deepEqual(store.query(filters).map(e => e.id), expected, JSON.stringify(filters));
+      assert.equal(store.count(filters), naiveQuery(all, filters.map(f => ({ ...f, limit: undefined }))).length);
+    }
+  });
+
+  it('stays consistent after removals', () => {
+    const corpus = randomCorpus(3, 300);
+    const store = createEventStore();
+    for (const event of corpus.events) store.add(event);
+    for (const event of store.values()) {
+      if (corpus.rng() < 0.4) assert.equal(store.remove(event.id), event);
+    }
+    assert.equal(store.remove('missing'), null);
+
+    const all = store.values();
+    for (let i = 0; i < 100; i++) {
+      const filters = [randomFilter(corpus)];
+      assert.deepEqual(store.query(filters).map(e => e.id), naiveQuery(all, filters).map(e => e.id));
+    }
+  });
+
+  it('applies limits per filter rather than the largest limit overall', () => {
+    const store = createEventStore();
+    for (let i = 0; i < 5; i++) {
+      store.add(createEvent({ kind: 1, content: `note ${i}`, created_at: 100 + i }));
+      store.add(createEvent({ kind: 7, content: '+', created_at: 200 + i }));
+    }
+    const result = store.query([{ kinds: [1], limit: 2 }, { kinds: [7], limit: 1 }]);
+    assert.deepEqual(result.map(e => e.created_at), [204, 104, 103]);
+  });
+
+  it('replaces addressable events in O(1) and rejects older versions', () => {
+    const store = createEventStore();
+    const { pubkey } = generateKeypair();
+    const v2 = createEvent({ kind: 30023, pubkey, tags: [['d', 'x']], created_at: 20 });
+    const v1 = createEvent({ kind: 30023, pubkey, tags: [['d', 'x']], created_at: 10 });
+    assert.equal(store.add(v2), true);
+    assert.equal(store.add(v1), false);
+    assert.equal(store.add(v2), false);
+    assert.equal(store.getByAddress(`30023:${pubkey}:x`), v2);
+  });
+
+  it('expires events by their expiration tag', () => {
+    const store = createEventStore();
+    const soon = createEvent({ kind: 1, tags: [['expiration', '100']] });
+    const later = createEvent({ kind: 1, tags: [['expiration', '200']] });
+    const never = createEvent({ kind: 1 });
+    [later, soon, never].forEach(e => store.add(e));
+
+    assert.deepEqual(store.expire(150), [soon]);
+    assert.equal(store.size, 2);
+    assert.deepEqual(store.expire(200), [later]);
+    assert.deepEqual(store.values(), [never]);
+  });
+});